@@ -30,4 +30,16 @@ export default [
       ],
     },
   },
+  {
+    files: ['server/**/*.js', 'vite.config.js', 'vite.widget.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['pwa/sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
 ]
@@ -0,0 +1,57 @@
+/**
+ * sw.js
+ * Service worker for the installable app shell.
+ * - Precaches the built shell (index.html, hashed JS/CSS, manifest, icons). The list is injected
+ *   at build time by the `service-worker` plugin in vite.config.js (self.__PRECACHE__).
+ * - Navigations are network-first with the cached index.html as the offline fallback.
+ * - Other same-origin GETs are cache-first (hashed assets never change).
+ * - Weather data (/api/weather and third-party APIs) is NOT cached here: the app keeps the last
+ *   successful response per location in IndexedDB (src/providers/weatherCache.js) and shows an
+ *   "offline" banner when it has to fall back to it.
+ */
+
+const PRECACHE = self.__PRECACHE__;
+const CACHE_NAME = `weather-shell-${self.__BUILD_ID__}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith("weather-shell-") && key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request).catch(() => caches.match("/index.html")));
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((resp) => {
+          if (resp.ok) {
+            const copy = resp.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return resp;
+        })
+    )
+  );
+});
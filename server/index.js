@@ -0,0 +1,30 @@
+/**
+ * index.js
+ * Standalone weather proxy server (deploy next to the static build, or behind a CDN).
+ *
+ *   WEATHER_API_KEY=your_api_key_here PORT=8787 node server/index.js
+ *
+ * Optional env:
+ * - WEATHER_PROXY_RATE_LIMIT   requests per client per minute (default 60)
+ * - WEATHER_PROXY_CACHE_TTL    seconds to reuse upstream responses (default 600)
+ * - WEATHER_PROXY_TRUST_PROXY  "true" to rate-limit by X-Forwarded-For
+ * - WEATHER_PROXY_CORS_ORIGIN  allowed Origin when the app is served from another host
+ */
+import http from "node:http";
+import { createWeatherProxy, proxyConfigFromEnv } from "./weatherProxy.js";
+
+const port = Number(process.env.PORT) || 8787;
+const corsOrigin = process.env.WEATHER_PROXY_CORS_ORIGIN;
+const proxy = createWeatherProxy(proxyConfigFromEnv());
+
+const server = http.createServer((req, res) => {
+  if (corsOrigin) res.setHeader("Access-Control-Allow-Origin", corsOrigin);
+  proxy(req, res, () => {
+    res.statusCode = 404;
+    res.end("Not found");
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Weather proxy listening on http://localhost:${port}/api/weather`);
+});
@@ -0,0 +1,181 @@
+/**
+ * weatherProxy.js
+ * Connect-style middleware that proxies `/api/weather/*` to OpenWeatherMap.
+ *
+ * - Injects the API key server-side (WEATHER_API_KEY) so it never reaches the browser bundle.
+ * - Only allow-listed upstream endpoints are reachable (see ROUTES).
+ * - Per-client fixed-window rate limiting (429 + Retry-After).
+ * - In-memory TTL cache of successful upstream responses (X-Cache: HIT / MISS).
+ * - Upstream 429s keep their Retry-After header, so the client's cooldown matches OpenWeatherMap's.
+ *
+ * Used by the Vite dev server (vite.config.js) and by the standalone server (server/index.js).
+ *
+ * Route examples:
+ *   /api/weather?q=London&units=metric           -> /data/2.5/weather
+ *   /api/weather/forecast?q=London&units=metric  -> /data/2.5/forecast
+ *   /api/weather/geo/direct?q=Paris&limit=5     -> /geo/1.0/direct
+ *   /api/weather/onecall?lat=..&lon=..          -> /data/3.0/onecall (official alerts)
+ *   /api/weather/onecall/timemachine?lat=..&lon=..&dt=.. -> /data/3.0/onecall/timemachine (history)
+ *   /api/weather/air_pollution?lat=..&lon=..    -> /data/2.5/air_pollution
+ */
+
+export const API_PREFIX = "/api/weather";
+
+const UPSTREAM = "https://api.openweathermap.org";
+
+/** Proxy sub-path -> upstream path */
+const ROUTES = {
+  "": "/data/2.5/weather",
+  "/forecast": "/data/2.5/forecast",
+  "/geo/direct": "/geo/1.0/direct",
+  "/geo/reverse": "/geo/1.0/reverse",
+  "/onecall": "/data/3.0/onecall",
+  "/onecall/timemachine": "/data/3.0/onecall/timemachine",
+  "/air_pollution": "/data/2.5/air_pollution"
+};
+
+/** Client-supplied params that are never forwarded (the server owns the key) */
+const BLOCKED_PARAMS = new Set(["appid"]);
+
+/** Fixed-window counter per client key */
+export function createRateLimiter({ limit = 60, windowMs = 60_000, now = Date.now } = {}) {
+  const windows = new Map();
+  return function hit(clientKey) {
+    const t = now();
+    let w = windows.get(clientKey);
+    if (!w || t >= w.resetAt) {
+      w = { count: 0, resetAt: t + windowMs };
+      windows.set(clientKey, w);
+    }
+    w.count += 1;
+    // drop expired windows so the map doesn't grow with every client ever seen
+    if (windows.size > 10_000) {
+      for (const [key, value] of windows) if (t >= value.resetAt) windows.delete(key);
+    }
+    return {
+      allowed: w.count <= limit,
+      remaining: Math.max(0, limit - w.count),
+      retryAfterSeconds: Math.ceil((w.resetAt - t) / 1000)
+    };
+  };
+}
+
+/** Small TTL + size-bounded cache (oldest entry evicted first) */
+export function createResponseCache({ ttlMs = 10 * 60_000, maxEntries = 500, now = Date.now } = {}) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (now() >= entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+  };
+}
+
+function clientKeyFor(req, trustProxy) {
+  if (trustProxy) {
+    const forwarded = req.headers["x-forwarded-for"];
+    if (forwarded) return String(forwarded).split(",")[0].trim();
+  }
+  return req.socket?.remoteAddress ?? "unknown";
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+/**
+ * Create the proxy middleware.
+ * @param {object} config
+ * @param {string} config.apiKey        OpenWeatherMap key (required for upstream calls)
+ * @param {number} [config.rateLimit]   requests per client per window (default 60)
+ * @param {number} [config.rateWindowMs] window length (default 60s)
+ * @param {number} [config.cacheTtlMs]  how long successful responses are reused (default 10min)
+ * @param {boolean} [config.trustProxy] honour X-Forwarded-For when behind a load balancer
+ * @param {Function} [config.fetchImpl] injectable fetch (defaults to global fetch)
+ * @param {Function} [config.now]       injectable clock for the rate limiter and cache (defaults to Date.now)
+ */
+export function createWeatherProxy({
+  apiKey,
+  rateLimit = 60,
+  rateWindowMs = 60_000,
+  cacheTtlMs = 10 * 60_000,
+  trustProxy = false,
+  fetchImpl = globalThis.fetch,
+  now = Date.now
+} = {}) {
+  const limiter = createRateLimiter({ limit: rateLimit, windowMs: rateWindowMs, now });
+  const cache = createResponseCache({ ttlMs: cacheTtlMs, now });
+
+  return async function weatherProxy(req, res, next) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== API_PREFIX && !url.pathname.startsWith(`${API_PREFIX}/`)) return next?.();
+
+    if (req.method !== "GET") {
+      return sendJson(res, 405, { cod: 405, message: "Method not allowed" }, { Allow: "GET" });
+    }
+
+    const upstreamPath = ROUTES[url.pathname.slice(API_PREFIX.length).replace(/\/$/, "")];
+    if (!upstreamPath) return sendJson(res, 404, { cod: 404, message: "Unknown weather endpoint" });
+
+    if (!apiKey) {
+      return sendJson(res, 500, { cod: 500, code: "missingKey", message: "Weather proxy is missing WEATHER_API_KEY." });
+    }
+
+    const limit = limiter(clientKeyFor(req, trustProxy));
+    if (!limit.allowed) {
+      return sendJson(
+        res,
+        429,
+        { cod: 429, message: "Too many requests. Please slow down." },
+        { "Retry-After": String(limit.retryAfterSeconds) }
+      );
+    }
+
+    // forward allowed params in a stable order so equivalent requests share a cache entry
+    const params = [...url.searchParams]
+      .filter(([name]) => !BLOCKED_PARAMS.has(name.toLowerCase()))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const cacheKey = `${upstreamPath}?${new URLSearchParams(params)}`;
+
+    const cached = cache.get(cacheKey);
+    if (cached) return sendJson(res, 200, cached, { "X-Cache": "HIT" });
+
+    try {
+      const upstream = new URL(upstreamPath, UPSTREAM);
+      for (const [name, value] of params) upstream.searchParams.append(name, value);
+      upstream.searchParams.set("appid", apiKey);
+
+      const resp = await fetchImpl(upstream.toString());
+      const body = await resp.text();
+      if (resp.ok) cache.set(cacheKey, body);
+      const retryAfter = resp.headers?.get?.("Retry-After");
+      sendJson(res, resp.status, body, { "X-Cache": "MISS", ...(retryAfter ? { "Retry-After": retryAfter } : {}) });
+    } catch (err) {
+      console.error("[weather-proxy]", err);
+      sendJson(res, 502, { cod: 502, message: "Upstream weather service unreachable." });
+    }
+  };
+}
+
+/** Build proxy config from environment variables (shared by Vite and the standalone server) */
+export function proxyConfigFromEnv(env = process.env) {
+  return {
+    apiKey: env.WEATHER_API_KEY || "",
+    rateLimit: Number(env.WEATHER_PROXY_RATE_LIMIT) || 60,
+    cacheTtlMs: (Number(env.WEATHER_PROXY_CACHE_TTL) || 600) * 1000,
+    trustProxy: env.WEATHER_PROXY_TRUST_PROXY === "true"
+  };
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi } from "vitest";
+import { createWeatherProxy } from "./weatherProxy";
+
+/** Run one GET through the middleware with a minimal req / res pair */
+async function call(proxy, path, { method = "GET", remoteAddress = "10.0.0.1" } = {}) {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    },
+    end: vi.fn()
+  };
+  const next = vi.fn();
+  await proxy({ url: path, method, headers: {}, socket: { remoteAddress } }, res, next);
+  const raw = res.end.mock.calls[0]?.[0];
+  return { status: res.statusCode, headers, body: raw == null ? null : JSON.parse(raw), next };
+}
+
+function upstream(status = 200, body = { name: "London" }, headers = {}) {
+  return vi.fn(async () => new Response(JSON.stringify(body), { status, headers }));
+}
+
+function setup(config = {}) {
+  const clock = { t: 1_000_000 };
+  const fetchImpl = config.fetchImpl ?? upstream();
+  const proxy = createWeatherProxy({ apiKey: "secret", fetchImpl, now: () => clock.t, ...config });
+  return { proxy, fetchImpl, clock };
+}
+
+describe("weatherProxy", () => {
+  it("injects the key and strips client appid params in any letter case", async () => {
+    const { proxy, fetchImpl } = setup();
+    const { status, body } = await call(proxy, "/api/weather?q=London&appid=mine&APPID=x&AppId=y&units=metric");
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ name: "London" });
+    const url = new URL(fetchImpl.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe("https://api.openweathermap.org/data/2.5/weather");
+    expect([...url.searchParams.keys()].filter((name) => name.toLowerCase() === "appid")).toEqual(["appid"]);
+    expect(url.searchParams.get("appid")).toBe("secret");
+    expect(url.searchParams.get("q")).toBe("London");
+  });
+
+  it("answers 500 missingKey without calling upstream when no key is configured", async () => {
+    const { proxy, fetchImpl } = setup({ apiKey: "" });
+    const { status, body } = await call(proxy, "/api/weather?q=London");
+
+    expect(status).toBe(500);
+    expect(body.code).toBe("missingKey");
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it("forwards OpenWeatherMap's Retry-After on a 429", async () => {
+    const { proxy } = setup({ fetchImpl: upstream(429, { cod: 429, message: "slow down" }, { "Retry-After": "42" }) });
+    const { status, headers } = await call(proxy, "/api/weather?q=London");
+
+    expect(status).toBe(429);
+    expect(headers["retry-after"]).toBe("42");
+  });
+
+  it("rate-limits each client with its own Retry-After", async () => {
+    const { proxy, clock } = setup({ rateLimit: 1, rateWindowMs: 60_000 });
+    await call(proxy, "/api/weather?q=London");
+    clock.t += 15_000;
+    const limited = await call(proxy, "/api/weather?q=Paris");
+
+    expect(limited.status).toBe(429);
+    expect(limited.headers["retry-after"]).toBe("45");
+    expect((await call(proxy, "/api/weather?q=Paris", { remoteAddress: "10.0.0.2" })).status).toBe(200);
+
+    clock.t += 45_000;
+    expect((await call(proxy, "/api/weather?q=Paris")).status).toBe(200);
+  });
+
+  it("caches successful responses until the TTL expires", async () => {
+    const { proxy, fetchImpl, clock } = setup({ cacheTtlMs: 60_000 });
+
+    expect((await call(proxy, "/api/weather?units=metric&q=London")).headers["x-cache"]).toBe("MISS");
+    // same params in another order share the entry
+    expect((await call(proxy, "/api/weather?q=London&units=metric")).headers["x-cache"]).toBe("HIT");
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+    clock.t += 60_000;
+    expect((await call(proxy, "/api/weather?q=London&units=metric")).headers["x-cache"]).toBe("MISS");
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it("doesn't cache failed upstream responses", async () => {
+    const { proxy, fetchImpl } = setup({ fetchImpl: upstream(404, { cod: "404", message: "city not found" }) });
+    await call(proxy, "/api/weather?q=Atlantis");
+    const { status, headers } = await call(proxy, "/api/weather?q=Atlantis");
+
+    expect(status).toBe(404);
+    expect(headers["x-cache"]).toBe("MISS");
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it("rejects unknown routes and other methods, and ignores other paths", async () => {
+    const { proxy, fetchImpl } = setup();
+
+    const unknown = await call(proxy, "/api/weather/admin?q=x");
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.message).toBe("Unknown weather endpoint");
+
+    const post = await call(proxy, "/api/weather?q=London", { method: "POST" });
+    expect(post.status).toBe(405);
+    expect(post.headers.allow).toBe("GET");
+
+    const other = await call(proxy, "/api/weatherish");
+    expect(other.next).toHaveBeenCalled();
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it("answers 502 when upstream is unreachable", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const { proxy } = setup({ fetchImpl: vi.fn().mockRejectedValue(new TypeError("fetch failed")) });
+
+    expect((await call(proxy, "/api/weather?q=London")).status).toBe(502);
+    error.mockRestore();
+  });
+});
@@ -1,105 +1,566 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
-import WeatherCard from "./components/WeatherCard";
+import React, { useState, useRef, useMemo, useEffect, useCallback } from "react";
+import WeatherCard from "./Components/WeatherCard";
+import ForecastPanel from "./Components/ForecastPanel";
+import HistoryPanel from "./Components/HistoryPanel";
+import SavedLocations from "./Components/SavedLocations";
+import AlertBanners from "./Components/AlertBanners";
+import AlertSettings from "./Components/AlertSettings";
+import UnitSettings from "./Components/UnitSettings";
+import MoodSettings from "./Components/MoodSettings";
+import WeatherBackdrop from "./Components/WeatherBackdrop";
+import CompareView from "./Components/CompareView";
+import AccessibilitySettings from "./Components/AccessibilitySettings";
+import useLocationSuggestions from "./hooks/useLocationSuggestions";
+import useSavedLocations from "./hooks/useSavedLocations";
+import useSavedWeather from "./hooks/useSavedWeather";
+import useAlertRules from "./hooks/useAlertRules";
+import useAlerts from "./hooks/useAlerts";
+import useUnitPrefs from "./hooks/useUnitPrefs";
+import useMoodThresholds from "./hooks/useMoodThresholds";
+import useUrlSync from "./hooks/useUrlSync";
+import useCompareLocations from "./hooks/useCompareLocations";
+import useSearchHistory from "./hooks/useSearchHistory";
+import useHighContrast from "./hooks/useHighContrast";
+import useKeyboardShortcuts from "./hooks/useKeyboardShortcuts";
+import useI18n from "./hooks/useI18n";
+import { getProvider } from "./providers";
+import { locationKey, locationLabel } from "./utils/location";
+import { readJson, writeJson } from "./utils/storage";
+import { TABS, parseUrlState } from "./utils/urlState";
+import { buildSuggestions, didYouMean, resolvedPlace } from "./utils/search";
+import { cycleIndex, shortcutKey } from "./utils/shortcuts";
+import { LANGUAGES } from "./i18n";
 
 /**
  * App.jsx
  * Root application wrapper.
  *
- * NOTE: This app expects an OpenWeatherMap API key in environment variable:
- * - For Vite: VITE_WEATHER_API_KEY in a .env file at project root:
- *     VITE_WEATHER_API_KEY=your_api_key_here
+ * NOTE: This app expects an OpenWeatherMap API key for the weather proxy (server/weatherProxy.js):
+ * - WEATHER_API_KEY in a .env file at project root (no VITE_ prefix, so it is never bundled):
+ *     WEATHER_API_KEY=your_api_key_here
+ * - `npm run dev` / `npm run preview` serve /api/weather from Vite; `npm run proxy` runs it standalone.
  *
- * If you used Create React App instead, use:
- *   REACT_APP_WEATHER_API_KEY=your_api_key_here
- * and access it with process.env.REACT_APP_WEATHER_API_KEY.
+ * (No key is hard-coded in source or shipped to the browser.)
  *
- * (No key is hard-coded in source.)
+ * The weather backend is picked with VITE_WEATHER_PROVIDER (see src/providers):
+ *   openweathermap (default) | open-meteo (no key) | fixture (offline, no key)
+ *
+ * Query, units, tab and saved locations are mirrored in the URL (utils/urlState.js), so
+ * /?city=Tokyo&units=imperial opens straight on Tokyo in °F and back / forward step through searches.
+ *
+ * UI strings come from the message catalogs (src/i18n); the language picker also switches the
+ * provider's `lang` and the text direction for right-to-left languages.
+ *
+ * The page backdrop follows the shown city's condition and day / night (WeatherBackdrop); dark mode
+ * and reduced motion follow the OS settings.
+ *
+ * The search box suggests recent searches, saved locations, a bundled offline city list and the
+ * provider's geocoding matches, all fuzzy-matched (utils/search.js); a city that isn't found gets
+ * "did you mean…" buttons with close matches.
+ *
+ * "Compare" adds the shown city to a side-by-side view of 2-4 locations (CompareView); the list is
+ * kept in the URL (`compare`) so a comparison can be shared.
+ *
+ * Keyboard shortcuts (utils/shortcuts.js): "/" focuses the search, "u" toggles °C / °F, "[" / "]" step
+ * through saved locations, "c" toggles high contrast (useHighContrast) and "?" opens the list of
+ * shortcuts (AccessibilitySettings).
  */
 
+const provider = getProvider();
+
+/** Auto-refresh choices (ms); the default comes from VITE_WEATHER_REFRESH_INTERVAL seconds */
+const DEFAULT_REFRESH_INTERVAL_MS = (Number(import.meta.env.VITE_WEATHER_REFRESH_INTERVAL) || 600) * 1000;
+const REFRESH_CHOICES = [0, 5 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+
 export default function App() {
-  const [city, setCity] = useState("");
-  const [query, setQuery] = useState("");
-  const [units, setUnits] = useState("metric"); // "metric" = Celsius, "imperial" = Fahrenheit
+  const { t, lang, setLang } = useI18n();
+  const [initialUrl] = useState(() => parseUrlState(window.location.search));
+  const [city, setCity] = useState(() => locationLabel(initialUrl.query));
+  const [query, setQuery] = useState(initialUrl.query); // city string or { lat, lon, name, state, country }
+  const [tab, setTab] = useState(initialUrl.tab ?? "forecast"); // lower panel: forecast | history
+  const [theme, setTheme] = useState(null); // backdrop for the shown city (utils/theme.js), set by WeatherCard
+  const {
+    prefs: unitPrefs,
+    setPref: setUnitPref,
+    applyPreset: applyUnitPreset,
+    setPrefs: setUnitPrefs
+  } = useUnitPrefs(initialUrl.unitPrefs);
+  const fahrenheit = unitPrefs.temperature === "f";
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [locating, setLocating] = useState(false);
+  const [geoError, setGeoError] = useState(null); // message key
+  const [refreshIntervalMs, setRefreshIntervalMs] = useState(() => readJson("refreshInterval", DEFAULT_REFRESH_INTERVAL_MS));
   const inputRef = useRef(null);
+  const { enabled: highContrast, setEnabled: setHighContrast, toggle: toggleHighContrast } = useHighContrast();
+  const [a11yOpen, setA11yOpen] = useState(false);
+  const a11ySummaryRef = useRef(null);
+
+  useEffect(() => {
+    writeJson("refreshInterval", refreshIntervalMs);
+  }, [refreshIntervalMs]);
+
+  const { suggestions: places } = useLocationSuggestions(city, { provider, enabled: showSuggestions });
+  const { saved, add: saveLocation, remove: removeSaved, move: moveSaved, isSaved } = useSavedLocations();
+  const { history, record: recordSearch, clear: clearHistory } = useSearchHistory();
+  const [notFoundQuery, setNotFoundQuery] = useState(null); // last search the provider didn't know
+
+  // history + saved + offline cities + geocoding, fuzzy-matched against the input
+  const suggestions = useMemo(
+    () =>
+      showSuggestions
+        ? buildSuggestions(city, {
+            history: history.map((entry) => entry.location),
+            saved: saved.map((entry) => entry.location),
+            remote: places
+          })
+        : [],
+    [showSuggestions, city, history, saved, places]
+  );
+  const suggestionsOpen = showSuggestions && suggestions.length > 0;
+
+  // close matches for a city that wasn't found
+  const corrections = useMemo(
+    () =>
+      notFoundQuery
+        ? didYouMean(locationLabel(notFoundQuery), {
+            history: history.map((entry) => entry.location),
+            saved: saved.map((entry) => entry.location)
+          })
+        : [],
+    [notFoundQuery, history, saved]
+  );
+
+  // WeatherCard's settled result: found places go into the history, misses get "did you mean…"
+  const onSearchStatus = useCallback(
+    ({ query: searched, data, errorCode }) => {
+      if (data) recordSearch(resolvedPlace(searched, data.location));
+      setNotFoundQuery(errorCode === "notFound" ? searched : null);
+    },
+    [recordSearch]
+  );
+  const {
+    compared,
+    add: addCompared,
+    remove: removeCompared,
+    reset: resetCompared,
+    isCompared,
+    full: compareFull
+  } = useCompareLocations(initialUrl.compare);
+
+  // locations shared in a link are merged into the saved list by id: new ones are appended, ones the
+  // recipient already has are skipped, and nothing of theirs is removed or reordered
+  useEffect(() => {
+    initialUrl.saved?.forEach(saveLocation);
+  }, [initialUrl, saveLocation]);
+
+  // back / forward: restore that entry's search, units, tab and comparison; its saved locations are
+  // merged like a shared link's, so stepping back never drops a location saved since
+  useUrlSync({ query, unitPrefs, tab, saved, compare: compared }, (next) => {
+    setQuery(next.query);
+    setCity(locationLabel(next.query));
+    setShowSuggestions(false);
+    setTab(next.tab ?? "forecast");
+    if (next.unitPrefs) setUnitPrefs(next.unitPrefs);
+    resetCompared(next.compare ?? []);
+    next.saved?.forEach(saveLocation);
+  });
+
+  // pick a geocoding candidate: WeatherCard then fetches by its exact coordinates
+  const chooseSuggestion = (place) => {
+    setCity(locationLabel(place));
+    setQuery(place);
+    setShowSuggestions(false);
+    setActiveIndex(-1);
+    inputRef.current?.blur();
+  };
 
   // when user submits (Enter or Search), we store in `query` which triggers fetch in WeatherCard
   const handleSearch = (e) => {
     e?.preventDefault?.();
+    if (suggestionsOpen && activeIndex >= 0) return chooseSuggestion(suggestions[activeIndex].location);
     if (city.trim() === "") return;
     setQuery(city.trim());
+    setShowSuggestions(false);
     // blur input for better iOS-like feel
     inputRef.current?.blur();
   };
 
-  // Quick keyboard handler to allow Enter
+  // keyboard navigation for the suggestion list (Enter submits through the form)
   const onKeyDown = (e) => {
-    if (e.key === "Enter") handleSearch(e);
+    if (!suggestionsOpen) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Escape") {
+      setShowSuggestions(false);
+      setActiveIndex(-1);
+    }
   };
 
-  // A tiny accessible toggle for Celsius/Fahrenheit
-  const toggleUnits = () => setUnits((u) => (u === "metric" ? "imperial" : "metric"));
+  // open a saved location (or a "did you mean…" match) in the main card
+  const selectSaved = (location) => {
+    setQuery(location);
+    setCity(locationLabel(location));
+    setShowSuggestions(false);
+  };
 
-  // memo placeholder for pass-through props
-  const options = useMemo(() => ({ units }), [units]);
+  // "Use my location": browser Geolocation -> lat/lon lookup
+  const locate = () => {
+    if (!navigator.geolocation) {
+      setGeoError("app.geo.unavailable");
+      return;
+    }
+    setLocating(true);
+    setGeoError(null);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setLocating(false);
+        setCity("");
+        setShowSuggestions(false);
+        setQuery({ lat: pos.coords.latitude, lon: pos.coords.longitude });
+      },
+      (err) => {
+        setLocating(false);
+        setGeoError(
+          err.code === err.PERMISSION_DENIED ? "app.geo.denied" : "app.geo.failed"
+        );
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  };
+
+  // A tiny accessible toggle for Celsius/Fahrenheit (other units live in the Units panel)
+  const toggleUnits = () => setUnitPref("temperature", fahrenheit ? "c" : "f");
+
+  // "[" / "]": show the previous / next saved location (from the first or last one if none is shown)
+  const cycleSaved = (step) => {
+    const current = query ? saved.findIndex((entry) => entry.id === locationKey(query)) : -1;
+    const next = cycleIndex(current, saved.length, step);
+    if (next >= 0) selectSaved(saved[next].location);
+  };
+
+  useKeyboardShortcuts({
+    focusSearch: () => inputRef.current?.focus(),
+    toggleUnits,
+    nextSaved: () => cycleSaved(1),
+    previousSaved: () => cycleSaved(-1),
+    toggleContrast: toggleHighContrast,
+    showHelp: () => {
+      setA11yOpen(true);
+      a11ySummaryRef.current?.focus();
+    }
+  });
+
+  // keep a custom env default selectable even if it isn't one of the presets
+  const refreshChoices = REFRESH_CHOICES.includes(refreshIntervalMs) ? REFRESH_CHOICES : [...REFRESH_CHOICES, refreshIntervalMs];
+
+  const { thresholds: moodThresholds, setThreshold: setMoodThreshold, resetThresholds: resetMoodThresholds } = useMoodThresholds();
+  const options = useMemo(
+    () => ({ unitPrefs, refreshIntervalMs, lang, moodThresholds }),
+    [unitPrefs, refreshIntervalMs, lang, moodThresholds]
+  );
+  const savedWeather = useSavedWeather(saved, { provider, options });
+  const { rulesFor, addRule, removeRule } = useAlertRules();
+
+  // comparison candidates: the shown city and saved locations not compared yet
+  const compareCandidates = useMemo(() => {
+    const candidates = [];
+    for (const location of [query, ...saved.map((entry) => entry.location)]) {
+      const key = location && locationKey(location);
+      if (key && !isCompared(location) && !candidates.some((c) => locationKey(c) === key)) candidates.push(location);
+    }
+    return candidates;
+  }, [query, saved, isCompared]);
+  const { alerts, permission, requestPermission } = useAlerts(saved, savedWeather.results, {
+    provider,
+    rulesFor,
+    t,
+    lang,
+    prefs: unitPrefs
+  });
 
   return (
     <div className="min-h-screen flex items-center justify-center p-6">
+      <WeatherBackdrop theme={theme} />
       <main className="w-full max-w-lg">
         <form
           onSubmit={handleSearch}
           className="mb-6 flex gap-3 items-center justify-between"
-          aria-label="Search city"
+          aria-label={t("app.searchForm")}
         >
           <label htmlFor="city-input" className="sr-only">
-            City name
+            {t("app.cityLabel")}
           </label>
-          <input
-            id="city-input"
-            ref={inputRef}
-            value={city}
-            onChange={(e) => setCity(e.target.value)}
-            onKeyDown={onKeyDown}
-            placeholder="Enter city (e.g., London)"
-            className="flex-1 px-4 py-3 rounded-xl bg-white/60 backdrop-blur-sm placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-indigo-300 shadow-sm text-slate-900"
-            aria-required="true"
-            aria-label="City"
-          />
+          <div className="relative flex-1">
+            <input
+              id="city-input"
+              ref={inputRef}
+              value={city}
+              onChange={(e) => {
+                setCity(e.target.value);
+                setShowSuggestions(true);
+                setActiveIndex(-1);
+              }}
+              onKeyDown={onKeyDown}
+              onFocus={() => setShowSuggestions(true)} // recent searches before typing
+              onBlur={() => setShowSuggestions(false)}
+              placeholder={t("app.cityPlaceholder")}
+              className="w-full px-4 py-3 rounded-xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-sm placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-indigo-300 shadow-sm text-slate-900 dark:text-slate-100"
+              aria-required="true"
+              aria-label={t("app.city")}
+              role="combobox"
+              autoComplete="off"
+              aria-autocomplete="list"
+              aria-expanded={suggestionsOpen}
+              aria-controls="city-suggestions"
+              aria-activedescendant={suggestionsOpen && activeIndex >= 0 ? `city-suggestion-${activeIndex}` : undefined}
+              aria-keyshortcuts={shortcutKey("focusSearch")}
+            />
+
+            {suggestionsOpen && (
+              <div className="absolute z-10 mt-2 w-full rounded-xl bg-white/90 dark:bg-slate-800/90 backdrop-blur-md shadow-lg ring-1 ring-slate-200 dark:ring-slate-700 py-1">
+                <ul id="city-suggestions" role="listbox" aria-label={t("app.matchingPlaces")}>
+                  {suggestions.map((item, i) => {
+                    const place = typeof item.location === "string" ? { name: item.location } : item.location;
+                    return (
+                      <li
+                        key={item.id}
+                        id={`city-suggestion-${i}`}
+                        role="option"
+                        aria-selected={i === activeIndex}
+                        // mousedown fires before the input's blur closes the list
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          chooseSuggestion(item.location);
+                        }}
+                        className={`flex items-center gap-2 px-4 py-2 cursor-pointer text-sm ${
+                          i === activeIndex ? "bg-indigo-50 text-indigo-700 dark:bg-indigo-950/60 dark:text-indigo-300" : "text-slate-800 dark:text-slate-200"
+                        }`}
+                      >
+                        <span className="truncate">
+                          <span className="font-medium">{place.name ?? locationLabel(place)}</span>
+                          <span className="text-slate-500 dark:text-slate-400">{[place.state, place.country].filter(Boolean).map((p) => `, ${p}`)}</span>
+                        </span>
+                        {item.source !== "remote" && (
+                          <span className="ms-auto flex-none text-xs text-slate-500 dark:text-slate-400">{t(`search.source.${item.source}`)}</span>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+                {!city.trim() && history.length > 0 && (
+                  <button
+                    type="button"
+                    // keep focus in the input, like picking an option
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={clearHistory}
+                    className="w-full px-4 py-2 text-start text-xs text-slate-500 dark:text-slate-400 hover:text-red-600 border-t border-slate-200 dark:border-slate-700"
+                  >
+                    {t("search.clearHistory")}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          <button
+            type="button"
+            onClick={locate}
+            disabled={locating}
+            className="inline-flex items-center px-3 py-3 rounded-xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-sm shadow-sm text-indigo-600 dark:text-indigo-300 hover:bg-white/80 dark:hover:bg-slate-800/80 focus:outline-none focus:ring-2 focus:ring-indigo-300 disabled:opacity-60"
+            aria-label={t("app.useLocation")}
+            title={t("app.useLocation")}
+          >
+            <svg viewBox="0 0 24 24" fill="none" aria-hidden className={`w-5 h-5 ${locating ? "animate-pulse" : ""}`}>
+              <circle cx="12" cy="12" r="3.5" stroke="currentColor" strokeWidth="1.6" />
+              <path d="M12 2v3M12 19v3M2 12h3M19 12h3" stroke="currentColor" strokeWidth="1.6" />
+            </svg>
+          </button>
 
           <button
             type="submit"
             className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white font-semibold shadow-lg focus:outline-none focus:ring-2 focus:ring-indigo-400"
-            aria-label="Search"
           >
-            Search
+            {t("app.search")}
           </button>
 
-          <div className="ml-2 flex items-center gap-2">
+          <div className="ms-2 flex items-center gap-2">
             <button
               type="button"
               onClick={toggleUnits}
-              aria-pressed={units === "metric" ? "false" : "true"}
-              className="relative inline-flex items-center px-3 py-2 rounded-full bg-white/60 backdrop-blur-sm shadow-inner focus:outline-none"
-              title="Toggle Celsius / Fahrenheit"
+              role="switch"
+              aria-checked={fahrenheit}
+              aria-label={t("app.fahrenheit")}
+              aria-keyshortcuts={shortcutKey("toggleUnits")}
+              className="relative inline-flex items-center px-3 py-2 rounded-full bg-white/60 dark:bg-slate-900/60 backdrop-blur-sm shadow-inner focus:outline-none focus:ring-2 focus:ring-indigo-300"
+              title={t("app.toggleUnits")}
             >
-              <span className="text-xs font-medium">°C</span>
+              <span className="text-xs font-medium" aria-hidden>°C</span>
               <span
-                className={`ml-2 w-10 h-5 rounded-full p-0.5 transition-all duration-200 ${
-                  units === "metric" ? "bg-slate-200" : "bg-indigo-500"
+                className={`ms-2 w-10 h-5 rounded-full p-0.5 transition-all duration-200 ${
+                  fahrenheit ? "bg-indigo-500" : "bg-slate-200 dark:bg-slate-700"
                 }`}
               >
                 <span
                   className={`block w-4 h-4 rounded-full bg-white transform transition-transform duration-200 ${
-                    units === "metric" ? "translate-x-0" : "translate-x-5"
+                    fahrenheit ? "translate-x-5 rtl:-translate-x-5" : "translate-x-0"
                   }`}
                 />
               </span>
-              <span className="ml-2 text-xs font-medium">°F</span>
+              <span className="ms-2 text-xs font-medium" aria-hidden>°F</span>
             </button>
           </div>
         </form>
 
+        {geoError && (
+          <p className="-mt-3 mb-4 text-sm text-red-600 dark:text-red-400" role="alert">
+            {t(geoError)}
+          </p>
+        )}
+
+        <AlertBanners alerts={alerts} onSelect={selectSaved} />
+
+        <SavedLocations
+          saved={saved}
+          weather={savedWeather}
+          onRemove={removeSaved}
+          onMove={moveSaved}
+          onSelect={selectSaved}
+          options={options}
+        />
+
+        <UnitSettings prefs={unitPrefs} onChange={setUnitPref} onPreset={applyUnitPreset} />
+
+        <MoodSettings thresholds={moodThresholds} onChange={setMoodThreshold} onReset={resetMoodThresholds} />
+
+        <AlertSettings
+          saved={saved}
+          rulesFor={rulesFor}
+          onAddRule={addRule}
+          onRemoveRule={removeRule}
+          permission={permission}
+          onRequestPermission={requestPermission}
+          prefs={unitPrefs}
+        />
+
+        <AccessibilitySettings
+          highContrast={highContrast}
+          onHighContrastChange={setHighContrast}
+          open={a11yOpen}
+          onOpenChange={setA11yOpen}
+          summaryRef={a11ySummaryRef}
+        />
+
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-3">
+          <label className="text-sm text-slate-700 dark:text-slate-300 flex items-center gap-2">
+            {t("app.autoRefresh")}
+            <select
+              value={refreshIntervalMs}
+              onChange={(e) => setRefreshIntervalMs(Number(e.target.value))}
+              className="px-2 py-1 rounded-md bg-white/60 dark:bg-slate-900/60 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+            >
+              {refreshChoices.map((ms) => (
+                <option key={ms} value={ms}>
+                  {ms ? t("app.refreshMinutes", { minutes: Math.round(ms / 60000) }) : t("app.refreshOff")}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="text-sm text-slate-700 dark:text-slate-300 flex items-center gap-2">
+            {t("app.language")}
+            <select
+              value={lang}
+              onChange={(e) => setLang(e.target.value)}
+              className="px-2 py-1 rounded-md bg-white/60 dark:bg-slate-900/60 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+            >
+              {LANGUAGES.map((language) => (
+                <option key={language.id} value={language.id} lang={language.id}>
+                  {language.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {query && (
+            <button
+              type="button"
+              onClick={() => saveLocation(query)}
+              disabled={isSaved(query)}
+              className="px-3 py-1 rounded-md bg-white/60 dark:bg-slate-900/60 text-sm text-indigo-700 dark:text-indigo-300 shadow-sm hover:bg-white/80 dark:hover:bg-slate-800/80 focus:outline-none focus:ring-2 focus:ring-indigo-300 disabled:opacity-60"
+            >
+              {isSaved(query) ? t("app.saved") : t("app.save")}
+            </button>
+          )}
+
+          {query && (
+            <button
+              type="button"
+              onClick={() => addCompared(query)}
+              disabled={isCompared(query) || compareFull}
+              className="px-3 py-1 rounded-md bg-white/60 dark:bg-slate-900/60 text-sm text-indigo-700 dark:text-indigo-300 shadow-sm hover:bg-white/80 dark:hover:bg-slate-800/80 focus:outline-none focus:ring-2 focus:ring-indigo-300 disabled:opacity-60"
+            >
+              {isCompared(query) ? t("compare.added") : t("compare.add")}
+            </button>
+          )}
+        </div>
+
         {/* WeatherCard handles loading, fetch, error, and display */}
-        <WeatherCard cityQuery={query} options={options} />
+        <WeatherCard
+          cityQuery={query}
+          options={options}
+          onThemeChange={setTheme}
+          onStatusChange={onSearchStatus}
+          corrections={corrections}
+          onCorrection={selectSaved}
+        />
+
+        {compared.length > 0 && (
+          <CompareView
+            compared={compared}
+            candidates={compareCandidates}
+            onAdd={addCompared}
+            onRemove={removeCompared}
+            options={options}
+          />
+        )}
+
+        {query && (
+          <>
+            <div className="mt-6 flex gap-2" role="tablist" aria-label={t("app.tabs")}>
+              {TABS.map((id) => (
+                <button
+                  key={id}
+                  id={`tab-${id}`}
+                  type="button"
+                  role="tab"
+                  aria-selected={tab === id}
+                  aria-controls={`tabpanel-${id}`}
+                  onClick={() => setTab(id)}
+                  className={`px-3 py-1 rounded-md text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300 ${
+                    tab === id
+                      ? "bg-indigo-600 text-white"
+                      : "bg-white/60 text-slate-700 hover:bg-white/80 dark:bg-slate-900/60 dark:text-slate-300 dark:hover:bg-slate-800/80"
+                  }`}
+                >
+                  {t(`tab.${id}`)}
+                </button>
+              ))}
+            </div>
+
+            <div id={`tabpanel-${tab}`} role="tabpanel" aria-labelledby={`tab-${tab}`}>
+              {/* ForecastPanel shares the same query + units so both views agree */}
+              {tab === "forecast" && <ForecastPanel cityQuery={query} options={options} />}
+
+              {/* recorded history for the same location, in the same units */}
+              {tab === "history" && <HistoryPanel cityQuery={query} options={options} />}
+            </div>
+          </>
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,213 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import App from "./App";
+import { mockWeatherApi } from "./test/weatherApi";
+import { axeViolations } from "./test/axe";
+
+// Every test searches a city of its own: the weather cache lives for the whole file.
+
+beforeEach(() => {
+  // failed fetches are logged by useCachedWeather; expected here
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const cityInput = () => screen.getByRole("combobox", { name: "City" });
+
+async function search(text) {
+  const user = userEvent.setup();
+  await user.clear(cityInput());
+  await user.type(cityInput(), `${text}{Enter}`);
+  return user;
+}
+
+describe("App search", () => {
+  it("shows the weather for a submitted city and puts it in the URL", async () => {
+    mockWeatherApi();
+    render(<App />);
+    expect(screen.getByRole("heading", { name: "Search for a city" })).toBeInTheDocument();
+
+    await search("Lisbon");
+
+    expect(await screen.findByRole("heading", { name: "Lisbon (GB)" })).toBeInTheDocument();
+    expect(screen.getByRole("tab", { name: "Forecast" })).toHaveAttribute("aria-selected", "true");
+    expect(new URLSearchParams(window.location.search).get("city")).toBe("Lisbon");
+  });
+
+  it("picks a fuzzy suggestion with the keyboard", async () => {
+    const fetchMock = mockWeatherApi();
+    render(<App />);
+    const user = userEvent.setup();
+
+    await user.type(cityInput(), "Barcelnoa");
+    const option = await screen.findByRole("option", { name: /Barcelona/ });
+    expect(option).toHaveTextContent("Barcelona, ES");
+    await user.keyboard("{ArrowDown}");
+    expect(option).toHaveAttribute("aria-selected", "true");
+    await user.keyboard("{Enter}");
+
+    expect(cityInput()).toHaveValue("Barcelona, ES");
+    await waitFor(() =>
+      expect(fetchMock.mock.calls.some(([url]) => new URL(url).searchParams.get("lat") === "41.39")).toBe(true)
+    );
+  });
+
+  it("remembers successful searches", async () => {
+    mockWeatherApi();
+    render(<App />);
+    await search("Porto");
+    await screen.findByRole("heading", { name: "Porto (GB)" });
+
+    const user = userEvent.setup();
+    await user.clear(cityInput());
+    await user.click(cityInput());
+
+    const recent = await screen.findByRole("option", { name: /Porto/ });
+    expect(recent).toHaveTextContent("Porto, GB");
+    expect(within(recent).getByText("Recent")).toBeInTheDocument();
+  });
+
+  it("suggests close matches when the city isn't found", async () => {
+    mockWeatherApi({ cities: { Atlantis: 404 } });
+    render(<App />);
+
+    await search("Atlantis");
+
+    // the card and the forecast panel both report it
+    expect(await screen.findAllByText("City not found. Try a different name.")).not.toHaveLength(0);
+    // the matches arrive once WeatherCard has reported the miss to App
+    await userEvent.click(await screen.findByRole("button", { name: "Atlanta, US" }));
+
+    expect(cityInput()).toHaveValue("Atlanta, US");
+    expect(await screen.findByText(/Feels like/)).toBeInTheDocument();
+  });
+});
+
+describe("App links", () => {
+  const savedNames = () => JSON.parse(window.localStorage.getItem("weather.savedLocations") ?? "[]").map((entry) => entry.location);
+
+  it("restores the saved list from a shared link", async () => {
+    mockWeatherApi();
+    window.history.replaceState(null, "", "/?city=Zagreb&saved=Split&saved=Rijeka");
+    render(<App />);
+
+    expect(await screen.findByRole("heading", { name: "Zagreb (GB)" })).toBeInTheDocument();
+    await waitFor(() => expect(savedNames()).toEqual(["Split", "Rijeka"]));
+    expect(new URLSearchParams(window.location.search).getAll("saved")).toEqual(["Split", "Rijeka"]);
+  });
+
+  it("merges a shared list into the recipient's own without duplicates", async () => {
+    mockWeatherApi();
+    window.localStorage.setItem(
+      "weather.savedLocations",
+      JSON.stringify(["Zadar", "Split"].map((name) => ({ id: name.toLowerCase(), location: name })))
+    );
+    window.history.replaceState(null, "", "/?city=Pula&saved=Split&saved=Osijek");
+    render(<App />);
+
+    await waitFor(() => expect(savedNames()).toEqual(["Zadar", "Split", "Osijek"]));
+  });
+});
+
+describe("App units", () => {
+  it("toggles between Celsius and Fahrenheit without refetching", async () => {
+    const fetchMock = mockWeatherApi();
+    render(<App />);
+    await search("Madrid");
+    expect(await screen.findByText("Feels like 12°C")).toBeInTheDocument();
+    const calls = fetchMock.mock.calls.length;
+    const toggle = screen.getByRole("switch", { name: "Show temperatures in Fahrenheit" });
+
+    await userEvent.click(toggle);
+
+    expect(toggle).toBeChecked();
+    expect(screen.getByText("Feels like 53°F")).toBeInTheDocument();
+    expect(new URLSearchParams(window.location.search).get("units")).toBeTruthy();
+
+    await userEvent.click(toggle);
+
+    expect(toggle).not.toBeChecked();
+    expect(screen.getByText("Feels like 12°C")).toBeInTheDocument();
+    expect(fetchMock.mock.calls.filter(([url]) => new URL(url).pathname === "/api/weather")).toHaveLength(
+      fetchMock.mock.calls.slice(0, calls).filter(([url]) => new URL(url).pathname === "/api/weather").length
+    );
+  });
+});
+
+describe("App keyboard shortcuts", () => {
+  it("focuses the search and toggles units and high contrast", async () => {
+    mockWeatherApi();
+    render(<App />);
+    const user = userEvent.setup();
+
+    await user.keyboard("/");
+    expect(cityInput()).toHaveFocus();
+    expect(cityInput()).toHaveValue("");
+
+    // typing in the search box is never taken for a shortcut
+    await user.keyboard("u");
+    expect(cityInput()).toHaveValue("u");
+    expect(screen.getByRole("switch", { name: "Show temperatures in Fahrenheit" })).not.toBeChecked();
+
+    cityInput().blur();
+    await user.keyboard("u");
+    expect(screen.getByRole("switch", { name: "Show temperatures in Fahrenheit" })).toBeChecked();
+
+    await user.keyboard("c");
+    expect(document.documentElement).toHaveClass("high-contrast");
+    expect(screen.getByRole("switch", { name: "High contrast" })).toBeChecked();
+    await user.keyboard("c");
+    expect(document.documentElement).not.toHaveClass("high-contrast");
+  });
+
+  it("steps through the saved locations", async () => {
+    mockWeatherApi();
+    window.localStorage.setItem(
+      "weather.savedLocations",
+      JSON.stringify(["Bergen", "Tromso", "Narvik"].map((name) => ({ id: name.toLowerCase(), location: name })))
+    );
+    render(<App />);
+    const user = userEvent.setup();
+
+    await user.keyboard("]");
+    expect(await screen.findByRole("heading", { name: "Bergen (GB)" })).toBeInTheDocument();
+    await user.keyboard("]");
+    expect(await screen.findByRole("heading", { name: "Tromso (GB)" })).toBeInTheDocument();
+    // "[[" is user-event's escape for a single "["
+    await user.keyboard("[[");
+    expect(await screen.findByRole("heading", { name: "Bergen (GB)" })).toBeInTheDocument();
+    await user.keyboard("[[");
+    expect(await screen.findByRole("heading", { name: "Narvik (GB)" })).toBeInTheDocument();
+  });
+
+  it("opens the list of shortcuts with ?", async () => {
+    mockWeatherApi();
+    render(<App />);
+
+    await userEvent.keyboard("?");
+
+    const summary = screen.getByText("Accessibility");
+    expect(summary).toHaveFocus();
+    expect(summary.closest("details")).toHaveAttribute("open");
+    expect(screen.getByText("Next saved location")).toBeInTheDocument();
+  });
+});
+
+describe("App accessibility", () => {
+  it("has no axe violations before and after a search", async () => {
+    mockWeatherApi();
+    const { container } = render(<App />);
+    expect(await axeViolations(container)).toEqual([]);
+
+    await search("Vienna");
+    await screen.findByRole("heading", { name: "Vienna (GB)" });
+    await screen.findByRole("list", { name: "Hourly forecast" });
+    expect(await axeViolations(container)).toEqual([]);
+  });
+});
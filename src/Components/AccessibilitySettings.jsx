@@ -0,0 +1,51 @@
+import React from "react";
+import { SHORTCUTS, shortcutKey } from "../utils/shortcuts";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * AccessibilitySettings.jsx
+ * - Collapsible panel with the high-contrast switch and the list of keyboard shortcuts.
+ * - Open state is owned by App so the "?" shortcut can open it (and focus its summary, `summaryRef`).
+ * - The setting itself is owned and persisted by useHighContrast in App.
+ */
+
+export default function AccessibilitySettings({ highContrast, onHighContrastChange, open, onOpenChange, summaryRef }) {
+  const { t } = useI18n();
+  return (
+    <details
+      open={open}
+      onToggle={(e) => onOpenChange(e.currentTarget.open)}
+      className="mb-6 rounded-xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-md shadow-md ring-1 ring-slate-200 dark:ring-slate-700 p-4"
+    >
+      <summary ref={summaryRef} className="cursor-pointer text-slate-900 dark:text-slate-100 font-semibold">
+        {t("a11y.title")}
+      </summary>
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+        <input
+          type="checkbox"
+          role="switch"
+          checked={highContrast}
+          onChange={(e) => onHighContrastChange(e.target.checked)}
+          aria-keyshortcuts={shortcutKey("toggleContrast")}
+          className="w-4 h-4 accent-indigo-600"
+        />
+        {t("a11y.highContrast")}
+      </label>
+
+      <p className="mt-4 text-sm font-semibold text-slate-900 dark:text-slate-100">{t("a11y.shortcuts")}</p>
+      <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-sm text-slate-700 dark:text-slate-300">
+        {SHORTCUTS.map((shortcut) => (
+          <React.Fragment key={shortcut.key}>
+            <dt>
+              <kbd className="inline-block min-w-6 px-1.5 rounded border border-slate-300 dark:border-slate-600 bg-white/80 dark:bg-slate-800/80 text-center font-mono text-xs">
+                {shortcut.key}
+              </kbd>
+            </dt>
+            <dd>{t(`a11y.shortcut.${shortcut.action}`)}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </details>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useMemo } from "react";
+import useCachedWeather from "../hooks/useCachedWeather";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * AirQualityPanel.jsx
+ * - Air Quality Index (1 = Good … 5 = Very poor, OpenWeatherMap scale) for the card's coordinates.
+ * - Pollutant breakdown in μg/m³.
+ * - Renders nothing when the provider has no air quality data (getAirQuality is optional).
+ */
+
+/** AQI -> badge colours (labels are "air.level.<aqi>" in the catalogs) */
+const AQI_LEVELS = {
+  1: "bg-emerald-100 text-emerald-800 dark:bg-emerald-900/60 dark:text-emerald-200",
+  2: "bg-lime-100 text-lime-800 dark:bg-lime-900/60 dark:text-lime-200",
+  3: "bg-amber-100 text-amber-800 dark:bg-amber-900/60 dark:text-amber-200",
+  4: "bg-orange-100 text-orange-800 dark:bg-orange-900/60 dark:text-orange-200",
+  5: "bg-red-100 text-red-800 dark:bg-red-900/60 dark:text-red-200"
+};
+
+const POLLUTANTS = [
+  { key: "pm2_5", label: "PM2.5" },
+  { key: "pm10", label: "PM10" },
+  { key: "o3", label: "O₃" },
+  { key: "no2", label: "NO₂" },
+  { key: "so2", label: "SO₂" },
+  { key: "co", label: "CO" },
+  { key: "nh3", label: "NH₃" }
+];
+
+/** Air quality changes slowly; an hour between fetches is plenty */
+const AIR_TTL_MS = 60 * 60 * 1000;
+
+export default function AirQualityPanel({ provider, lat, lon }) {
+  const { t } = useI18n();
+  const location = useMemo(() => (lat != null && lon != null ? { lat, lon } : null), [lat, lon]);
+  const { data, loading, error } = useCachedWeather(provider, "air", provider.getAirQuality ? location : null, {
+    ttlMs: AIR_TTL_MS
+  });
+
+  if (!provider.getAirQuality || !location) return null;
+
+  const levelClass = AQI_LEVELS[data?.aqi];
+
+  return (
+    <section className="mt-4 rounded-xl bg-white/50 dark:bg-slate-900/50 p-4 ring-1 ring-slate-200 dark:ring-slate-700" aria-label={t("air.title")}>
+      <div className="flex items-center justify-between">
+        <h4 className="text-slate-900 dark:text-slate-100 font-semibold text-sm">{t("air.title")}</h4>
+        {levelClass && (
+          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${levelClass}`}>
+            {t("air.index", { aqi: data.aqi, level: t(`air.level.${data.aqi}`) })}
+          </span>
+        )}
+      </div>
+
+      {loading && <div className="mt-2 text-slate-600 dark:text-slate-400 text-xs animate-pulse">{t("air.loading")}</div>}
+      {error && <p className="mt-2 text-slate-600 dark:text-slate-400 text-xs">{t("air.unavailable")}</p>}
+
+      {data && (
+        <dl className="mt-3 grid grid-cols-4 gap-2">
+          {POLLUTANTS.filter((p) => data.components?.[p.key] != null).map((p) => (
+            <div key={p.key} className="text-center">
+              <dt className="text-slate-500 dark:text-slate-400 text-xs">{p.label}</dt>
+              <dd className="text-slate-900 dark:text-slate-100 text-sm font-medium">{data.components[p.key].toFixed(1)}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+      {data && <div className="mt-2 text-slate-400 dark:text-slate-500 text-xs">{t("air.units")}</div>}
+    </section>
+  );
+}
@@ -0,0 +1,53 @@
+import React, { useState } from "react";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * AlertBanners.jsx
+ * - In-app banners for active alerts (official warnings first, then user rule matches).
+ * - Banners can be dismissed for the session; clicking the location opens it in the main card.
+ */
+export default function AlertBanners({ alerts, onSelect }) {
+  const { t } = useI18n();
+  const [dismissed, setDismissed] = useState(() => new Set());
+  const visible = alerts
+    .filter((alert) => !dismissed.has(alert.key))
+    .sort((a, b) => (a.kind === b.kind ? 0 : a.kind === "official" ? -1 : 1));
+
+  if (!visible.length) return null;
+
+  return (
+    <section className="mb-6 flex flex-col gap-2" role="region" aria-label={t("alerts.region")}>
+      {visible.map((alert) => (
+        <div
+          key={alert.key}
+          role="alert"
+          className={`flex items-start gap-3 px-4 py-3 rounded-xl shadow-sm ring-1 ${
+            alert.kind === "official"
+              ? "bg-red-50 text-red-800 ring-red-200 dark:bg-red-950/70 dark:text-red-200 dark:ring-red-800"
+              : "bg-amber-50 text-amber-800 ring-amber-200 dark:bg-amber-950/70 dark:text-amber-200 dark:ring-amber-800"
+          }`}
+        >
+          <div className="flex-1 min-w-0">
+            <button
+              type="button"
+              onClick={() => onSelect(alert.location)}
+              className="font-semibold text-start hover:underline focus:outline-none focus:ring-2 focus:ring-indigo-300 rounded"
+            >
+              {alert.title}
+            </button>
+            {alert.body && <p className="text-sm whitespace-pre-line line-clamp-3">{alert.body}</p>}
+            <div className="text-xs opacity-75">{alert.kind === "official" ? t("alerts.official") : t("alerts.rule")}</div>
+          </div>
+          <button
+            type="button"
+            onClick={() => setDismissed((set) => new Set(set).add(alert.key))}
+            className="px-2 rounded hover:bg-white/60 dark:hover:bg-slate-800/60 focus:outline-none focus:ring-2 focus:ring-indigo-300"
+            aria-label={t("alerts.dismiss")}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </section>
+  );
+}
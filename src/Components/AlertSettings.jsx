@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+import { CONDITION_CHOICES, RULE_TYPES, describeRule, thresholdFromInput, thresholdUnit } from "../utils/alertRules";
+import { METRIC_PREFS } from "../utils/units";
+import { locationLabel } from "../utils/location";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * AlertSettings.jsx
+ * - Collapsible editor for per-location alert rules (stored by useAlertRules).
+ * - Pick a saved location, remove its rules or add new ones (temperature / wind thresholds, conditions).
+ * - Offers to enable browser notifications when the permission hasn't been decided yet.
+ * - Thresholds are typed and shown in the user's units (`prefs`) and stored in metric (see alertRules.js).
+ */
+export default function AlertSettings({
+  saved,
+  rulesFor,
+  onAddRule,
+  onRemoveRule,
+  permission,
+  onRequestPermission,
+  prefs = METRIC_PREFS
+}) {
+  const { t } = useI18n();
+  const [selectedId, setSelectedId] = useState(null);
+  const [type, setType] = useState("tempBelow");
+  const [value, setValue] = useState("0");
+
+  if (!saved.length) return null;
+
+  const locationId = saved.some((entry) => entry.id === selectedId) ? selectedId : saved[0].id;
+  const rules = rulesFor(locationId);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (type === "condition") {
+      onAddRule(locationId, { type, value });
+      return;
+    }
+    const threshold = Number(value);
+    if (value.trim() === "" || !Number.isFinite(threshold)) return;
+    onAddRule(locationId, { type, value: thresholdFromInput(type, threshold, prefs) });
+  };
+
+  const changeType = (next) => {
+    setType(next);
+    setValue(next === "condition" ? CONDITION_CHOICES[0] : "0");
+  };
+
+  return (
+    <details className="mb-6 rounded-xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-md shadow-md ring-1 ring-slate-200 dark:ring-slate-700 p-4">
+      <summary className="cursor-pointer text-slate-900 dark:text-slate-100 font-semibold">{t("rules.title")}</summary>
+
+      {permission === "default" && (
+        <button
+          type="button"
+          onClick={onRequestPermission}
+          className="mt-3 px-3 py-1 rounded-md bg-indigo-600 text-white text-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+        >
+          {t("rules.enable")}
+        </button>
+      )}
+      {permission === "denied" && (
+        <p className="mt-3 text-xs text-slate-600 dark:text-slate-400">{t("rules.blocked")}</p>
+      )}
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+        {t("rules.location")}
+        <select
+          value={locationId}
+          onChange={(e) => setSelectedId(e.target.value)}
+          className="px-2 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+        >
+          {saved.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {locationLabel(entry.location)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <ul className="mt-3 flex flex-col gap-1">
+        {rules.map((rule) => (
+          <li key={rule.id} className="flex items-center justify-between text-sm text-slate-800 dark:text-slate-200">
+            {describeRule(rule, t, prefs)}
+            <button
+              type="button"
+              onClick={() => onRemoveRule(locationId, rule.id)}
+              className="px-2 text-slate-500 dark:text-slate-400 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-indigo-300 rounded"
+              aria-label={t("rules.remove", { rule: describeRule(rule, t, prefs) })}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+        {!rules.length && <li className="text-sm text-slate-500 dark:text-slate-400">{t("rules.none")}</li>}
+      </ul>
+
+      <form onSubmit={submit} className="mt-3 flex flex-wrap items-center gap-2 text-sm" aria-label={t("rules.addForm")}>
+        <select
+          value={type}
+          onChange={(e) => changeType(e.target.value)}
+          className="px-2 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+          aria-label={t("rules.type")}
+        >
+          {Object.keys(RULE_TYPES).map((id) => (
+            <option key={id} value={id}>
+              {t(`rules.type.${id}`)}
+            </option>
+          ))}
+        </select>
+        {type === "condition" ? (
+          <select
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            className="px-2 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+            aria-label={t("rules.condition")}
+          >
+            {CONDITION_CHOICES.map((choice) => (
+              <option key={choice} value={choice}>
+                {t(`conditions.${choice}`)}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <label className="flex items-center gap-1">
+            <input
+              type="number"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className="w-20 px-2 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+              aria-label={t("rules.threshold")}
+            />
+            {thresholdUnit(type, prefs)}
+          </label>
+        )}
+        <button
+          type="submit"
+          className="px-3 py-1 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+        >
+          {t("rules.add")}
+        </button>
+      </form>
+    </details>
+  );
+}
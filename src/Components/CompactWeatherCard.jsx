@@ -0,0 +1,53 @@
+import React from "react";
+import Icons from "./Icons";
+import { locationLabel, placeName } from "../utils/location";
+import { METRIC_PREFS, formatTemperature } from "../utils/units";
+import useI18n from "../hooks/useI18n";
+import { describeCondition } from "../i18n";
+import { weatherTheme } from "../utils/theme";
+
+/**
+ * CompactWeatherCard.jsx
+ * - Small presentational card for the saved locations grid.
+ * - Receives an already-fetched metric model (fetching is batched in App) and formats it with the user's units.
+ * - Shows icon (day / night variant, see utils/theme.js), temperature and condition; loading / error
+ *   states are kept inline.
+ * - `provider` decides whether its description is already in the selected language (describeCondition).
+ */
+export default function CompactWeatherCard({ location, result, prefs = METRIC_PREFS, provider, onSelect }) {
+  const { t, lang } = useI18n();
+  const { data, error, errorCode, loading } = result || {};
+  const theme = data ? weatherTheme(data) : null;
+  const IconComp = (theme && Icons[theme.icon]) || Icons.clear;
+  const name = data ? placeName(data.location, t) : locationLabel(location);
+
+  return (
+    <button
+      type="button"
+      onClick={onSelect}
+      className="w-full text-start rounded-xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-md p-4 shadow-md ring-1 ring-slate-200 dark:ring-slate-700 hover:bg-white/80 dark:hover:bg-slate-800/80 focus:outline-none focus:ring-2 focus:ring-indigo-300"
+      aria-label={t("saved.show", { name })}
+    >
+      <div className="flex items-center gap-3">
+        <IconComp className={`w-8 h-8 ${theme?.accent ?? "text-indigo-600"} ${loading && !data ? "animate-pulse" : ""}`} />
+        <div className="min-w-0 flex-1">
+          <div className="text-slate-900 dark:text-slate-100 font-semibold truncate">
+            {name} {data?.location.country && <span className="text-slate-500 dark:text-slate-400 text-xs">({data.location.country})</span>}
+          </div>
+          <div className="text-slate-600 dark:text-slate-400 text-xs truncate">
+            {error ? (
+              <span className="text-red-600 dark:text-red-400">{errorCode ? t(`error.${errorCode}`) : error}</span>
+            ) : data ? (
+              describeCondition(data.condition, { t, lang, provider })
+            ) : (
+              t("saved.loading")
+            )}
+          </div>
+        </div>
+        <div className="text-2xl font-bold text-slate-900 dark:text-slate-100">
+          {formatTemperature(data?.temp, prefs.temperature)}
+        </div>
+      </div>
+    </button>
+  );
+}
@@ -0,0 +1,244 @@
+import React, { useEffect, useMemo, useState } from "react";
+import Icons from "./Icons";
+import { getProvider } from "../providers";
+import useWeatherBatch from "../hooks/useWeatherBatch";
+import useI18n from "../hooks/useI18n";
+import { deriveCurrent } from "../utils/currentView";
+import { MAX_COMPARE, MIN_COMPARE, extremes, offsetDifference, utcOffsetLabel } from "../utils/compare";
+import { locationLabel, placeName } from "../utils/location";
+import { METRIC_PREFS } from "../utils/units";
+
+/**
+ * CompareView.jsx
+ * - Side-by-side comparison of 2..4 locations (useCompareLocations in App), one column per city.
+ * - Rows reuse WeatherCard's derived values (deriveCurrent): conditions, temperature, feels like,
+ *   humidity, wind, mood, plus the local time and time zone.
+ * - Differences are highlighted: the highest / lowest value of each numeric row, moods that differ
+ *   from the first (reference) column, and each city's time-zone offset from the reference,
+ *   computed from the responses' `timezone`.
+ * - Weather is fetched as one batch through the cache (useWeatherBatch), so cities that are also
+ *   saved or shown in WeatherCard don't cost extra requests.
+ */
+
+/** Numeric rows: metric value for highlighting + formatted display value */
+const NUMERIC_ROWS = [
+  { id: "temp", value: (data) => data.temp, display: (view) => view.tempDisplay },
+  { id: "feelsLike", value: (data) => data.feelsLike, display: (view) => view.feelsLikeDisplay },
+  { id: "humidity", value: (data) => data.humidity, display: (view) => (view.humidity != null ? `${view.humidity}%` : "-") },
+  { id: "wind", value: (data) => data.windSpeed, display: (view) => view.windDisplay }
+];
+
+const HIGHEST_CLASS = "bg-rose-100/70 text-rose-800 dark:bg-rose-900/40 dark:text-rose-200";
+const LOWEST_CLASS = "bg-sky-100/70 text-sky-800 dark:bg-sky-900/40 dark:text-sky-200";
+const DIFFERS_CLASS = "bg-amber-100/70 text-amber-800 dark:bg-amber-900/40 dark:text-amber-200";
+
+export default function CompareView({ compared, candidates, onAdd, onRemove, options }) {
+  const { t, lang, formatDate } = useI18n();
+  const prefs = options?.unitPrefs ?? METRIC_PREFS;
+  const provider = getProvider(options?.provider);
+  const { results } = useWeatherBatch(compared, { provider, ttlMs: options?.cacheTtlMs, lang: options?.lang });
+
+  // local times tick with the minute
+  const [nowSeconds, setNowSeconds] = useState(() => Math.floor(Date.now() / 1000));
+  useEffect(() => {
+    const timer = setInterval(() => setNowSeconds(Math.floor(Date.now() / 1000)), 30 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const columns = useMemo(
+    () =>
+      compared.map((entry) => {
+        const result = results[entry.id];
+        const data = result?.data ?? null;
+        return {
+          entry,
+          result,
+          data,
+          name: data ? placeName(data.location, t) : locationLabel(entry.location),
+          view: data ? deriveCurrent(data, { prefs, t, lang, provider, moodThresholds: options?.moodThresholds }) : null
+        };
+      }),
+    [compared, results, prefs, t, lang, provider, options?.moodThresholds]
+  );
+
+  if (!compared.length) return null;
+
+  const reference = columns[0];
+  const baseTimezone = reference.data?.location.timezone ?? 0;
+
+  /** Cell for a column without data yet (loading / error) */
+  const placeholder = (column) =>
+    column.result?.error ? (
+      <span className="text-red-600 dark:text-red-400 text-xs">
+        {column.result.errorCode ? t(`error.${column.result.errorCode}`) : column.result.error}
+      </span>
+    ) : (
+      <span className="text-slate-400 dark:text-slate-500 text-xs animate-pulse">{t("saved.loading")}</span>
+    );
+
+  const offsetText = (column) => {
+    const { direction, hours, minutes } = offsetDifference(column.data.location.timezone, baseTimezone);
+    if (direction === "same") return t("compare.sameTime");
+    const value = minutes ? t("compare.hoursMinutes", { hours, minutes }) : t("compare.hours", { hours });
+    return t(`compare.${direction}`, { value });
+  };
+
+  return (
+    <section
+      className="mt-6 rounded-2xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-md shadow-2xl p-6 ring-1 ring-slate-200 dark:ring-slate-700 animate-fade-in"
+      role="region"
+      aria-label={t("compare.title")}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-slate-900 dark:text-slate-100 text-lg font-semibold">{t("compare.title")}</h3>
+        {compared.length < MAX_COMPARE && candidates.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value !== "" && onAdd(candidates[Number(e.target.value)])}
+            className="px-2 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 text-sm text-slate-800 dark:text-slate-200 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+            aria-label={t("compare.addLocation")}
+          >
+            <option value="">{t("compare.addLocation")}</option>
+            {candidates.map((location, i) => (
+              <option key={locationLabel(location)} value={i}>
+                {locationLabel(location)}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {compared.length < MIN_COMPARE && <p className="mt-2 text-sm text-slate-600 dark:text-slate-400">{t("compare.needMore")}</p>}
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-sm border-separate border-spacing-y-1">
+          <thead>
+            <tr>
+              <th scope="col" className="sr-only">
+                {t("compare.metric")}
+              </th>
+              {columns.map((column) => (
+                <th key={column.entry.id} scope="col" className="px-2 pb-2 text-start align-top">
+                  <div className="flex items-start justify-between gap-1">
+                    <span className="text-slate-900 dark:text-slate-100 font-semibold">{column.name}</span>
+                    <button
+                      type="button"
+                      onClick={() => onRemove(column.entry.id)}
+                      className="px-1 text-slate-500 dark:text-slate-400 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-indigo-300 rounded"
+                      aria-label={t("compare.remove", { name: column.name })}
+                    >
+                      ×
+                    </button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {/* conditions */}
+            <tr>
+              <th scope="row" className="pe-2 text-start text-xs font-medium text-slate-500 dark:text-slate-400">
+                {t("compare.row.condition")}
+              </th>
+              {columns.map((column) => {
+                if (!column.view) return <td key={column.entry.id} className="px-2">{placeholder(column)}</td>;
+                const IconComp = Icons[column.view.theme.icon] || Icons.clear;
+                return (
+                  <td key={column.entry.id} className="px-2 text-slate-800 dark:text-slate-200">
+                    <div className="flex items-center gap-1">
+                      <IconComp className={`w-5 h-5 flex-none ${column.view.theme.accent}`} />
+                      <span className="text-xs capitalize">{column.view.description}</span>
+                    </div>
+                  </td>
+                );
+              })}
+            </tr>
+
+            {/* temperature, feels like, humidity, wind: highest / lowest highlighted */}
+            {NUMERIC_ROWS.map((row) => {
+              const marks = extremes(columns.map((column) => (column.data ? row.value(column.data) : null)));
+              return (
+                <tr key={row.id}>
+                  <th scope="row" className="pe-2 text-start text-xs font-medium text-slate-500 dark:text-slate-400">
+                    {t(`compare.row.${row.id}`)}
+                  </th>
+                  {columns.map((column, i) => {
+                    if (!column.view) return <td key={column.entry.id} className="px-2" />;
+                    const mark = marks?.max === i ? "highest" : marks?.min === i ? "lowest" : null;
+                    return (
+                      <td
+                        key={column.entry.id}
+                        className={`px-2 py-1 rounded-md font-semibold ${
+                          mark === "highest" ? HIGHEST_CLASS : mark === "lowest" ? LOWEST_CLASS : "text-slate-900 dark:text-slate-100"
+                        }`}
+                      >
+                        {row.display(column.view)}
+                        {mark && (
+                          <span className="ms-1 text-xs font-normal" title={t(`compare.${mark}`)}>
+                            <span aria-hidden>{mark === "highest" ? "▲" : "▼"}</span>
+                            <span className="sr-only">{t(`compare.${mark}`)}</span>
+                          </span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+
+            {/* mood: cells that differ from the reference column */}
+            <tr>
+              <th scope="row" className="pe-2 text-start text-xs font-medium text-slate-500 dark:text-slate-400">
+                {t("compare.row.mood")}
+              </th>
+              {columns.map((column, i) => {
+                if (!column.view) return <td key={column.entry.id} className="px-2" />;
+                const differs = i > 0 && reference.view && column.view.moodKey !== reference.view.moodKey;
+                return (
+                  <td
+                    key={column.entry.id}
+                    className={`px-2 py-1 rounded-md text-xs ${differs ? DIFFERS_CLASS : "text-slate-800 dark:text-slate-200"}`}
+                    title={differs ? t("compare.differs", { name: reference.name }) : undefined}
+                  >
+                    {column.view.mood}
+                  </td>
+                );
+              })}
+            </tr>
+
+            {/* local time + offset from the reference city */}
+            <tr>
+              <th scope="row" className="pe-2 text-start text-xs font-medium text-slate-500 dark:text-slate-400">
+                {t("compare.row.localTime")}
+              </th>
+              {columns.map((column) => (
+                <td key={column.entry.id} className="px-2 text-slate-900 dark:text-slate-100">
+                  {column.data
+                    ? formatDate(nowSeconds, column.data.location.timezone, { weekday: "short", hour: "numeric", minute: "2-digit" })
+                    : null}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <th scope="row" className="pe-2 text-start text-xs font-medium text-slate-500 dark:text-slate-400">
+                {t("compare.row.timezone")}
+              </th>
+              {columns.map((column, i) => (
+                <td key={column.entry.id} className="px-2 text-xs text-slate-700 dark:text-slate-300">
+                  {column.data && (
+                    <>
+                      <div>{utcOffsetLabel(column.data.location.timezone)}</div>
+                      {i > 0 && reference.data && (
+                        <div className="text-slate-500 dark:text-slate-400">{offsetText(column)}</div>
+                      )}
+                    </>
+                  )}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
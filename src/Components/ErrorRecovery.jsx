@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from "react";
+import { retryDelayMs } from "../providers/errors";
+import { formatCountdown } from "../utils/weather";
+import { locationLabel } from "../utils/location";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * ErrorRecovery.jsx
+ * - Error body for WeatherCard, picked by the WeatherError code (providers/errors.js):
+ *   - server / badResponse / unknown: retries automatically with exponential backoff (countdown shown),
+ *     up to MAX_AUTO_RETRIES; the Retry button always works.
+ *   - rateLimited: cooldown timer from Retry-After; Retry is disabled until it ends, then retries itself.
+ *   - offline: retries as soon as the browser fires "online".
+ *   - invalidKey: step-by-step API key setup guide.
+ *   - notFound: spelling hint and "did you mean…" buttons for close matches (`corrections`), no retry.
+ * - `failures` / `checkedAt` come from useCachedWeather, so the backoff survives the reload in between.
+ */
+
+const API_KEYS_URL = "https://home.openweathermap.org/api_keys";
+
+export default function ErrorRecovery({ code, message, failures, checkedAt, retryAfterMs, onRetry, corrections, onCorrection }) {
+  const { t } = useI18n();
+  const delay = retryDelayMs(code, failures, retryAfterMs);
+  const retryAt = delay == null || checkedAt == null ? null : checkedAt + delay;
+  const [now, setNow] = useState(() => Date.now());
+
+  // countdown tick + the automatic retry itself
+  useEffect(() => {
+    if (retryAt == null) return;
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    const timer = setTimeout(onRetry, Math.max(0, retryAt - Date.now()));
+    return () => {
+      clearInterval(tick);
+      clearTimeout(timer);
+    };
+  }, [retryAt, onRetry]);
+
+  // offline: try again once the connection is back
+  useEffect(() => {
+    if (code !== "offline") return;
+    window.addEventListener("online", onRetry);
+    return () => window.removeEventListener("online", onRetry);
+  }, [code, onRetry]);
+
+  const remaining = retryAt == null ? 0 : Math.max(0, retryAt - now);
+  const coolingDown = code === "rateLimited" && remaining > 0;
+
+  return (
+    <div className="flex flex-col gap-3" role="alert">
+      <h3 className="text-red-600 dark:text-red-400 font-semibold">{t("card.error")}</h3>
+      <p className="text-slate-700 dark:text-slate-300">{code ? t(`error.${code}`) : message}</p>
+
+      {code === "invalidKey" && (
+        <div className="text-sm text-slate-700 dark:text-slate-300">
+          <div className="font-semibold text-slate-900 dark:text-slate-100">{t("recovery.keyTitle")}</div>
+          <ol className="mt-1 ms-5 list-decimal flex flex-col gap-1">
+            <li>
+              {t("recovery.keyStep1")}{" "}
+              <a href={API_KEYS_URL} target="_blank" rel="noreferrer" className="text-indigo-700 dark:text-indigo-300 underline">
+                {t("recovery.keyLink")}
+              </a>
+            </li>
+            <li>{t("recovery.keyStep2")}</li>
+            <li>{t("recovery.keyStep3")}</li>
+          </ol>
+          <p className="mt-2 text-xs text-slate-600 dark:text-slate-400">{t("recovery.keyAlternative")}</p>
+        </div>
+      )}
+      {code === "notFound" && <p className="text-sm text-slate-600 dark:text-slate-400">{t("recovery.notFound")}</p>}
+      {code === "notFound" && corrections?.length > 0 && onCorrection && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-slate-700 dark:text-slate-300">{t("recovery.didYouMean")}</span>
+          {corrections.map((location) => (
+            <button
+              key={locationLabel(location)}
+              type="button"
+              onClick={() => onCorrection(location)}
+              className="px-2 py-1 rounded-md bg-indigo-50 dark:bg-indigo-950/60 text-indigo-700 dark:text-indigo-300 hover:bg-indigo-100 dark:hover:bg-indigo-900/60 focus:outline-none focus:ring-2 focus:ring-indigo-300"
+            >
+              {locationLabel(location)}
+            </button>
+          ))}
+        </div>
+      )}
+      {code === "offline" && <p className="text-sm text-slate-600 dark:text-slate-400">{t("recovery.offline")}</p>}
+      {code === "rateLimited" && (
+        <p className="text-sm text-slate-600 dark:text-slate-400" aria-live="polite">
+          {coolingDown ? t("recovery.cooldown", { time: formatCountdown(remaining) }) : t("recovery.retrying")}
+        </p>
+      )}
+      {["server", "badResponse", "unknown"].includes(code) && (
+        <p className="text-sm text-slate-600 dark:text-slate-400" aria-live="polite">
+          {retryAt != null ? t("recovery.retryIn", { time: formatCountdown(remaining) }) : t("recovery.retryStopped")}
+        </p>
+      )}
+
+      {code !== "notFound" && (
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onRetry}
+            disabled={coolingDown}
+            className="px-3 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            {t("card.retry")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useMemo } from "react";
+import Icons from "./Icons";
+import { weatherIconForId, groupForecastByDay } from "../utils/weather";
+import { getProvider } from "../providers";
+import useCachedWeather from "../hooks/useCachedWeather";
+import useAutoRefresh from "../hooks/useAutoRefresh";
+import { METRIC_PREFS, formatTemperature, formatPrecipitation } from "../utils/units";
+import useI18n from "../hooks/useI18n";
+import { describeCondition } from "../i18n";
+import { conditionTheme, isNight } from "../utils/theme";
+
+/**
+ * ForecastPanel.jsx
+ * - Fetches the 5-day / 3-hour forecast for cityQuery through the configured weather provider.
+ * - Shows a horizontally scrollable hourly strip (next 24h) and daily high/low rows.
+ * - Displays precipitation probability (`pop`) for each slot and day.
+ * - Uses the same unit preferences, provider, language and icon mapping as WeatherCard so both views agree.
+ * - Icons are decorative; each slot and day also carries its condition as screen-reader text.
+ * - Hourly slots after dark use the night icons (forecasts carry no sun times, so 18:00-06:00 local).
+ */
+
+/** Number of 3-hour slots shown in the hourly strip (8 x 3h = 24h) */
+const HOURLY_SLOTS = 8;
+
+/** Probability 0..1 -> "40%" */
+function formatPop(pop) {
+  return `${Math.round((pop ?? 0) * 100)}%`;
+}
+
+export default function ForecastPanel({ cityQuery, options }) {
+  const { t, lang, formatDate } = useI18n();
+  const prefs = options?.unitPrefs ?? METRIC_PREFS;
+  const provider = getProvider(options?.provider);
+
+  // cached metric forecast; formatted with the user's units like WeatherCard
+  const { data, loading, error, errorCode, checkedAt, failures, failureCode, retryAfterMs, refresh } = useCachedWeather(
+    provider,
+    "forecast",
+    cityQuery,
+    { ttlMs: options?.cacheTtlMs, lang: options?.lang }
+  );
+  // no ErrorRecovery here, so useAutoRefresh is the only retry schedule (none for notFound / invalidKey while nothing is shown)
+  useAutoRefresh(refresh, {
+    intervalMs: options?.refreshIntervalMs ?? 0,
+    lastCheckedAt: checkedAt,
+    failures,
+    failureCode,
+    retryAfterMs,
+    hasData: data != null
+  });
+
+  const derived = useMemo(() => {
+    if (!data?.entries) return null;
+    const tz = data.location.timezone;
+    const hourly = data.entries.slice(0, HOURLY_SLOTS).map((entry) => ({
+      dt: entry.dt,
+      temp: entry.temp,
+      pop: entry.pop,
+      theme: conditionTheme(weatherIconForId(entry.condition.id, entry.condition.main), isNight(entry.dt, { timezone: tz })),
+      description: describeCondition(entry.condition, { t, lang, provider })
+    }));
+    const daily = groupForecastByDay(data.entries, tz).map((day) => ({
+      ...day,
+      theme: conditionTheme(weatherIconForId(day.condition?.id, day.condition?.main), false),
+      description: day.condition ? describeCondition(day.condition, { t, lang, provider }) : null
+    }));
+    return { tz, hourly, daily };
+  }, [data, t, lang, provider]);
+
+  if (!cityQuery || (!loading && !error && !derived)) return null;
+
+  return (
+    <section
+      className="mt-6 rounded-2xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-md shadow-2xl p-6 ring-1 ring-slate-200 dark:ring-slate-700 animate-fade-in"
+      role="region"
+      aria-label={t("forecast.title")}
+    >
+      <h3 className="text-slate-900 dark:text-slate-100 text-lg font-semibold">{t("forecast.title")}</h3>
+
+      {loading && <div className="mt-3 text-slate-600 dark:text-slate-400 text-sm animate-pulse">{t("forecast.loading")}</div>}
+
+      {error && <p className="mt-3 text-slate-700 dark:text-slate-300 text-sm">{errorCode ? t(`error.${errorCode}`) : error}</p>}
+
+      {derived && (
+        <>
+          {/* Hourly strip */}
+          <ol className="mt-4 flex gap-3 overflow-x-auto pb-2" aria-label={t("forecast.hourly")}>
+            {derived.hourly.map((slot) => {
+              const IconComp = Icons[slot.theme.icon] || Icons.clear;
+              return (
+                <li
+                  key={slot.dt}
+                  className="flex-none w-20 rounded-xl bg-white/70 dark:bg-slate-800/70 p-3 text-center shadow-sm"
+                  title={slot.description}
+                >
+                  <div className="text-slate-600 dark:text-slate-400 text-xs">{formatDate(slot.dt, derived.tz, { hour: "numeric" })}</div>
+                  <IconComp className={`w-8 h-8 mx-auto my-2 ${slot.theme.accent}`} />
+                  <span className="sr-only">{slot.description}</span>
+                  <div className="text-slate-900 dark:text-slate-100 font-semibold">
+                    {formatTemperature(slot.temp, prefs.temperature)}
+                  </div>
+                  <div className="text-sky-700 dark:text-sky-300 text-xs">{formatPop(slot.pop)}</div>
+                </li>
+              );
+            })}
+          </ol>
+
+          {/* Daily rows */}
+          <ul className="mt-4 divide-y divide-slate-200 dark:divide-slate-700" aria-label={t("forecast.daily")}>
+            {derived.daily.map((day) => {
+              const IconComp = Icons[day.theme.icon] || Icons.clear;
+              return (
+                <li key={day.key} className="flex items-center gap-4 py-2">
+                  <div className="w-24 text-slate-800 dark:text-slate-200 text-sm font-medium">
+                    {/* day.date is already shifted to the city's wall clock, so no extra offset */}
+                    {formatDate(day.date.getTime() / 1000, 0, { weekday: "short", month: "short", day: "numeric" })}
+                  </div>
+                  <IconComp className={`w-6 h-6 ${day.theme.accent}`} />
+                  {day.description && <span className="sr-only">{day.description}</span>}
+                  <div className="text-sky-700 dark:text-sky-300 text-xs w-12" title={t("forecast.pop")}>
+                    {formatPop(day.pop)}
+                  </div>
+                  {day.precipitation > 0 && (
+                    <div className="text-sky-700 dark:text-sky-300 text-xs" title={t("forecast.total")}>
+                      {formatPrecipitation(day.precipitation, prefs.precipitation)}
+                    </div>
+                  )}
+                  <div className="ms-auto text-sm">
+                    <span className="text-slate-500 dark:text-slate-400">{formatTemperature(day.min, prefs.temperature)}</span>
+                    <span className="mx-2 text-slate-400 dark:text-slate-500">/</span>
+                    <span className="text-slate-900 dark:text-slate-100 font-semibold">{formatTemperature(day.max, prefs.temperature)}</span>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+}
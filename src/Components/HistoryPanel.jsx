@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useState } from "react";
+import TrendChart from "./TrendChart";
+import { getProvider } from "../providers";
+import useCachedWeather from "../hooks/useCachedWeather";
+import useWeatherHistory from "../hooks/useWeatherHistory";
+import useI18n from "../hooks/useI18n";
+import { HISTORY_RANGES, bucketSeries, historyRange, summarize } from "../utils/history";
+import { readJson, writeJson } from "../utils/storage";
+import { METRIC_PREFS, convertTemperature, convertWind, formatTemperature, formatWind } from "../utils/units";
+
+/**
+ * HistoryPanel.jsx
+ * - Temperature, humidity and wind trends for cityQuery over 24h / 7d / 30d (range is persisted).
+ * - Data is the locally recorded observation history (every fetch is recorded), optionally backfilled
+ *   from the provider's history endpoint with "Load past data".
+ * - Min / max / average per range, formatted with the user's unit preferences like WeatherCard.
+ */
+
+const formatHumidity = (value) => (value == null ? "-" : `${Math.round(value)}%`);
+
+export default function HistoryPanel({ cityQuery, options }) {
+  const { t, formatDate } = useI18n();
+  const prefs = options?.unitPrefs ?? METRIC_PREFS;
+  const provider = getProvider(options?.provider);
+  const [rangeId, setRangeId] = useState(() => historyRange(readJson("historyRange", "24h")).id);
+
+  useEffect(() => {
+    writeJson("historyRange", rangeId);
+  }, [rangeId]);
+
+  // shares the cached current weather with WeatherCard (same `lang`, so the same cache entry); only
+  // used for coordinates and timezone
+  const { data: current } = useCachedWeather(provider, "current", cityQuery, {
+    ttlMs: options?.cacheTtlMs,
+    lang: options?.lang
+  });
+  const lat = current?.location.lat;
+  const lon = current?.location.lon;
+  const coords = useMemo(() => (lat != null && lon != null ? { lat, lon } : null), [lat, lon]);
+  const timezone = current?.location.timezone ?? 0;
+
+  const { observations, backfilling, error, errorCode, canBackfill, backfill } = useWeatherHistory(provider, cityQuery, coords);
+  const range = historyRange(rangeId);
+
+  const charts = useMemo(() => {
+    const end = Math.floor(Date.now() / 1000);
+    const start = end - range.seconds;
+    const chart = (field) => ({
+      series: bucketSeries(observations, field, start, end, range.buckets),
+      stats: summarize(observations, field, start, end)
+    });
+    return { start, end, temp: chart("temp"), humidity: chart("humidity"), wind: chart("windSpeed") };
+  }, [observations, range]);
+
+  if (!cityQuery) return null;
+
+  const formatTime = (ts) =>
+    formatDate(ts, timezone, range.id === "24h" ? { weekday: "short", hour: "numeric" } : { month: "short", day: "numeric" });
+  const shared = { start: charts.start, end: charts.end, formatTime };
+
+  return (
+    <section
+      className="mt-6 rounded-2xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-md shadow-2xl p-6 ring-1 ring-slate-200 dark:ring-slate-700 animate-fade-in"
+      role="region"
+      aria-label={t("history.title")}
+    >
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="text-slate-900 dark:text-slate-100 text-lg font-semibold">{t("history.title")}</h3>
+        <div className="ms-auto flex rounded-lg bg-white/70 dark:bg-slate-800/70 p-1 shadow-sm" role="group" aria-label={t("history.range")}>
+          {HISTORY_RANGES.map((r) => (
+            <button
+              key={r.id}
+              type="button"
+              onClick={() => setRangeId(r.id)}
+              aria-pressed={r.id === range.id}
+              className={`px-3 py-1 rounded-md text-sm ${
+                r.id === range.id ? "bg-indigo-600 text-white" : "text-slate-700 hover:bg-indigo-50 dark:text-slate-300 dark:hover:bg-indigo-950/60"
+              }`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+        {canBackfill && (
+          <button
+            type="button"
+            onClick={() => backfill(charts.start)}
+            disabled={backfilling}
+            className="px-3 py-1.5 rounded-md bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 text-slate-800 dark:text-slate-200 text-sm disabled:opacity-50"
+          >
+            {backfilling ? t("history.loading") : t("history.loadPast")}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mt-3 text-slate-700 dark:text-slate-300 text-sm">{errorCode ? t(`history.${errorCode}`) : error}</p>}
+      {!observations.length && <p className="mt-3 text-slate-600 dark:text-slate-400 text-sm">{t("history.empty")}</p>}
+
+      <div className="mt-4 grid gap-3">
+        <TrendChart
+          title={t("history.temperature")}
+          {...shared}
+          {...charts.temp}
+          convert={(v) => convertTemperature(v, prefs.temperature)}
+          format={(v) => formatTemperature(v, prefs.temperature)}
+          color="#ea580c"
+        />
+        <TrendChart
+          title={t("history.humidity")}
+          {...shared}
+          {...charts.humidity}
+          convert={(v) => v}
+          format={formatHumidity}
+          color="#0284c7"
+        />
+        <TrendChart
+          title={t("history.wind")}
+          {...shared}
+          {...charts.wind}
+          convert={(v) => convertWind(v, prefs.wind)}
+          format={(v) => formatWind(v, prefs.wind)}
+          color="#4f46e5"
+        />
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,80 @@
+import React from "react";
+
+/** Tiny inline SVG icon set; "<type>Night" variants are picked by utils/theme.js iconName() */
+const Icons = {
+  clear: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <circle cx="12" cy="12" r="4.5" stroke="currentColor" strokeWidth="1.6" />
+      <g stroke="currentColor" strokeWidth="1.4">
+        <path d="M12 2v2.8" />
+        <path d="M12 19.2V22" />
+        <path d="M4.2 4.2L5.8 5.8" />
+        <path d="M18.2 18.2L19.8 19.8" />
+        <path d="M2 12h2.8" />
+        <path d="M19.2 12H22" />
+        <path d="M4.2 19.8L5.8 18.2" />
+        <path d="M18.2 5.8L19.8 4.2" />
+      </g>
+    </svg>
+  ),
+  clouds: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <path d="M17 18H7a4 4 0 010-8 5 5 0 019.9 1.4A3.5 3.5 0 0117 18z" stroke="currentColor" strokeWidth="1.6" />
+    </svg>
+  ),
+  rain: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <path d="M17 14H7a4 4 0 010-8 5 5 0 019.9 1.4A3.5 3.5 0 0117 14z" stroke="currentColor" strokeWidth="1.6" />
+      <g stroke="currentColor" strokeWidth="1.8">
+        <path d="M8.5 18.5v1" />
+        <path d="M11 18.5v1" />
+        <path d="M13.5 18.5v1" />
+      </g>
+    </svg>
+  ),
+  snow: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <path d="M17 14H7a4 4 0 010-8 5 5 0 019.9 1.4A3.5 3.5 0 0117 14z" stroke="currentColor" strokeWidth="1.6" />
+      <g stroke="currentColor" strokeWidth="1.6">
+        <path d="M9 18l6-6" />
+        <path d="M9 12l6 6" />
+      </g>
+    </svg>
+  ),
+  fog: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <path d="M3 17h18" stroke="currentColor" strokeWidth="1.6" />
+      <path d="M2 13h20" stroke="currentColor" strokeWidth="1.6" />
+      <path d="M4 9h16" stroke="currentColor" strokeWidth="1.6" />
+    </svg>
+  ),
+  clearNight: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <path d="M20 13.5A8 8 0 1110.5 4a6.2 6.2 0 009.5 9.5z" stroke="currentColor" strokeWidth="1.6" />
+    </svg>
+  ),
+  cloudsNight: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <path d="M21 9.3A4.5 4.5 0 1114.7 3a3.5 3.5 0 006.3 6.3z" stroke="currentColor" strokeWidth="1.4" />
+      <path d="M15 20H6a3.6 3.6 0 010-7.2 4.5 4.5 0 018.9 1.3A3 3 0 0115 20z" stroke="currentColor" strokeWidth="1.6" />
+    </svg>
+  ),
+  rainNight: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <path d="M21 9.3A4.5 4.5 0 1114.7 3a3.5 3.5 0 006.3 6.3z" stroke="currentColor" strokeWidth="1.4" />
+      <path d="M15 16H6a3.6 3.6 0 010-7.2 4.5 4.5 0 018.9 1.3A3 3 0 0115 16z" stroke="currentColor" strokeWidth="1.6" />
+      <g stroke="currentColor" strokeWidth="1.8">
+        <path d="M7.5 19.5v1" />
+        <path d="M10 19.5v1" />
+        <path d="M12.5 19.5v1" />
+      </g>
+    </svg>
+  ),
+  thunder: (props) => (
+    <svg viewBox="0 0 24 24" fill="none" aria-hidden {...props}>
+      <path d="M13 2L3 14h7l-1 8 10-12h-7l1-8z" stroke="currentColor" strokeWidth="1.6" />
+    </svg>
+  )
+};
+
+export default Icons;
@@ -0,0 +1,27 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * LiveRegion.jsx
+ * - Visually hidden polite live region for screen readers (WeatherCard's spoken summary).
+ * - The message is announced whenever it changes or `stamp` does (e.g. a refresh that brought the
+ *   same numbers): the region is emptied first, since screen readers skip text that didn't change.
+ */
+
+/** Delay between clearing and filling the region, so the change is noticed */
+const ANNOUNCE_DELAY_MS = 150;
+
+export default function LiveRegion({ message, stamp }) {
+  const [spoken, setSpoken] = useState("");
+
+  useEffect(() => {
+    setSpoken("");
+    const timer = setTimeout(() => setSpoken(message), ANNOUNCE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [message, stamp]);
+
+  return (
+    <p className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+      {spoken}
+    </p>
+  );
+}
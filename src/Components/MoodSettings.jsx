@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { DEFAULT_MOOD_RULES, resolveThresholds } from "../utils/moodEngine";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * MoodSettings.jsx
+ * - Collapsible panel to tweak the thresholds of the mood ruleset (cold / cool / mild / warm
+ *   temperatures, windy and humid limits) that drive the mood and activity suggestions.
+ * - Overrides are owned and persisted by useMoodThresholds in App; "Reset" restores moodRules.json.
+ */
+
+export default function MoodSettings({ thresholds, onChange, onReset }) {
+  const { t } = useI18n();
+  // raw input text while typing, so "-" or an empty field doesn't snap back to the saved value
+  const [drafts, setDrafts] = useState({});
+  const values = resolveThresholds(DEFAULT_MOOD_RULES, thresholds);
+
+  const change = (name, text) => {
+    setDrafts((all) => ({ ...all, [name]: text }));
+    const value = Number(text);
+    if (text.trim() !== "" && Number.isFinite(value)) onChange(name, value);
+  };
+
+  const reset = () => {
+    setDrafts({});
+    onReset();
+  };
+
+  return (
+    <details className="mb-6 rounded-xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-md shadow-md ring-1 ring-slate-200 dark:ring-slate-700 p-4">
+      <summary className="cursor-pointer text-slate-900 dark:text-slate-100 font-semibold">{t("moodSettings.title")}</summary>
+      <p className="mt-2 text-xs text-slate-600 dark:text-slate-400">{t("moodSettings.hint")}</p>
+
+      <div className="mt-3 grid grid-cols-2 gap-3">
+        {Object.entries(DEFAULT_MOOD_RULES.thresholds).map(([name, threshold]) => (
+          <label key={name} className="flex flex-col gap-1 text-sm text-slate-700 dark:text-slate-300">
+            {t(`moodSettings.threshold.${name}`)}
+            <span className="flex items-center gap-1">
+              <input
+                type="number"
+                value={drafts[name] ?? String(values[name])}
+                onChange={(e) => change(name, e.target.value)}
+                onBlur={() => setDrafts((all) => ({ ...all, [name]: undefined }))}
+                className="w-20 px-2 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+              />
+              {threshold.unit}
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={reset}
+        className="mt-3 px-3 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 text-sm text-indigo-700 dark:text-indigo-300 shadow-sm hover:bg-white dark:hover:bg-slate-700 focus:outline-none focus:ring-2 focus:ring-indigo-300"
+      >
+        {t("moodSettings.reset")}
+      </button>
+    </details>
+  );
+}
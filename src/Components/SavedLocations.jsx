@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import CompactWeatherCard from "./CompactWeatherCard";
+import useI18n from "../hooks/useI18n";
+import { getProvider } from "../providers";
+
+/**
+ * SavedLocations.jsx
+ * - Dashboard grid of saved locations (favourites) rendered as compact cards.
+ * - All cards come from one batch (useSavedWeather in App) and refresh together
+ *   ("Refresh all" or the auto-refresh interval).
+ * - Drag a card onto another to reorder; × removes it; clicking a card opens it in the main WeatherCard.
+ */
+export default function SavedLocations({ saved, weather, onRemove, onMove, onSelect, options }) {
+  const { t } = useI18n();
+  const [dragIndex, setDragIndex] = useState(null);
+  const provider = getProvider(options?.provider);
+  const { results, refreshing, refreshAll } = weather;
+
+  if (!saved.length) return null;
+
+  return (
+    <section className="mb-6" role="region" aria-label={t("saved.title")}>
+      <div className="mb-3 flex items-center justify-between">
+        <h2 className="text-slate-900 dark:text-slate-100 text-lg font-semibold">{t("saved.title")}</h2>
+        <button
+          type="button"
+          onClick={refreshAll}
+          disabled={refreshing}
+          className="px-3 py-1 rounded-md bg-white/60 dark:bg-slate-900/60 text-sm text-indigo-700 dark:text-indigo-300 shadow-sm hover:bg-white/80 dark:hover:bg-slate-800/80 focus:outline-none focus:ring-2 focus:ring-indigo-300 disabled:opacity-60"
+        >
+          {refreshing ? t("saved.refreshing") : t("saved.refreshAll")}
+        </button>
+      </div>
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {saved.map((entry, i) => (
+          <li
+            key={entry.id}
+            draggable
+            onDragStart={(e) => {
+              setDragIndex(i);
+              e.dataTransfer.effectAllowed = "move";
+            }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragIndex != null) onMove(dragIndex, i);
+              setDragIndex(null);
+            }}
+            onDragEnd={() => setDragIndex(null)}
+            className={`relative ${dragIndex === i ? "opacity-50" : ""}`}
+          >
+            <CompactWeatherCard
+              location={entry.location}
+              result={results[entry.id]}
+              prefs={options?.unitPrefs}
+              provider={provider}
+              onSelect={() => onSelect(entry.location)}
+            />
+            <button
+              type="button"
+              onClick={() => onRemove(entry.id)}
+              className="absolute -top-2 -end-2 w-6 h-6 rounded-full bg-white dark:bg-slate-800 text-slate-500 dark:text-slate-400 shadow ring-1 ring-slate-200 dark:ring-slate-700 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-indigo-300"
+              aria-label={t("saved.remove")}
+              title={t("saved.removeShort")}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,94 @@
+import React from "react";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * TrendChart.jsx
+ * - Small dependency-free SVG line chart for one recorded quantity over a time range.
+ * - `series` is bucketed metric data ([{ dt, value | null }]); null buckets leave a gap in the line.
+ * - `convert` maps metric values into the user's unit for plotting, `format` renders metric values as labels,
+ *   so the chart and its min / max / avg read in the same units as the rest of the app.
+ */
+
+const WIDTH = 300;
+const HEIGHT = 90;
+const PAD_Y = 6;
+
+/** Split the series into runs of consecutive non-null points */
+function segments(points) {
+  const runs = [];
+  let run = [];
+  for (const point of points) {
+    if (point.y == null) {
+      if (run.length) runs.push(run);
+      run = [];
+    } else {
+      run.push(point);
+    }
+  }
+  if (run.length) runs.push(run);
+  return runs;
+}
+
+export default function TrendChart({ title, series, start, end, stats, convert, format, color = "#4f46e5", formatTime }) {
+  const { t } = useI18n();
+  const values = series.map((b) => (b.value == null ? null : convert(b.value)));
+  const defined = values.filter((v) => v != null);
+  const lo = defined.length ? Math.min(...defined) : 0;
+  const hi = defined.length ? Math.max(...defined) : 1;
+  const span = hi - lo || 1;
+
+  const points = series.map((b, i) => ({
+    x: ((b.dt - start) / (end - start)) * WIDTH,
+    y: values[i] == null ? null : PAD_Y + (1 - (values[i] - lo) / span) * (HEIGHT - 2 * PAD_Y)
+  }));
+
+  return (
+    <figure className="rounded-xl bg-white/70 dark:bg-slate-800/70 p-3 shadow-sm">
+      <figcaption className="flex items-baseline justify-between">
+        <span className="text-slate-900 dark:text-slate-100 text-sm font-semibold">{title}</span>
+        {stats && (
+          <span className="text-xs text-slate-600 dark:text-slate-400">
+            {t("chart.min")} <strong className="text-slate-800 dark:text-slate-200">{format(stats.min)}</strong> · {t("chart.avg")}{" "}
+            <strong className="text-slate-800 dark:text-slate-200">{format(stats.avg)}</strong> · {t("chart.max")}{" "}
+            <strong className="text-slate-800 dark:text-slate-200">{format(stats.max)}</strong>
+          </span>
+        )}
+      </figcaption>
+
+      {defined.length ? (
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          preserveAspectRatio="none"
+          className="mt-2 w-full h-24"
+          role="img"
+          aria-label={t("chart.label", { title, min: format(stats?.min), max: format(stats?.max) })}
+        >
+          <line x1="0" x2={WIDTH} y1={PAD_Y} y2={PAD_Y} stroke="#e2e8f0" strokeWidth="1" />
+          <line x1="0" x2={WIDTH} y1={HEIGHT - PAD_Y} y2={HEIGHT - PAD_Y} stroke="#e2e8f0" strokeWidth="1" />
+          {segments(points).map((run) =>
+            run.length === 1 ? (
+              <circle key={run[0].x} cx={run[0].x} cy={run[0].y} r="2" fill={color} />
+            ) : (
+              <polyline
+                key={run[0].x}
+                points={run.map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" ")}
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+                strokeLinejoin="round"
+                vectorEffect="non-scaling-stroke"
+              />
+            )
+          )}
+        </svg>
+      ) : (
+        <div className="mt-2 h-24 flex items-center justify-center text-slate-400 dark:text-slate-500 text-xs">{t("chart.noData")}</div>
+      )}
+
+      <div className="flex justify-between text-[10px] text-slate-500 dark:text-slate-400">
+        <span>{formatTime(start)}</span>
+        <span>{formatTime(end)}</span>
+      </div>
+    </figure>
+  );
+}
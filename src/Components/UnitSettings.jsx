@@ -0,0 +1,51 @@
+import React from "react";
+import { UNIT_OPTIONS } from "../utils/units";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * UnitSettings.jsx
+ * - Collapsible panel with one select per quantity (temperature, wind, pressure, visibility, precipitation).
+ * - "Metric" / "Imperial" buttons switch every quantity at once.
+ * - Preferences are owned and persisted by useUnitPrefs in App.
+ */
+
+export default function UnitSettings({ prefs, onChange, onPreset }) {
+  const { t } = useI18n();
+  return (
+    <details className="mb-6 rounded-xl bg-white/60 dark:bg-slate-900/60 backdrop-blur-md shadow-md ring-1 ring-slate-200 dark:ring-slate-700 p-4">
+      <summary className="cursor-pointer text-slate-900 dark:text-slate-100 font-semibold">{t("units.title")}</summary>
+
+      <div className="mt-3 flex gap-2">
+        {["metric", "imperial"].map((preset) => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => onPreset(preset)}
+            className="px-3 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 text-sm text-indigo-700 dark:text-indigo-300 shadow-sm hover:bg-white dark:hover:bg-slate-700 focus:outline-none focus:ring-2 focus:ring-indigo-300"
+          >
+            {t(`units.${preset}`)}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-3">
+        {Object.entries(UNIT_OPTIONS).map(([quantity, options]) => (
+          <label key={quantity} className="flex flex-col gap-1 text-sm text-slate-700 dark:text-slate-300">
+            {t(`units.${quantity}`)}
+            <select
+              value={prefs[quantity]}
+              onChange={(e) => onChange(quantity, e.target.value)}
+              className="px-2 py-1 rounded-md bg-white/80 dark:bg-slate-800/80 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-300"
+            >
+              {options.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,18 @@
+import React from "react";
+
+/**
+ * WeatherBackdrop.jsx
+ * - Full-screen layer behind the app: the gradient for the current condition and day / night,
+ *   plus its animated particle layers (rain, snow, fog, lightning).
+ * - `theme` comes from utils/theme.js (reported by WeatherCard); null shows the default gradient.
+ * - Colours, animations, dark mode and reduced motion are handled in styles.css.
+ */
+export default function WeatherBackdrop({ theme }) {
+  return (
+    <div className={`weather-backdrop ${theme?.backdrop ?? "backdrop-default"}`} aria-hidden>
+      {(theme?.particles ?? []).map((kind) => (
+        <div key={kind} className={`particles particles-${kind}`} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import WeatherCard from "./WeatherCard";
+import { mockWeatherApi } from "../test/weatherApi";
+import { axeViolations } from "../test/axe";
+import { IMPERIAL_PREFS, METRIC_PREFS } from "../utils/units";
+
+// Every test searches a city of its own: the weather cache lives for the whole file.
+const metric = { unitPrefs: METRIC_PREFS, refreshIntervalMs: 0 };
+
+// failed fetches are logged by useCachedWeather; expected here
+beforeEach(() => {
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("WeatherCard", () => {
+  it("asks for a city before anything was searched", () => {
+    const fetchMock = mockWeatherApi();
+    render(<WeatherCard cityQuery={null} options={metric} />);
+
+    expect(screen.getByRole("heading", { name: "Search for a city" })).toBeInTheDocument();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("shows a loading state while the request is in flight", async () => {
+    mockWeatherApi({ cities: { Slowtown: "pending" } });
+    render(<WeatherCard cityQuery="Slowtown" options={metric} />);
+
+    expect(await screen.findByText("Loading weather…")).toBeInTheDocument();
+  });
+
+  it("renders the synthetic fixture observation", async () => {
+    const fetchMock = mockWeatherApi();
+    const onStatusChange = vi.fn();
+    render(<WeatherCard cityQuery="Bristol" options={metric} onStatusChange={onStatusChange} />);
+
+    expect(await screen.findByRole("region", { name: /Bristol/ })).toBeInTheDocument();
+    expect(screen.getByRole("heading", { name: "Bristol (GB)" })).toBeInTheDocument();
+    expect(screen.getByText("Feels like 12°C")).toBeInTheDocument();
+    expect(screen.getByText("Humidity: 81%")).toBeInTheDocument();
+    expect(screen.getByText("Wind: 16.6 km/h")).toBeInTheDocument();
+    expect(screen.getByText(/Precipitation: 0.4 mm/)).toBeInTheDocument();
+    expect(screen.getByText("Mood")).toBeInTheDocument();
+
+    const url = new URL(fetchMock.mock.calls[0][0]);
+    expect(url.pathname).toBe("/api/weather");
+    expect(url.searchParams.get("units")).toBe("metric");
+    expect(onStatusChange).toHaveBeenLastCalledWith(expect.objectContaining({ query: "Bristol", errorCode: null }));
+  });
+
+  it("announces a spoken summary and labels the condition icon", async () => {
+    mockWeatherApi();
+    const { rerender } = render(<WeatherCard cityQuery="Cardiff" options={metric} />);
+
+    const summary = await screen.findByRole("status");
+    await waitFor(() => expect(summary).toHaveTextContent("Cardiff, light rain, 12 degrees, feels like 12"));
+    expect(summary).toHaveAttribute("aria-live", "polite");
+    expect(screen.getByRole("img", { name: "light rain" })).toBeInTheDocument();
+
+    rerender(<WeatherCard cityQuery="Cardiff" options={{ ...metric, unitPrefs: IMPERIAL_PREFS }} />);
+    await waitFor(() => expect(summary).toHaveTextContent("Cardiff, light rain, 54 degrees, feels like 53"));
+  });
+
+  it("formats with the user's units without refetching", async () => {
+    const fetchMock = mockWeatherApi();
+    const { rerender } = render(<WeatherCard cityQuery="Leeds" options={metric} />);
+    await screen.findByText("Feels like 12°C");
+    const calls = fetchMock.mock.calls.length;
+
+    rerender(<WeatherCard cityQuery="Leeds" options={{ ...metric, unitPrefs: IMPERIAL_PREFS }} />);
+
+    expect(screen.getByText("Feels like 53°F")).toBeInTheDocument();
+    expect(screen.getByText("Wind: 10.3 mph")).toBeInTheDocument();
+    expect(fetchMock).toHaveBeenCalledTimes(calls);
+  });
+
+  it("copes with a response without wind", async () => {
+    mockWeatherApi({ cities: { Calmton: { wind: undefined } } });
+    render(<WeatherCard cityQuery="Calmton" options={metric} />);
+
+    expect(await screen.findByText("Wind: -")).toBeInTheDocument();
+  });
+
+  it("expands the details", async () => {
+    mockWeatherApi();
+    render(<WeatherCard cityQuery="York" options={metric} />);
+    const toggle = await screen.findByRole("button", { name: "More details ▼" });
+
+    await userEvent.click(toggle);
+
+    expect(toggle).toHaveAttribute("aria-expanded", "true");
+    expect(screen.getByText("Pressure")).toBeInTheDocument();
+    expect(screen.getByText("1012 hPa")).toBeInTheDocument();
+  });
+
+  it("has no axe violations with the details open", async () => {
+    mockWeatherApi();
+    const { container } = render(<WeatherCard cityQuery="Swansea" options={metric} />);
+    await userEvent.click(await screen.findByRole("button", { name: "More details ▼" }));
+    await screen.findByText("1012 hPa");
+
+    expect(await axeViolations(container)).toEqual([]);
+  });
+
+  it("keeps showing cached data when the connection drops", async () => {
+    mockWeatherApi();
+    const { unmount } = render(<WeatherCard cityQuery="Cachetown" options={metric} />);
+    await screen.findByText("Feels like 12°C");
+    unmount();
+
+    mockWeatherApi({ cities: { Cachetown: "offline" } });
+    render(<WeatherCard cityQuery="Cachetown" options={{ ...metric, cacheTtlMs: 0 }} />);
+
+    expect(await screen.findByText(/Offline — showing data from/)).toBeInTheDocument();
+    expect(screen.getByText("Feels like 12°C")).toBeInTheDocument();
+  });
+
+  describe("errors", () => {
+    it("offers close matches for a city that isn't found", async () => {
+      mockWeatherApi({ cities: { Pariss: 404 } });
+      const onStatusChange = vi.fn();
+      const onCorrection = vi.fn();
+      const paris = { name: "Paris", country: "FR", lat: 48.86, lon: 2.35 };
+      render(
+        <WeatherCard
+          cityQuery="Pariss"
+          options={metric}
+          onStatusChange={onStatusChange}
+          corrections={[paris]}
+          onCorrection={onCorrection}
+        />
+      );
+
+      expect(await screen.findByText("City not found. Try a different name.")).toBeInTheDocument();
+      expect(screen.queryByRole("button", { name: "Retry" })).not.toBeInTheDocument();
+      expect(onStatusChange).toHaveBeenLastCalledWith({ query: "Pariss", data: null, errorCode: "notFound" });
+
+      await userEvent.click(screen.getByRole("button", { name: "Paris, FR" }));
+      expect(onCorrection).toHaveBeenCalledWith(paris);
+    });
+
+    it("walks through the API key setup when the key is rejected", async () => {
+      mockWeatherApi({ cities: { Keyless: 401 } });
+      render(<WeatherCard cityQuery="Keyless" options={metric} />);
+
+      expect(await screen.findByText("The weather service rejected the API key.")).toBeInTheDocument();
+      expect(screen.getByText("Set up an OpenWeatherMap API key")).toBeInTheDocument();
+      expect(screen.getByRole("link", { name: "Open the API keys page" })).toHaveAttribute("href", expect.stringContaining("openweathermap"));
+    });
+
+    it("cools down after a 429", async () => {
+      mockWeatherApi({ cities: { Busyville: 429 } });
+      const { container } = render(<WeatherCard cityQuery="Busyville" options={metric} />);
+
+      expect(await screen.findByText("Too many requests to the weather service.")).toBeInTheDocument();
+      expect(screen.getByText(/You can try again in 0:(30|29)/)).toBeInTheDocument();
+      expect(screen.getByRole("button", { name: "Retry" })).toBeDisabled();
+      expect(await axeViolations(container)).toEqual([]);
+    });
+
+    it("retries server errors on demand", async () => {
+      const fetchMock = mockWeatherApi({ cities: { Flakyton: 503 } });
+      render(<WeatherCard cityQuery="Flakyton" options={metric} />);
+      await screen.findByText("The weather service is having trouble right now.");
+      expect(screen.getByText(/Retrying automatically in/)).toBeInTheDocument();
+      const calls = fetchMock.mock.calls.length;
+
+      await userEvent.click(screen.getByRole("button", { name: "Retry" }));
+
+      await waitFor(() => expect(fetchMock.mock.calls.length).toBeGreaterThan(calls));
+    });
+
+    it("explains that there is nothing cached while offline", async () => {
+      mockWeatherApi({ cities: { Faraway: "offline" } });
+      render(<WeatherCard cityQuery="Faraway" options={metric} />);
+
+      expect(await screen.findByText("You're offline and there is no saved weather for this location yet.")).toBeInTheDocument();
+      expect(screen.getByText("We'll try again as soon as you're back online.")).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import React from "react";
+import { compassPoint, daylightProgress } from "../utils/weather";
+import { METRIC_PREFS, formatPressure, formatVisibility, formatWind } from "../utils/units";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * WeatherDetails.jsx
+ * - Extra conditions for the expanded WeatherCard: pressure, visibility, cloud cover, gusts and
+ *   UV index (when the provider reports it).
+ * - Wind compass (arrow points where the wind is blowing to; label is where it comes from).
+ * - Daylight arc: sunrise / sunset shown in the city's local time (formatDate from useI18n) with the
+ *   sun's current position along the arc.
+ * - Expects the metric current model; formatting follows the user's unit preferences.
+ */
+
+function WindCompass({ deg, speedDisplay }) {
+  const { t } = useI18n();
+  return (
+    <div className="flex items-center gap-3">
+      <svg viewBox="0 0 64 64" className="w-16 h-16 text-indigo-600 dark:text-indigo-300" role="img" aria-label={t("details.windFromLabel", { direction: compassPoint(deg) })}>
+        <circle cx="32" cy="32" r="28" fill="none" stroke="currentColor" strokeOpacity="0.25" strokeWidth="2" />
+        <g fontSize="8" fill="currentColor" textAnchor="middle" fillOpacity="0.7">
+          <text x="32" y="12">N</text>
+          <text x="54" y="35">E</text>
+          <text x="32" y="58">S</text>
+          <text x="10" y="35">W</text>
+        </g>
+        {deg != null && (
+          // drawn pointing south (wind from the north) and rotated by the meteorological direction
+          <g transform={`rotate(${deg} 32 32)`}>
+            <path d="M32 16v28" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" />
+            <path d="M26 38l6 8 6-8" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinejoin="round" />
+          </g>
+        )}
+      </svg>
+      <div className="text-sm">
+        <div className="text-slate-500 dark:text-slate-400 text-xs">{t("details.wind")}</div>
+        <div className="text-slate-900 dark:text-slate-100 font-medium">{speedDisplay}</div>
+        <div className="text-slate-600 dark:text-slate-400 text-xs">
+          {t("details.windFrom", { direction: compassPoint(deg) })}
+          {deg != null && ` (${Math.round(deg)}°)`}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DaylightArc({ sunrise, sunset, timezone }) {
+  const { t, formatDate } = useI18n();
+  if (sunrise == null || sunset == null) return null;
+  const progress = daylightProgress(Math.floor(Date.now() / 1000), sunrise, sunset);
+  const lengthMin = Math.round((sunset - sunrise) / 60);
+  const sunX = progress != null ? 60 - 50 * Math.cos(Math.PI * progress) : null;
+  const sunY = progress != null ? 55 - 50 * Math.sin(Math.PI * progress) : null;
+
+  return (
+    <div className="flex flex-col items-center">
+      <svg viewBox="0 0 120 62" className="w-40 h-20" role="img" aria-label={t("details.daylight")}>
+        <path d="M10 55a50 50 0 0 1 100 0" fill="none" stroke="#cbd5e1" strokeWidth="2" strokeDasharray="4 3" />
+        <path d="M4 55h112" stroke="#94a3b8" strokeWidth="1" />
+        {progress != null && <circle cx={sunX} cy={sunY} r="5" fill="#facc15" stroke="#eab308" strokeWidth="1.5" />}
+      </svg>
+      <div className="w-40 flex justify-between text-xs text-slate-600 dark:text-slate-400">
+        <span>↑ {formatDate(sunrise, timezone, { hour: "2-digit", minute: "2-digit" })}</span>
+        <span>↓ {formatDate(sunset, timezone, { hour: "2-digit", minute: "2-digit" })}</span>
+      </div>
+      <div className="text-xs text-slate-500 dark:text-slate-400">
+        {t("details.dayLength", { hours: Math.floor(lengthMin / 60), minutes: lengthMin % 60 })}
+        {progress == null && ` · ${t("details.sunDown")}`}
+      </div>
+    </div>
+  );
+}
+
+export default function WeatherDetails({ data, prefs = METRIC_PREFS }) {
+  const { t } = useI18n();
+  const stats = [
+    { label: t("details.pressure"), value: formatPressure(data.pressure, prefs.pressure) },
+    { label: t("details.visibility"), value: formatVisibility(data.visibility, prefs.visibility) },
+    { label: t("details.clouds"), value: data.clouds != null ? `${data.clouds}%` : "-" },
+    { label: t("details.gusts"), value: formatWind(data.windGust, prefs.wind) }
+  ];
+  if (data.uvIndex != null) stats.push({ label: t("details.uv"), value: data.uvIndex.toFixed(1) });
+
+  return (
+    <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4 items-center">
+      <dl className="grid grid-cols-2 gap-3">
+        {stats.map((stat) => (
+          <div key={stat.label}>
+            <dt className="text-slate-500 dark:text-slate-400 text-xs">{stat.label}</dt>
+            <dd className="text-slate-900 dark:text-slate-100 text-sm font-medium">{stat.value}</dd>
+          </div>
+        ))}
+      </dl>
+      <div className="flex flex-col items-center gap-3">
+        <WindCompass deg={data.windDeg} speedDisplay={formatWind(data.windSpeed, prefs.wind)} />
+        <DaylightArc sunrise={data.sunrise} sunset={data.sunset} timezone={data.location.timezone} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useState } from "react";
+import { readJson, writeJson } from "../utils/storage";
+import { DEFAULT_RULES } from "../utils/alertRules";
+
+/**
+ * useAlertRules.js
+ * Threshold rules per saved location, persisted in localStorage as { [locationId]: Rule[] }.
+ * Locations without an entry use DEFAULT_RULES until the user edits them.
+ */
+
+const STORAGE_KEY = "alertRules";
+
+export default function useAlertRules() {
+  const [rulesById, setRulesById] = useState(() => readJson(STORAGE_KEY, {}));
+
+  useEffect(() => {
+    writeJson(STORAGE_KEY, rulesById);
+  }, [rulesById]);
+
+  const rulesFor = useCallback((locationId) => rulesById[locationId] ?? DEFAULT_RULES, [rulesById]);
+
+  const addRule = useCallback((locationId, rule) => {
+    const id = `${rule.type}-${Date.now().toString(36)}`;
+    setRulesById((all) => ({ ...all, [locationId]: [...(all[locationId] ?? DEFAULT_RULES), { ...rule, id }] }));
+  }, []);
+
+  const removeRule = useCallback((locationId, ruleId) => {
+    setRulesById((all) => ({
+      ...all,
+      [locationId]: (all[locationId] ?? DEFAULT_RULES).filter((rule) => rule.id !== ruleId)
+    }));
+  }, []);
+
+  return { rulesFor, addRule, removeRule };
+}
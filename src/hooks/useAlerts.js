@@ -0,0 +1,140 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { runBatched } from "../providers/dedupe";
+import { getWeather } from "../providers/weatherCache";
+import { describeRule, evaluateRules } from "../utils/alertRules";
+import { locationKey, locationLabel, placeName } from "../utils/location";
+import { describeCondition } from "../i18n";
+import { METRIC_PREFS } from "../utils/units";
+
+/**
+ * useAlerts.js
+ * Alerts for saved locations.
+ * - Official alerts from the provider (One Call `alerts`) when it implements getAlerts. Requested again
+ *   only when a location's coordinates change or after ALERTS_TTL_MS, failures (e.g. 401 without a
+ *   One Call subscription) included.
+ * - User rules (useAlertRules) evaluated against each location's current metric data.
+ * - New matches are pushed through the Notification API when permission is granted; a match only
+ *   notifies again after it has cleared.
+ * - Titles and bodies are in the selected language (`t` / `lang` from useI18n); rule thresholds are
+ *   described in the user's units (`prefs`).
+ *
+ * Returns { alerts: [{ key, locationId, location, kind, title, body }], permission, requestPermission }.
+ */
+
+/** Official alerts change slowly; don't hit One Call more than every 30 min per location */
+const ALERTS_TTL_MS = 30 * 60 * 1000;
+
+function notificationPermission() {
+  return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+}
+
+export default function useAlerts(saved, results, { provider, rulesFor, t, lang, prefs = METRIC_PREFS }) {
+  const [official, setOfficial] = useState({}); // { [locationId]: alert[] }
+  const [permission, setPermission] = useState(notificationPermission);
+  const notifiedRef = useRef(new Set());
+  const failedAtRef = useRef(new Map()); // locationKey -> when its alerts request last failed
+  const [alertsTick, setAlertsTick] = useState(0); // bumped every ALERTS_TTL_MS to check again
+
+  // the resolved coordinates of each saved location, as a string so batch / loading updates that
+  // don't move anything leave the alerts effect alone
+  const targetsKey = useMemo(
+    () =>
+      JSON.stringify(
+        saved
+          .map((entry) => ({ id: entry.id, location: results[entry.id]?.data?.location }))
+          .filter(({ location }) => location?.lat != null)
+          .map(({ id, location }) => ({ id, lat: location.lat, lon: location.lon }))
+      ),
+    [saved, results]
+  );
+
+  // official alerts, fetched by the coordinates of each resolved location
+  useEffect(() => {
+    if (!provider.getAlerts) return;
+    const targets = JSON.parse(targetsKey);
+    if (!targets.length) return;
+
+    let cancelled = false;
+    runBatched(
+      targets.map(({ lat, lon }) => () => {
+        // failures aren't cached by getWeather; skip a location for ALERTS_TTL_MS after one
+        const failedAt = failedAtRef.current.get(locationKey({ lat, lon }));
+        if (failedAt != null && Date.now() - failedAt < ALERTS_TTL_MS) return Promise.resolve({ data: [] });
+        return getWeather(provider, "alerts", { lat, lon }, { ttlMs: ALERTS_TTL_MS, lang }).catch((err) => {
+          failedAtRef.current.set(locationKey({ lat, lon }), Date.now());
+          throw err;
+        });
+      })
+    ).then((settled) => {
+      if (cancelled) return;
+      // alerts are best-effort (One Call needs its own subscription): failures just mean "none"
+      setOfficial(
+        Object.fromEntries(
+          targets.map((target, i) => [target.id, settled[i].status === "fulfilled" ? settled[i].value.data : []])
+        )
+      );
+    });
+
+    const timer = setTimeout(() => setAlertsTick((n) => n + 1), ALERTS_TTL_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [targetsKey, provider, lang, alertsTick]);
+
+  const alerts = useMemo(() => {
+    const list = [];
+    for (const entry of saved) {
+      const data = results[entry.id]?.data;
+      const name = data ? placeName(data.location, t) : locationLabel(entry.location);
+      for (const alert of official[entry.id] ?? []) {
+        list.push({
+          key: `${entry.id}|official|${alert.id}`,
+          locationId: entry.id,
+          location: entry.location,
+          kind: "official",
+          title: `${name}: ${alert.event}`,
+          body: alert.sender ? `${alert.description}\n— ${alert.sender}` : alert.description
+        });
+      }
+      for (const rule of evaluateRules(rulesFor(entry.id), data)) {
+        list.push({
+          key: `${entry.id}|rule|${rule.id}`,
+          locationId: entry.id,
+          location: entry.location,
+          kind: "rule",
+          title: `${name}: ${describeRule(rule, t, prefs)}`,
+          body: describeCondition(data.condition, { t, lang, provider })
+        });
+      }
+    }
+    return list;
+  }, [saved, results, official, rulesFor, t, lang, provider, prefs]);
+
+  // push notifications for matches we haven't announced yet
+  useEffect(() => {
+    const active = new Set(alerts.map((alert) => alert.key));
+    for (const alert of alerts) {
+      if (notifiedRef.current.has(alert.key)) continue;
+      notifiedRef.current.add(alert.key);
+      if (notificationPermission() === "granted") {
+        try {
+          new Notification(alert.title, { body: alert.body, tag: alert.key });
+        } catch (err) {
+          // some mobile browsers only allow notifications from a service worker
+          console.error(err);
+        }
+      }
+    }
+    // forget cleared matches so they notify again next time they trigger
+    for (const key of notifiedRef.current) if (!active.has(key)) notifiedRef.current.delete(key);
+  }, [alerts]);
+
+  const requestPermission = useCallback(async () => {
+    if (typeof Notification === "undefined") return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  return { alerts, permission, requestPermission };
+}
@@ -0,0 +1,31 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from "vitest";
+import { renderHook, waitFor } from "@testing-library/react";
+import useAlerts from "./useAlerts";
+import { WeatherError } from "../providers/errors";
+
+const saved = [{ id: "oslo", location: "Oslo" }];
+const resultsAt = (lat, lon) => ({ oslo: { data: { location: { name: "Oslo", lat, lon }, condition: { id: 800 } } } });
+const options = (provider) => ({ provider, rulesFor: () => [], t: (key) => key, lang: "en" });
+
+describe("useAlerts", () => {
+  it("doesn't re-request failed official alerts on every batch update", async () => {
+    // One Call without a subscription answers 401
+    const getAlerts = vi.fn().mockRejectedValue(new WeatherError("invalidKey", "401", { status: 401 }));
+    const provider = { id: "alerts-test", getAlerts };
+    const { rerender } = renderHook(({ results }) => useAlerts(saved, results, options(provider)), {
+      initialProps: { results: resultsAt(59.91, 10.75) }
+    });
+    await waitFor(() => expect(getAlerts).toHaveBeenCalledTimes(1));
+
+    // a new results object (refresh, loading flag) with the same coordinates
+    rerender({ results: resultsAt(59.91, 10.75) });
+    rerender({ results: resultsAt(59.91, 10.75) });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(getAlerts).toHaveBeenCalledTimes(1);
+
+    // moved coordinates are a new location
+    rerender({ results: resultsAt(60.39, 5.32) });
+    await waitFor(() => expect(getAlerts).toHaveBeenCalledTimes(2));
+  });
+});
@@ -0,0 +1,94 @@
+import { useEffect, useRef, useState } from "react";
+import { retryDelayMs } from "../providers/errors";
+
+/**
+ * useAutoRefresh.js
+ * Periodic background refresh that is aware of the page and the network.
+ * - Schedules `onRefresh` `intervalMs` after the last check (`lastCheckedAt`, ms epoch).
+ * - Pauses while the tab is hidden (Page Visibility API); when it becomes visible again an
+ *   overdue refresh runs immediately.
+ * - Refreshes on window focus (if the last check is older than FOCUS_MIN_GAP_MS) and when the
+ *   browser comes back online.
+ * - After failures the delay backs off exponentially; rate-limited (429) failures never retry
+ *   sooner than the normal interval or the server's Retry-After (`retryAfterMs`).
+ * - While there is no data to show (`hasData` false), whether a failure is retried at all follows
+ *   retryDelayMs (providers/errors.js), keyed on the last failure's WeatherError code (`failureCode`):
+ *   notFound and invalidKey are never retried, offline waits for the "online" event, and retries stop
+ *   after MAX_AUTO_RETRIES. While cached data is shown it keeps backing off, capped at MAX_BACKOFF_MS,
+ *   and focus / reconnect always refresh.
+ *
+ * Returns { nextRefreshAt } (ms epoch, or null when disabled / paused) for countdown display.
+ */
+
+const RETRY_BASE_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const FOCUS_MIN_GAP_MS = 60 * 1000;
+
+/** Delay before the next refresh given consecutive failures, or null when it shouldn't be retried */
+export function nextRefreshDelay(intervalMs, failures = 0, failureCode = null, retryAfterMs = null, hasData = false) {
+  if (!failures) return intervalMs;
+  const retryDelay = retryDelayMs(failureCode, failures, retryAfterMs);
+  // the give-up rules only apply while there is nothing to show
+  if (retryDelay == null && !hasData) return null;
+  const rateLimited = failureCode === "rateLimited";
+  const base = rateLimited ? intervalMs : RETRY_BASE_MS;
+  const backoff = Math.min(MAX_BACKOFF_MS, base * 2 ** (failures - 1));
+  return rateLimited ? Math.max(intervalMs, backoff, retryDelay) : backoff;
+}
+
+function pageVisible() {
+  return typeof document === "undefined" || document.visibilityState !== "hidden";
+}
+
+export default function useAutoRefresh(
+  onRefresh,
+  {
+    intervalMs,
+    lastCheckedAt,
+    failures = 0,
+    failureCode = null,
+    retryAfterMs = null,
+    hasData = false,
+    enabled = true
+  }
+) {
+  const [visible, setVisible] = useState(pageVisible);
+  const onRefreshRef = useRef(onRefresh);
+  onRefreshRef.current = onRefresh;
+
+  const active = enabled && intervalMs > 0 && lastCheckedAt != null;
+  const delay = active ? nextRefreshDelay(intervalMs, failures, failureCode, retryAfterMs, hasData) : null;
+  const nextRefreshAt = delay != null && visible ? lastCheckedAt + delay : null;
+  const retrying = delay != null; // false after a failure that isn't retried
+
+  // track tab visibility
+  useEffect(() => {
+    const onVisibility = () => setVisible(pageVisible());
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, []);
+
+  // the timer itself; re-armed whenever a check completes or visibility changes
+  useEffect(() => {
+    if (nextRefreshAt == null) return;
+    const timer = setTimeout(() => onRefreshRef.current(), Math.max(0, nextRefreshAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [nextRefreshAt]);
+
+  // focus / reconnect triggers
+  useEffect(() => {
+    if (!active) return;
+    const onFocus = () => {
+      if (retrying && Date.now() - lastCheckedAt >= FOCUS_MIN_GAP_MS) onRefreshRef.current();
+    };
+    const onOnline = () => onRefreshRef.current();
+    window.addEventListener("focus", onFocus);
+    window.addEventListener("online", onOnline);
+    return () => {
+      window.removeEventListener("focus", onFocus);
+      window.removeEventListener("online", onOnline);
+    };
+  }, [active, retrying, lastCheckedAt]);
+
+  return { nextRefreshAt };
+}
@@ -0,0 +1,88 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import useAutoRefresh, { nextRefreshDelay } from "./useAutoRefresh";
+import { MAX_AUTO_RETRIES } from "../providers/errors";
+
+const MINUTE = 60 * 1000;
+
+describe("nextRefreshDelay", () => {
+  it("uses the interval while everything works", () => {
+    expect(nextRefreshDelay(10 * MINUTE)).toBe(10 * MINUTE);
+  });
+
+  it("backs off from 30s after failures", () => {
+    expect(nextRefreshDelay(10 * MINUTE, 1, "server")).toBe(30 * 1000);
+    expect(nextRefreshDelay(10 * MINUTE, 3, "server")).toBe(2 * MINUTE);
+  });
+
+  it("never retries a 429 before the interval or Retry-After", () => {
+    expect(nextRefreshDelay(5 * MINUTE, 1, "rateLimited")).toBe(5 * MINUTE);
+    expect(nextRefreshDelay(5 * MINUTE, 1, "rateLimited", 20 * MINUTE)).toBe(20 * MINUTE);
+  });
+
+  it("does not retry failures that retrying can't fix", () => {
+    for (const failures of [1, 2, 3]) {
+      expect(nextRefreshDelay(10 * MINUTE, failures, "notFound")).toBeNull();
+      expect(nextRefreshDelay(10 * MINUTE, failures, "invalidKey")).toBeNull();
+    }
+    // offline waits for the "online" event instead
+    expect(nextRefreshDelay(10 * MINUTE, 1, "offline")).toBeNull();
+  });
+
+  it("stops retrying after MAX_AUTO_RETRIES failures", () => {
+    expect(nextRefreshDelay(10 * MINUTE, MAX_AUTO_RETRIES, "server")).not.toBeNull();
+    expect(nextRefreshDelay(10 * MINUTE, MAX_AUTO_RETRIES + 1, "server")).toBeNull();
+  });
+
+  it("keeps backing off, capped, while cached data is shown", () => {
+    expect(nextRefreshDelay(10 * MINUTE, MAX_AUTO_RETRIES + 1, "server", null, true)).toBe(16 * MINUTE);
+    expect(nextRefreshDelay(10 * MINUTE, 20, "server", null, true)).toBe(30 * MINUTE);
+    expect(nextRefreshDelay(10 * MINUTE, 1, "offline", null, true)).toBe(30 * 1000);
+    expect(nextRefreshDelay(10 * MINUTE, 2, "notFound", null, true)).toBe(MINUTE);
+  });
+});
+
+describe("useAutoRefresh", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("keeps refreshing after more than MAX_AUTO_RETRIES failures while cached data is shown", () => {
+    vi.useFakeTimers();
+    const onRefresh = vi.fn();
+    const failures = MAX_AUTO_RETRIES + 3;
+    renderHook(() =>
+      useAutoRefresh(onRefresh, {
+        intervalMs: 10 * MINUTE,
+        lastCheckedAt: Date.now(),
+        failures,
+        failureCode: "server",
+        hasData: true
+      })
+    );
+
+    act(() => vi.advanceTimersByTime(30 * MINUTE));
+    expect(onRefresh).toHaveBeenCalledTimes(1);
+
+    act(() => window.dispatchEvent(new Event("focus")));
+    expect(onRefresh).toHaveBeenCalledTimes(2);
+  });
+
+  it("gives up after MAX_AUTO_RETRIES failures when there is nothing to show", () => {
+    vi.useFakeTimers();
+    const onRefresh = vi.fn();
+    renderHook(() =>
+      useAutoRefresh(onRefresh, {
+        intervalMs: 10 * MINUTE,
+        lastCheckedAt: Date.now() - 2 * MINUTE,
+        failures: MAX_AUTO_RETRIES + 1,
+        failureCode: "server"
+      })
+    );
+
+    act(() => vi.advanceTimersByTime(60 * MINUTE));
+    act(() => window.dispatchEvent(new Event("focus")));
+    expect(onRefresh).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { DEFAULT_TTL_MS, isFresh, readCache, revalidate } from "../providers/weatherCache";
+import { toWeatherError } from "../providers/errors";
+
+/**
+ * useCachedWeather.js
+ * Stale-while-revalidate hook for one location.
+ * - Serves the cached (metric) model immediately, then revalidates in the background when it is
+ *   older than `ttlMs` (or always, after `refresh()`).
+ * - A failed revalidation keeps showing the cached data; `error` is only set when there is nothing to show.
+ * - `offline` is set when the last fetch failed because the network is unreachable, so the UI can
+ *   say it is showing the last known data instead of an error.
+ * - `failures` counts consecutive failed fetches (`failureCode` is the WeatherError code of the last
+ *   one, even while cached data is shown) and `checkedAt` is when the last fetch settled, so
+ *   useAutoRefresh can schedule, back off or stop.
+ *
+ * - `lang` is passed to the provider (localized descriptions); `errorCode` is the WeatherError code
+ *   (see providers/errors.js) so the UI can translate the error and offer the matching recovery.
+ *   `retryAfterMs` is the server's cooldown after a 429.
+ *
+ * Returns { data, fetchedAt, checkedAt, loading, revalidating, error, errorCode, offline, failures, failureCode,
+ *   retryAfterMs, refresh }.
+ */
+
+const EMPTY = {
+  data: null,
+  fetchedAt: null,
+  checkedAt: null,
+  loading: false,
+  revalidating: false,
+  error: null,
+  errorCode: null,
+  offline: false,
+  failures: 0,
+  failureCode: null,
+  retryAfterMs: null
+};
+
+export default function useCachedWeather(provider, kind, location, { ttlMs = DEFAULT_TTL_MS, lang } = {}) {
+  const [state, setState] = useState(EMPTY);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const forceRef = useRef(false); // set by refresh(): skip the freshness check once
+
+  useEffect(() => {
+    if (!location) {
+      setState(EMPTY);
+      return;
+    }
+    if (!provider.isConfigured()) {
+      setState({ ...EMPTY, error: provider.configHint });
+      return;
+    }
+
+    let cancelled = false;
+    const force = forceRef.current;
+    forceRef.current = false;
+    const load = async () => {
+      const cached = await readCache(provider, kind, location, { lang });
+      if (cancelled) return;
+      const fresh = !force && isFresh(cached, ttlMs);
+      setState((s) => ({
+        ...EMPTY,
+        data: cached?.data ?? null,
+        fetchedAt: cached?.fetchedAt ?? null,
+        checkedAt: cached?.fetchedAt ?? null,
+        loading: !cached,
+        revalidating: Boolean(cached) && !fresh,
+        // keep the failure streak across forced refreshes so backoff can grow
+        failures: force ? s.failures : 0,
+        failureCode: force ? s.failureCode : null,
+        retryAfterMs: force ? s.retryAfterMs : null
+      }));
+      if (fresh) return;
+
+      try {
+        const entry = await revalidate(provider, kind, location, { lang });
+        if (!cancelled) setState({ ...EMPTY, data: entry.data, fetchedAt: entry.fetchedAt, checkedAt: Date.now() });
+      } catch (err) {
+        if (cancelled) return;
+        console.error(err);
+        const failure = toWeatherError(err);
+        setState((s) => ({
+          ...s,
+          loading: false,
+          revalidating: false,
+          error: s.data ? null : failure.message,
+          errorCode: s.data ? null : failure.code,
+          offline: failure.code === "offline",
+          failures: s.failures + 1,
+          failureCode: failure.code,
+          retryAfterMs: failure.retryAfterMs ?? null,
+          checkedAt: Date.now()
+        }));
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, kind, location, ttlMs, lang, refreshCount]);
+
+  const refresh = useCallback(() => {
+    forceRef.current = true;
+    setRefreshCount((n) => n + 1);
+  }, []);
+
+  return { ...state, refresh };
+}
@@ -0,0 +1,38 @@
+import { useCallback, useState } from "react";
+import { locationKey } from "../utils/location";
+import { MAX_COMPARE } from "../utils/compare";
+
+/**
+ * useCompareLocations.js
+ * The locations in the comparison view (at most MAX_COMPARE).
+ * - Entries are { id, location } like saved locations (id = locationKey, so no duplicates).
+ * - Not stored in localStorage: the list lives in the URL (`compare` params) so it can be shared.
+ */
+
+const toEntries = (locations) => {
+  const entries = [];
+  for (const location of locations ?? []) {
+    const id = locationKey(location);
+    if (id && entries.length < MAX_COMPARE && !entries.some((entry) => entry.id === id)) entries.push({ id, location });
+  }
+  return entries;
+};
+
+export default function useCompareLocations(initialLocations) {
+  const [compared, setCompared] = useState(() => toEntries(initialLocations));
+
+  const add = useCallback((location) => {
+    setCompared((list) => toEntries([...list.map((entry) => entry.location), location]));
+  }, []);
+
+  const remove = useCallback((id) => {
+    setCompared((list) => list.filter((entry) => entry.id !== id));
+  }, []);
+
+  /** Replace the whole list (back / forward navigation) */
+  const reset = useCallback((locations) => setCompared(toEntries(locations)), []);
+
+  const isCompared = useCallback((location) => compared.some((entry) => entry.id === locationKey(location)), [compared]);
+
+  return { compared, add, remove, reset, isCompared, full: compared.length >= MAX_COMPARE };
+}
@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useState } from "react";
+import { readJson, writeJson } from "../utils/storage";
+
+/**
+ * useHighContrast.js
+ * High-contrast theme switch (styles.css `.high-contrast`), set on the <html> element.
+ * - Follows the OS "increase contrast" setting (prefers-contrast: more) until the user picks a side;
+ *   that choice is persisted in localStorage.
+ */
+
+const STORAGE_KEY = "highContrast";
+const QUERY = "(prefers-contrast: more)";
+
+const systemPrefers = () => typeof window.matchMedia === "function" && window.matchMedia(QUERY).matches;
+
+export default function useHighContrast() {
+  const [choice, setChoice] = useState(() => readJson(STORAGE_KEY, null)); // true | false | null (follow the OS)
+  const [system, setSystem] = useState(systemPrefers);
+  const enabled = choice ?? system;
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== "function") return;
+    const media = window.matchMedia(QUERY);
+    const onChange = () => setSystem(media.matches);
+    media.addEventListener("change", onChange);
+    return () => media.removeEventListener("change", onChange);
+  }, []);
+
+  useEffect(() => {
+    writeJson(STORAGE_KEY, choice);
+  }, [choice]);
+
+  useEffect(() => {
+    document.documentElement.classList.toggle("high-contrast", enabled);
+  }, [enabled]);
+
+  const toggle = useCallback(() => setChoice(!enabled), [enabled]);
+
+  return { enabled, setEnabled: setChoice, toggle };
+}
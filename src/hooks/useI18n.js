@@ -0,0 +1,11 @@
+import { useContext } from "react";
+import { I18nContext } from "../i18n/context";
+
+/**
+ * useI18n.js
+ * Current language helpers from I18nProvider:
+ * { lang, dir, setLang, t(key, vars), formatDate(utcSeconds, tzOffsetSeconds, intlOptions) }.
+ */
+export default function useI18n() {
+  return useContext(I18nContext);
+}
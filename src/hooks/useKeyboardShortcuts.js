@@ -0,0 +1,25 @@
+import { useEffect, useRef } from "react";
+import { shortcutAction } from "../utils/shortcuts";
+
+/**
+ * useKeyboardShortcuts.js
+ * Calls handlers[action] for the global shortcuts in utils/shortcuts.js.
+ * - One keydown listener on the window; the latest handlers are read through a ref, so callers can
+ *   pass a fresh object every render.
+ */
+export default function useKeyboardShortcuts(handlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      const action = shortcutAction(event);
+      const handler = action && handlersRef.current[action];
+      if (!handler) return;
+      event.preventDefault();
+      handler();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+}
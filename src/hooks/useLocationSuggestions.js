@@ -0,0 +1,44 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useLocationSuggestions.js
+ * Debounced geocoding lookup for the city search box.
+ * - Waits `delayMs` after the last keystroke, then asks the provider for matching places.
+ * - Aborts in-flight lookups when the text changes.
+ * - Returns [] for short / disabled input so callers can render nothing.
+ */
+export default function useLocationSuggestions(text, { provider, enabled = true, minLength = 2, delayMs = 300, limit = 5 }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const trimmed = text.trim();
+    if (!enabled || trimmed.length < minLength || !provider.searchLocations) {
+      setSuggestions([]);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setSuggestions(await provider.searchLocations(trimmed, { limit, signal: controller.signal }));
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        // suggestions are best-effort; a plain search still works
+        console.error(err);
+        setSuggestions([]);
+      } finally {
+        setLoading(false);
+      }
+    }, delayMs);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [text, provider, enabled, minLength, delayMs, limit]);
+
+  return { suggestions, loading };
+}
@@ -0,0 +1,26 @@
+import { useCallback, useEffect, useState } from "react";
+import { readJson, writeJson } from "../utils/storage";
+
+/**
+ * useMoodThresholds.js
+ * The user's overrides of the mood ruleset thresholds, persisted in localStorage as { [name]: number }.
+ * Only changed thresholds are stored, so improved defaults in moodRules.json still reach everyone else.
+ */
+
+const STORAGE_KEY = "moodThresholds";
+
+export default function useMoodThresholds() {
+  const [thresholds, setThresholds] = useState(() => readJson(STORAGE_KEY, {}));
+
+  useEffect(() => {
+    writeJson(STORAGE_KEY, thresholds);
+  }, [thresholds]);
+
+  const setThreshold = useCallback((name, value) => {
+    setThresholds((all) => ({ ...all, [name]: value }));
+  }, []);
+
+  const resetThresholds = useCallback(() => setThresholds({}), []);
+
+  return { thresholds, setThreshold, resetThresholds };
+}
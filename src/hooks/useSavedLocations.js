@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from "react";
+import { readJson, writeJson } from "../utils/storage";
+import { locationKey } from "../utils/location";
+
+/**
+ * useSavedLocations.js
+ * Favourite locations persisted in localStorage.
+ * - Each entry is { id, location } where id = locationKey(location) (prevents duplicates).
+ * - Order is user-defined (drag to reorder in SavedLocations).
+ */
+
+const STORAGE_KEY = "savedLocations";
+
+export default function useSavedLocations() {
+  const [saved, setSaved] = useState(() => readJson(STORAGE_KEY, []));
+
+  useEffect(() => {
+    writeJson(STORAGE_KEY, saved);
+  }, [saved]);
+
+  const add = useCallback((location) => {
+    const id = locationKey(location);
+    if (!id) return;
+    setSaved((list) => (list.some((entry) => entry.id === id) ? list : [...list, { id, location }]));
+  }, []);
+
+  const remove = useCallback((id) => {
+    setSaved((list) => list.filter((entry) => entry.id !== id));
+  }, []);
+
+  /** Move the entry at index `from` to index `to` */
+  const move = useCallback((from, to) => {
+    setSaved((list) => {
+      if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+      const next = [...list];
+      const [entry] = next.splice(from, 1);
+      next.splice(to, 0, entry);
+      return next;
+    });
+  }, []);
+
+  const isSaved = useCallback((location) => saved.some((entry) => entry.id === locationKey(location)), [saved]);
+
+  return { saved, add, remove, move, isSaved };
+}
@@ -0,0 +1,35 @@
+import { useCallback, useState } from "react";
+import useWeatherBatch from "./useWeatherBatch";
+import useAutoRefresh from "./useAutoRefresh";
+
+/**
+ * useSavedWeather.js
+ * Current weather for every saved location, owned by App so the dashboard grid and the alerts
+ * subsystem read the same batch.
+ * - One coordinated batch (useWeatherBatch) refreshed on the auto-refresh interval or via refreshAll();
+ *   failed batches back off (and honour a 429's Retry-After) like a single card does.
+ *
+ * Returns { results, refreshing, refreshAll } with metric `results[id].data`.
+ */
+export default function useSavedWeather(saved, { provider, options }) {
+  const [refreshToken, setRefreshToken] = useState(0);
+  const { results, refreshing, checkedAt, failures, failureCode, retryAfterMs } = useWeatherBatch(saved, {
+    provider,
+    refreshToken,
+    ttlMs: options?.cacheTtlMs,
+    lang: options?.lang
+  });
+  const refreshAll = useCallback(() => setRefreshToken((t) => t + 1), []);
+
+  useAutoRefresh(refreshAll, {
+    intervalMs: options?.refreshIntervalMs ?? 0,
+    lastCheckedAt: checkedAt,
+    failures,
+    failureCode,
+    retryAfterMs,
+    hasData: saved.every((entry) => results[entry.id]?.data != null),
+    enabled: saved.length > 0
+  });
+
+  return { results, refreshing, refreshAll };
+}
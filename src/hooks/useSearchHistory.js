@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from "react";
+import { readJson, writeJson } from "../utils/storage";
+import { locationKey, locationLabel } from "../utils/location";
+
+/**
+ * useSearchHistory.js
+ * Recent searches persisted in localStorage, most recent first (at most MAX_HISTORY).
+ * - Entries are { id, location } like saved locations; only searches that found weather are recorded,
+ *   as the resolved place, so typos never come back as suggestions.
+ * - Searching a place again moves it to the top (same key or same label, e.g. "Paris, FR" from the
+ *   offline list and from a typed search).
+ */
+
+const STORAGE_KEY = "searchHistory";
+export const MAX_HISTORY = 10;
+
+const sameEntry = (entry, id, label) => entry.id === id || locationLabel(entry.location).toLowerCase() === label;
+
+export default function useSearchHistory() {
+  const [history, setHistory] = useState(() => readJson(STORAGE_KEY, []));
+
+  useEffect(() => {
+    writeJson(STORAGE_KEY, history);
+  }, [history]);
+
+  const record = useCallback((location) => {
+    const id = locationKey(location);
+    if (!id) return;
+    const label = locationLabel(location).toLowerCase();
+    setHistory((list) => {
+      if (list[0]?.id === id) return list; // already the latest (auto-refresh, re-render)
+      return [{ id, location }, ...list.filter((entry) => !sameEntry(entry, id, label))].slice(0, MAX_HISTORY);
+    });
+  }, []);
+
+  const clear = useCallback(() => setHistory([]), []);
+
+  return { history, record, clear };
+}
@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from "react";
+import { readJson, writeJson } from "../utils/storage";
+import { IMPERIAL_PREFS, METRIC_PREFS, normalizePrefs } from "../utils/units";
+
+/**
+ * useUnitPrefs.js
+ * Per-user display units, persisted in localStorage.
+ * - prefs: { temperature, wind, pressure, visibility, precipitation } (see UNIT_OPTIONS).
+ * - setPref(quantity, unit) changes one quantity; applyPreset("metric" | "imperial") switches all;
+ *   setPrefs replaces them (e.g. from a shared link).
+ * - `initialPrefs` (e.g. parsed from the URL) wins over the stored preferences.
+ */
+
+const STORAGE_KEY = "unitPrefs";
+
+export default function useUnitPrefs(initialPrefs = null) {
+  const [prefs, setPrefsState] = useState(() => normalizePrefs(initialPrefs ?? readJson(STORAGE_KEY, METRIC_PREFS)));
+
+  useEffect(() => {
+    writeJson(STORAGE_KEY, prefs);
+  }, [prefs]);
+
+  const setPref = useCallback((quantity, unit) => {
+    setPrefsState((current) => normalizePrefs({ ...current, [quantity]: unit }));
+  }, []);
+
+  const applyPreset = useCallback((preset) => {
+    setPrefsState(preset === "imperial" ? IMPERIAL_PREFS : METRIC_PREFS);
+  }, []);
+
+  const setPrefs = useCallback((next) => {
+    setPrefsState(normalizePrefs(next));
+  }, []);
+
+  return { prefs, setPref, applyPreset, setPrefs };
+}
@@ -0,0 +1,44 @@
+import { useEffect, useRef } from "react";
+import { buildUrlState, parseUrlState } from "../utils/urlState";
+
+/**
+ * useUrlSync.js
+ * Keeps the address bar in sync with App state (see utils/urlState.js).
+ * - A new search (query change) pushes a history entry; units / tab / saved changes replace the current one.
+ * - Back / forward (popstate) hands the parsed state of that entry to onNavigate.
+ */
+
+function queryPart(state) {
+  return buildUrlState({ query: state.query });
+}
+
+export default function useUrlSync(state, onNavigate) {
+  const lastQueryRef = useRef(queryPart(state));
+  const onNavigateRef = useRef(onNavigate);
+  onNavigateRef.current = onNavigate;
+
+  const search = buildUrlState(state);
+  const currentQuery = queryPart(state);
+
+  useEffect(() => {
+    if (search === window.location.search) {
+      lastQueryRef.current = currentQuery;
+      return;
+    }
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (currentQuery !== lastQueryRef.current) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+    lastQueryRef.current = currentQuery;
+  }, [search, currentQuery]);
+
+  useEffect(() => {
+    const onPop = () => {
+      const next = parseUrlState(window.location.search);
+      // the entry's query is now current; syncing the resulting state must not push again
+      lastQueryRef.current = queryPart(next);
+      onNavigateRef.current(next);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+}
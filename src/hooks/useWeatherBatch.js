@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from "react";
+import { runBatched } from "../providers/dedupe";
+import { getWeather } from "../providers/weatherCache";
+import { toWeatherError } from "../providers/errors";
+
+/**
+ * useWeatherBatch.js
+ * Fetch current weather for a list of saved locations as one coordinated batch.
+ * - At most BATCH_CONCURRENCY requests in flight; identical calls share one promise (see weatherCache).
+ * - Fresh cached entries are served without a request; units are converted by the caller,
+ *   so toggling °C/°F never refetches.
+ * - Bumping `refreshToken` refetches every location together; changing `lang` reloads every location
+ *   (from the cache when that language is already there).
+ * - `failures` counts consecutive batches in which any location failed; `failureCode` / `retryAfterMs`
+ *   come from that batch's failures, a 429 taking precedence since its cooldown applies to every request.
+ *
+ * Returns { results: { [id]: { data, error, errorCode, loading } }, refreshing, checkedAt, failures, failureCode,
+ * retryAfterMs } with metric `data`; `checkedAt` is when the last batch settled (for useAutoRefresh).
+ */
+
+const BATCH_CONCURRENCY = 4;
+const NO_FAILURE = { failures: 0, failureCode: null, retryAfterMs: null };
+
+export default function useWeatherBatch(entries, { provider, refreshToken = 0, ttlMs, lang }) {
+  const [results, setResults] = useState({});
+  const [refreshing, setRefreshing] = useState(false);
+  const [checkedAt, setCheckedAt] = useState(null);
+  const [failure, setFailure] = useState(NO_FAILURE);
+  const resultsRef = useRef(results);
+  resultsRef.current = results;
+  const lastTokenRef = useRef(refreshToken);
+  const lastLangRef = useRef(lang);
+
+  useEffect(() => {
+    const force = lastTokenRef.current !== refreshToken;
+    lastTokenRef.current = refreshToken;
+    const langChanged = lastLangRef.current !== lang;
+    lastLangRef.current = lang;
+    const known = resultsRef.current;
+    // still-loading entries are retried too: a cancelled batch rejoins its in-flight promise
+    const targets = entries.filter((entry) => {
+      const result = known[entry.id];
+      return force || langChanged || !result || result.error || result.loading;
+    });
+    if (!targets.length) {
+      setRefreshing(false);
+      return;
+    }
+
+    let cancelled = false;
+    const patch = (updates) => setResults((prev) => ({ ...prev, ...updates }));
+
+    patch(Object.fromEntries(targets.map((e) => [e.id, { ...known[e.id], loading: true, error: null }])));
+    setRefreshing(true);
+
+    runBatched(
+      targets.map((entry) => () => getWeather(provider, "current", entry.location, { ttlMs, force, lang })),
+      BATCH_CONCURRENCY
+    ).then((settled) => {
+      if (cancelled) return;
+      patch(
+        Object.fromEntries(
+          targets.map((entry, i) => {
+            const result = settled[i];
+            return [
+              entry.id,
+              result.status === "fulfilled"
+                ? { data: result.value.data, error: null, errorCode: null, loading: false }
+                : {
+                    data: known[entry.id]?.data ?? null,
+                    error: result.reason?.message || "Unknown error",
+                    errorCode: result.reason?.code ?? null,
+                    loading: false
+                  }
+            ];
+          })
+        )
+      );
+      const errors = settled.filter((result) => result.status === "rejected").map((result) => toWeatherError(result.reason));
+      const worst = errors.find((err) => err.code === "rateLimited") ?? errors[0];
+      // like useCachedWeather, only forced refreshes keep the streak going
+      setFailure((prev) =>
+        worst
+          ? {
+              failures: (force ? prev.failures : 0) + 1,
+              failureCode: worst.code,
+              retryAfterMs: worst.retryAfterMs ?? null
+            }
+          : NO_FAILURE
+      );
+      setRefreshing(false);
+      setCheckedAt(Date.now());
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [entries, provider, refreshToken, ttlMs, lang]);
+
+  return { results, refreshing, checkedAt, ...failure };
+}
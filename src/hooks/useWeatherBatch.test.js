@@ -0,0 +1,36 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from "vitest";
+import { renderHook, waitFor } from "@testing-library/react";
+import useWeatherBatch from "./useWeatherBatch";
+import { WeatherError } from "../providers/errors";
+
+const entries = [
+  { id: "bergen", location: "Bergen" },
+  { id: "tromso", location: "Tromsø" }
+];
+
+describe("useWeatherBatch", () => {
+  it("counts failed batches and reports a 429's Retry-After for the whole batch", async () => {
+    const getCurrent = vi.fn(async (location) => {
+      if (location === "Bergen") throw new WeatherError("server", "502", { status: 502 });
+      throw new WeatherError("rateLimited", "429", { status: 429, retryAfterMs: 90_000 });
+    });
+    const provider = { id: "batch-test", getCurrent };
+    const { result, rerender } = renderHook(({ refreshToken }) => useWeatherBatch(entries, { provider, refreshToken }), {
+      initialProps: { refreshToken: 0 }
+    });
+
+    await waitFor(() => expect(result.current.failures).toBe(1));
+    expect(result.current.failureCode).toBe("rateLimited");
+    expect(result.current.retryAfterMs).toBe(90_000);
+
+    rerender({ refreshToken: 1 });
+    await waitFor(() => expect(result.current.failures).toBe(2));
+
+    getCurrent.mockResolvedValue({ location: { name: "Bergen" } });
+    rerender({ refreshToken: 2 });
+    await waitFor(() => expect(result.current.failures).toBe(0));
+    expect(result.current.failureCode).toBeNull();
+    expect(result.current.retryAfterMs).toBeNull();
+  });
+});
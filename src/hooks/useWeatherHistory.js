@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useState } from "react";
+import { backfillHistory, readHistory, subscribeHistory } from "../providers/weatherHistory";
+import { locationKey } from "../utils/location";
+
+/**
+ * useWeatherHistory.js
+ * Recorded observations for one location (see providers/weatherHistory.js).
+ * - Re-reads whenever that location's history changes (new fetch or backfill).
+ * - backfill(start) asks the provider for past observations; only offered when it implements getHistory.
+ *
+ * Returns { observations, backfilling, error, errorCode, canBackfill, backfill }; errorCode is "noAccess"
+ * when the API key can't use the history endpoint.
+ */
+export default function useWeatherHistory(provider, location, coords) {
+  const [observations, setObservations] = useState([]);
+  const [backfilling, setBackfilling] = useState(false);
+  const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+  const key = locationKey(location);
+
+  useEffect(() => {
+    setError(null);
+    setErrorCode(null);
+    if (!location) {
+      setObservations([]);
+      return;
+    }
+    let cancelled = false;
+    const reload = () =>
+      readHistory(location).then((list) => {
+        if (!cancelled) setObservations(list);
+      });
+    reload();
+    const unsubscribe = subscribeHistory((changed) => {
+      if (changed === key) reload();
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [location, key]);
+
+  const backfill = useCallback(
+    async (start) => {
+      if (!provider.getHistory || !coords) return;
+      setBackfilling(true);
+      setError(null);
+      setErrorCode(null);
+      try {
+        await backfillHistory(provider, location, coords, start);
+      } catch (err) {
+        console.error(err);
+        setError(err.message || "Unknown error");
+        setErrorCode(err.status === 401 ? "noAccess" : null);
+      } finally {
+        setBackfilling(false);
+      }
+    },
+    [provider, location, coords]
+  );
+
+  return { observations, backfilling, error, errorCode, canBackfill: Boolean(provider.getHistory && coords), backfill };
+}
@@ -0,0 +1,25 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { I18nContext, i18nValue } from "./context";
+import { resolveLanguage } from "./index";
+import { readJson, writeJson } from "../utils/storage";
+
+/**
+ * I18nProvider.jsx
+ * - Owns the selected language: stored choice first, then the browser language, then English.
+ * - Persists it in localStorage and mirrors it on <html lang dir> so right-to-left languages flip the layout.
+ */
+export default function I18nProvider({ children }) {
+  const [lang, setLang] = useState(() =>
+    resolveLanguage(readJson("language", null) ?? (typeof navigator !== "undefined" ? navigator.language : null))
+  );
+
+  const value = useMemo(() => i18nValue(lang, (next) => setLang(resolveLanguage(next))), [lang]);
+
+  useEffect(() => {
+    writeJson("language", lang);
+    document.documentElement.lang = lang;
+    document.documentElement.dir = value.dir;
+  }, [lang, value.dir]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,21 @@
+import { createContext } from "react";
+import { DEFAULT_LANGUAGE, createTranslator, formatDateTime, textDirection } from "./index";
+
+/**
+ * context.js
+ * React context behind useI18n(). The default value is English, so components also work
+ * without an I18nProvider (tests, embeds).
+ */
+
+/** Context value for one language */
+export function i18nValue(lang, setLang = () => {}) {
+  return {
+    lang,
+    dir: textDirection(lang),
+    setLang,
+    t: createTranslator(lang),
+    formatDate: (utcSeconds, tzOffsetSeconds, opts) => formatDateTime(lang, utcSeconds, tzOffsetSeconds, opts)
+  };
+}
+
+export const I18nContext = createContext(i18nValue(DEFAULT_LANGUAGE));
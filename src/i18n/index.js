@@ -0,0 +1,73 @@
+/**
+ * i18n/index.js
+ * Message catalogs, translation and locale-aware date formatting.
+ * - Catalogs live in ./messages (one module per language, flat "section.key" ids, {placeholder} values);
+ *   English is the reference and the fallback for missing keys.
+ * - The selected language is also sent to providers as `lang` so condition descriptions come back
+ *   localized (see providers/index.js); describeCondition covers providers that can't do that.
+ * - Dates go through Intl.DateTimeFormat in the selected locale. Timestamps are shifted by the
+ *   city's UTC offset (dateFromTimezone) and formatted as UTC, i.e. in the city's timezone.
+ *
+ * React components read all of this through useI18n() (I18nProvider sets the language).
+ */
+import en from "./messages/en";
+import es from "./messages/es";
+import de from "./messages/de";
+import ar from "./messages/ar";
+import { dateFromTimezone, weatherIconForId } from "../utils/weather";
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = [
+  { id: "en", label: "English", dir: "ltr" },
+  { id: "es", label: "Español", dir: "ltr" },
+  { id: "de", label: "Deutsch", dir: "ltr" },
+  { id: "ar", label: "العربية", dir: "rtl" }
+];
+
+const CATALOGS = { en, es, de, ar };
+
+/** BCP 47 tag ("de-AT", "pt_BR") -> supported language id, or the default */
+export function resolveLanguage(tag) {
+  const base = String(tag ?? "").toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[base] ? base : DEFAULT_LANGUAGE;
+}
+
+export function textDirection(lang) {
+  return LANGUAGES.find((language) => language.id === lang)?.dir ?? "ltr";
+}
+
+/** t(key, vars) for one language; unknown keys fall back to English, then to the key itself */
+export function createTranslator(lang) {
+  const catalog = CATALOGS[lang] ?? en;
+  return (key, vars) => {
+    const template = catalog[key] ?? en[key] ?? key;
+    if (!vars) return template;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : match));
+  };
+}
+
+const formatters = new Map();
+
+/**
+ * Format a unix timestamp (seconds) in the city's timezone (offset in seconds) for `lang`.
+ * `opts` are Intl.DateTimeFormat options; timeZone is always forced to UTC (see module note).
+ */
+export function formatDateTime(lang, utcSeconds, tzOffsetSeconds = 0, opts = {}) {
+  if (utcSeconds == null) return "-";
+  const cacheKey = `${lang}|${JSON.stringify(opts)}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Intl.DateTimeFormat(lang, { ...opts, timeZone: "UTC" }));
+  }
+  return formatters.get(cacheKey).format(dateFromTimezone(utcSeconds, tzOffsetSeconds));
+}
+
+/**
+ * Condition text in the selected language: the provider's own description when it honours `lang`
+ * (or the UI is English), otherwise the translated condition group ("Rain", "Clouds", ...).
+ */
+export function describeCondition(condition, { t, lang, provider }) {
+  if (!condition) return "";
+  if (lang === DEFAULT_LANGUAGE || provider?.localized) return condition.description;
+  return t(`conditions.${weatherIconForId(condition.id, condition.main)}`);
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from "vitest";
+import { LANGUAGES, createTranslator, describeCondition, formatDateTime, resolveLanguage, textDirection } from "./index";
+import en from "./messages/en";
+import es from "./messages/es";
+import de from "./messages/de";
+import ar from "./messages/ar";
+
+describe("catalogs", () => {
+  it.each([
+    ["es", es],
+    ["de", de],
+    ["ar", ar]
+  ])("%s has exactly the English keys", (_, catalog) => {
+    expect(Object.keys(catalog).sort()).toEqual(Object.keys(en).sort());
+  });
+
+  it("keeps the English placeholders in every translation", () => {
+    const placeholders = (text) => (text.match(/\{\w+\}/g) ?? []).sort();
+    for (const catalog of [es, de, ar]) {
+      for (const [key, text] of Object.entries(catalog)) expect([key, placeholders(text)]).toEqual([key, placeholders(en[key])]);
+    }
+  });
+
+  it("lists a catalog for every language", () => {
+    expect(LANGUAGES.map((l) => l.id)).toEqual(["en", "es", "de", "ar"]);
+  });
+});
+
+describe("createTranslator", () => {
+  it("interpolates placeholders", () => {
+    expect(createTranslator("de")("card.feelsLike", { value: "3°C" })).toBe("Gefühlt 3°C");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(createTranslator("xx")("card.retry")).toBe("Retry");
+    expect(createTranslator("es")("no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("resolveLanguage / textDirection", () => {
+  it("maps browser tags onto supported languages", () => {
+    expect(resolveLanguage("de-AT")).toBe("de");
+    expect(resolveLanguage("pt_BR")).toBe("en");
+    expect(resolveLanguage(null)).toBe("en");
+  });
+
+  it("marks Arabic as right-to-left", () => {
+    expect(textDirection("ar")).toBe("rtl");
+    expect(textDirection("es")).toBe("ltr");
+  });
+});
+
+describe("formatDateTime", () => {
+  it("formats in the city's timezone", () => {
+    // 2024-01-01T23:30:00Z is already 08:30 on Jan 2 in Tokyo (UTC+9)
+    const ts = Date.UTC(2024, 0, 1, 23, 30) / 1000;
+    expect(formatDateTime("en", ts, 9 * 3600, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" })).toBe("08:30");
+    expect(formatDateTime("de", ts, 9 * 3600, { day: "numeric", month: "long" })).toBe("2. Januar");
+  });
+
+  it("does not depend on the browser's own timezone", () => {
+    const ts = Date.UTC(2024, 0, 1, 23, 30) / 1000;
+    try {
+      for (const zone of ["America/Los_Angeles", "Asia/Kolkata", "UTC"]) {
+        vi.stubEnv("TZ", zone);
+        expect(formatDateTime("en", ts, 9 * 3600, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" })).toBe("08:30");
+      }
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+});
+
+describe("describeCondition", () => {
+  const t = createTranslator("es");
+  const condition = { id: 500, main: "Rain", description: "light rain" };
+
+  it("uses localized provider descriptions as they are", () => {
+    expect(describeCondition({ ...condition, description: "lluvia ligera" }, { t, lang: "es", provider: { localized: true } })).toBe(
+      "lluvia ligera"
+    );
+  });
+
+  it("translates the condition group for providers that only speak English", () => {
+    expect(describeCondition(condition, { t, lang: "es", provider: {} })).toBe("Lluvia");
+    expect(describeCondition(condition, { t: createTranslator("en"), lang: "en", provider: {} })).toBe("light rain");
+  });
+});
@@ -0,0 +1,251 @@
+/** Arabic catalog (keys mirror messages/en.js); rendered right-to-left */
+export default {
+  "app.searchForm": "البحث عن مدينة",
+  "app.cityLabel": "اسم المدينة",
+  "app.city": "المدينة",
+  "app.cityPlaceholder": "أدخل اسم مدينة (مثل القاهرة)",
+  "app.matchingPlaces": "أماكن مطابقة",
+  "app.useLocation": "استخدم موقعي",
+  "app.search": "بحث",
+  "app.toggleUnits": "التبديل بين مئوية وفهرنهايت",
+  "app.fahrenheit": "عرض درجات الحرارة بالفهرنهايت",
+  "app.language": "اللغة",
+  "app.autoRefresh": "تحديث تلقائي",
+  "app.refreshOff": "متوقف",
+  "app.refreshMinutes": "{minutes} دقيقة",
+  "app.saved": "★ محفوظ",
+  "app.save": "☆ حفظ الموقع",
+  "app.tabs": "التفاصيل",
+  "app.geo.unavailable": "تحديد الموقع غير متاح في هذا المتصفح.",
+  "app.geo.denied": "تم رفض إذن الموقع. ابحث باسم المدينة بدلاً من ذلك.",
+  "app.geo.failed": "تعذر تحديد موقعك. حاول مرة أخرى أو ابحث باسم المدينة.",
+  "location.current": "الموقع الحالي",
+
+  "tab.forecast": "التوقعات",
+  "tab.history": "السجل",
+
+  "error.notFound": "لم يتم العثور على المدينة. جرّب اسماً آخر.",
+  "error.offline": "أنت غير متصل ولا توجد بيانات طقس محفوظة لهذا الموقع بعد.",
+  "error.unknown": "خطأ غير معروف",
+  "error.invalidKey": "رفضت خدمة الطقس مفتاح API.",
+  "error.rateLimited": "طلبات كثيرة جدًا إلى خدمة الطقس.",
+  "error.badResponse": "أرسلت خدمة الطقس استجابة غير قابلة للقراءة.",
+  "error.server": "تواجه خدمة الطقس مشكلة حاليًا.",
+
+  "recovery.retryIn": "إعادة المحاولة تلقائيًا خلال {time}…",
+  "recovery.retryStopped": "توقفت إعادة المحاولة التلقائية بعد عدة محاولات.",
+  "recovery.retrying": "جارٍ إعادة المحاولة…",
+  "recovery.cooldown": "يمكنك المحاولة مجددًا خلال {time}.",
+  "recovery.offline": "سنحاول مجددًا فور عودتك إلى الاتصال.",
+  "recovery.notFound": "تحقق من الإملاء أو أضف رمز البلد (مثل \"Paris, FR\").",
+  "recovery.didYouMean": "هل تقصد:",
+  "recovery.keyTitle": "إعداد مفتاح API من OpenWeatherMap",
+  "recovery.keyStep1": "أنشئ مفتاح API مجانيًا على OpenWeatherMap.",
+  "recovery.keyStep2": "أضف WEATHER_API_KEY=your_key إلى ملف ‎.env في جذر المشروع (أو إلى بيئة الخادم الوسيط).",
+  "recovery.keyStep3": "أعد تشغيل npm run dev أو npm run proxy ثم اضغط إعادة المحاولة.",
+  "recovery.keyAlternative": "لا يوجد مفتاح؟ اضبط VITE_WEATHER_PROVIDER=open-meteo لاستخدام Open-Meteo.",
+  "recovery.keyLink": "فتح صفحة مفاتيح API",
+
+  "card.emptyRegion": "بطاقة الطقس فارغة",
+  "card.emptyTitle": "ابحث عن مدينة",
+  "card.emptyBody": "اكتب اسم مدينة في الأعلى واضغط بحث (أو Enter). مثال: طوكيو، لندن، مومباي.",
+  "card.emptySource": "يستخدم هذا التطبيق بيانات الطقس الحالية من {provider}.",
+  "card.loading": "جارٍ تحميل الطقس…",
+  "card.loadingDetail": "جارٍ جلب البيانات من خدمة الطقس",
+  "card.error": "خطأ",
+  "card.retry": "إعادة المحاولة",
+  "card.region": "الطقس في {name}",
+  "card.offline": "غير متصل — عرض بيانات من {time}",
+  "card.earlierVisit": "زيارة سابقة",
+  "card.feelsLike": "الإحساس الفعلي {value}",
+  "card.humidity": "الرطوبة: {value}",
+  "card.wind": "الرياح: {value}",
+  "card.precipitation": "الهطول: {value} (ساعة)",
+  "card.mood": "المزاج",
+  "card.suggestions": "اقتراحات",
+  "card.updated": "آخر تحديث {time}",
+  "card.fetchedAt": "تم الجلب في {time}",
+  "card.fresh": "حديث",
+  "card.stale": "قديم",
+  "card.refreshing": "جارٍ التحديث…",
+  "card.nextUpdate": "التحديث التالي بعد {time}",
+  "card.moreDetails": "تفاصيل أكثر ▼",
+  "card.hideDetails": "إخفاء التفاصيل ▲",
+  "card.source": "المصدر: {provider} — الطقس الحالي. درجات الحرارة بال{unit}.",
+  "card.summary": "{name}، {description}، {temp}، الإحساس {feelsLike}",
+  "card.degrees": "{value} درجة",
+  "card.kelvin": "{value} كلفن",
+
+  "unitName.c": "درجة المئوية",
+  "unitName.f": "فهرنهايت",
+  "unitName.k": "كلفن",
+
+  "mood.crispClear": "منعش وصافٍ",
+  "mood.sunnyCheerful": "مشمس ومبهج",
+  "mood.greyCalm": "رمادي وهادئ",
+  "mood.cloudyCalm": "غائم وهادئ",
+  "mood.cozyRainy": "ممطر ودافئ",
+  "mood.wetRefreshing": "رطب ومنعش",
+  "mood.softCozy": "لطيف ودافئ",
+  "mood.blusteryMoody": "عاصف ومتقلب",
+  "mood.bundledSnowy": "مثلج ويستدعي التدفئة",
+  "mood.snowy": "مثلج",
+  "mood.stormyIntense": "عاصف وشديد",
+  "mood.mistyQuiet": "ضبابي وهادئ",
+  "mood.pleasant": "لطيف",
+
+  "suggestion.umbrella": "احمل مظلة",
+  "suggestion.stayIndoors": "يوم مناسب للبقاء في الداخل",
+  "suggestion.bundleUp": "تدفأ جيدًا، الجو بارد",
+  "suggestion.layers": "ارتدِ طبقات من الملابس",
+  "suggestion.holdYourHat": "أمسك قبعتك، الجو عاصف",
+  "suggestion.drivingCare": "قد بحذر",
+  "suggestion.hydrate": "اشرب الكثير من الماء",
+  "suggestion.sunscreen": "ضع واقي الشمس",
+  "suggestion.running": "طقس مناسب للجري",
+  "suggestion.stargazing": "سماء صافية لمراقبة النجوم",
+
+  "conditions.thunder": "عاصفة رعدية",
+  "conditions.rain": "مطر",
+  "conditions.snow": "ثلج",
+  "conditions.fog": "ضباب",
+  "conditions.clear": "صافٍ",
+  "conditions.clouds": "غيوم",
+
+  "details.pressure": "الضغط",
+  "details.visibility": "مدى الرؤية",
+  "details.clouds": "الغطاء السحابي",
+  "details.gusts": "الهبات",
+  "details.uv": "مؤشر الأشعة فوق البنفسجية",
+  "details.wind": "الرياح",
+  "details.windFrom": "من {direction}",
+  "details.windFromLabel": "رياح من {direction}",
+  "details.daylight": "ضوء النهار",
+  "details.dayLength": "ضوء النهار {hours} س {minutes} د",
+  "details.sunDown": "الشمس غائبة",
+  "air.title": "جودة الهواء",
+  "air.index": "مؤشر جودة الهواء {aqi} · {level}",
+  "air.level.1": "جيدة",
+  "air.level.2": "مقبولة",
+  "air.level.3": "متوسطة",
+  "air.level.4": "سيئة",
+  "air.level.5": "سيئة جداً",
+  "air.loading": "جارٍ تحميل جودة الهواء…",
+  "air.unavailable": "جودة الهواء غير متاحة.",
+  "air.units": "التركيزات بوحدة ميكروغرام/م³",
+
+  "forecast.title": "التوقعات",
+  "forecast.loading": "جارٍ تحميل التوقعات…",
+  "forecast.hourly": "التوقعات بالساعة",
+  "forecast.daily": "التوقعات اليومية",
+  "forecast.pop": "احتمال الهطول",
+  "forecast.total": "إجمالي الهطول",
+
+  "history.title": "السجل",
+  "history.range": "نطاق السجل",
+  "history.loadPast": "تحميل البيانات السابقة",
+  "history.loading": "جارٍ التحميل…",
+  "history.empty": "لا يوجد سجل بعد. تُسجَّل الملاحظات في كل مرة يتم فيها جلب طقس هذا الموقع.",
+  "history.noAccess": "السجل غير متاح بمفتاح الواجهة البرمجية هذا.",
+  "history.temperature": "درجة الحرارة",
+  "history.humidity": "الرطوبة",
+  "history.wind": "الرياح",
+  "chart.min": "الأدنى",
+  "chart.avg": "المتوسط",
+  "chart.max": "الأعلى",
+  "chart.noData": "لا توجد بيانات في هذا النطاق",
+  "chart.label": "{title} من {min} إلى {max}",
+
+  "saved.title": "المواقع المحفوظة",
+  "saved.refreshAll": "تحديث الكل",
+  "saved.refreshing": "جارٍ التحديث…",
+  "saved.remove": "إزالة الموقع المحفوظ",
+  "saved.removeShort": "إزالة",
+  "saved.show": "عرض الطقس في {name}",
+  "saved.loading": "جارٍ التحميل…",
+
+  "units.title": "الوحدات",
+  "units.metric": "مترية",
+  "units.imperial": "إمبراطورية",
+  "units.temperature": "درجة الحرارة",
+  "units.wind": "الرياح",
+  "units.pressure": "الضغط",
+  "units.visibility": "مدى الرؤية",
+  "units.precipitation": "الهطول",
+
+  "moodSettings.title": "المزاج والاقتراحات",
+  "moodSettings.hint": "اضبط الحدود المستخدمة لاختيار المزاج واقتراحات الأنشطة.",
+  "moodSettings.threshold.coldBelow": "بارد تحت",
+  "moodSettings.threshold.coolBelow": "معتدل البرودة تحت",
+  "moodSettings.threshold.mildBelow": "معتدل تحت",
+  "moodSettings.threshold.warmBelow": "حار من",
+  "moodSettings.threshold.windyFrom": "عاصف من",
+  "moodSettings.threshold.humidFrom": "رطب من",
+  "moodSettings.reset": "استعادة القيم الافتراضية",
+
+  "alerts.region": "تنبيهات الطقس",
+  "alerts.official": "تنبيه رسمي",
+  "alerts.rule": "قاعدة التنبيه الخاصة بك",
+  "alerts.dismiss": "إغلاق التنبيه",
+  "rules.title": "قواعد التنبيه",
+  "rules.enable": "تفعيل الإشعارات",
+  "rules.blocked": "الإشعارات محظورة في متصفحك؛ تظهر التنبيهات داخل التطبيق فقط.",
+  "rules.location": "الموقع",
+  "rules.none": "لا توجد قواعد لهذا الموقع.",
+  "rules.type": "نوع القاعدة",
+  "rules.condition": "الحالة",
+  "rules.threshold": "الحد",
+  "rules.add": "إضافة قاعدة",
+  "rules.addForm": "إضافة قاعدة تنبيه",
+  "rules.remove": "إزالة القاعدة {rule}",
+  "rules.type.tempBelow": "درجة الحرارة أقل من",
+  "rules.type.tempAbove": "درجة الحرارة أعلى من",
+  "rules.type.windAbove": "الرياح أعلى من",
+  "rules.type.condition": "الحالة هي",
+  "rules.describe.tempBelow": "درجة الحرارة أقل من {value} {unit}",
+  "rules.describe.tempAbove": "درجة الحرارة أعلى من {value} {unit}",
+  "rules.describe.windAbove": "الرياح أعلى من {value} {unit}",
+  "rules.describe.condition": "الحالة: {value}",
+
+  // CompareView
+  "compare.title": "مقارنة المدن",
+  "compare.add": "مقارنة",
+  "compare.added": "قيد المقارنة",
+  "compare.addLocation": "إضافة موقع…",
+  "compare.remove": "إزالة {name} من المقارنة",
+  "compare.needMore": "أضف موقعين على الأقل لمقارنتهما جنبًا إلى جنب.",
+  "compare.metric": "القيمة",
+  "compare.row.condition": "الحالة",
+  "compare.row.temp": "درجة الحرارة",
+  "compare.row.feelsLike": "الإحساس الحراري",
+  "compare.row.humidity": "الرطوبة",
+  "compare.row.wind": "الرياح",
+  "compare.row.mood": "المزاج",
+  "compare.row.localTime": "التوقيت المحلي",
+  "compare.row.timezone": "المنطقة الزمنية",
+  "compare.highest": "الأعلى",
+  "compare.lowest": "الأدنى",
+  "compare.differs": "يختلف عن {name}",
+  "compare.hours": "{hours} س",
+  "compare.hoursMinutes": "{hours} س {minutes} د",
+  "compare.ahead": "متقدم بـ {value}",
+  "compare.behind": "متأخر بـ {value}",
+  "compare.sameTime": "التوقيت نفسه",
+
+  // Search suggestions (App)
+  "search.source.history": "حديث",
+  "search.source.saved": "محفوظ",
+  "search.source.city": "مدينة",
+  "search.clearHistory": "مسح عمليات البحث الأخيرة",
+
+  // Accessibility settings and keyboard shortcuts (AccessibilitySettings)
+  "a11y.title": "إمكانية الوصول",
+  "a11y.highContrast": "تباين عالٍ",
+  "a11y.shortcuts": "اختصارات لوحة المفاتيح",
+  "a11y.shortcut.focusSearch": "البحث عن مدينة",
+  "a11y.shortcut.toggleUnits": "التبديل بين °م و°ف",
+  "a11y.shortcut.nextSaved": "الموقع المحفوظ التالي",
+  "a11y.shortcut.previousSaved": "الموقع المحفوظ السابق",
+  "a11y.shortcut.toggleContrast": "تشغيل التباين العالي أو إيقافه",
+  "a11y.shortcut.showHelp": "عرض هذه الاختصارات"
+};
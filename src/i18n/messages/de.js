@@ -0,0 +1,251 @@
+/** German catalog (keys mirror messages/en.js) */
+export default {
+  "app.searchForm": "Stadt suchen",
+  "app.cityLabel": "Name der Stadt",
+  "app.city": "Stadt",
+  "app.cityPlaceholder": "Stadt eingeben (z. B. Berlin)",
+  "app.matchingPlaces": "Passende Orte",
+  "app.useLocation": "Meinen Standort verwenden",
+  "app.search": "Suchen",
+  "app.toggleUnits": "Celsius / Fahrenheit umschalten",
+  "app.fahrenheit": "Temperaturen in Fahrenheit anzeigen",
+  "app.language": "Sprache",
+  "app.autoRefresh": "Automatisch aktualisieren",
+  "app.refreshOff": "Aus",
+  "app.refreshMinutes": "{minutes} Min.",
+  "app.saved": "★ Gespeichert",
+  "app.save": "☆ Ort speichern",
+  "app.tabs": "Details",
+  "app.geo.unavailable": "Standortbestimmung ist in diesem Browser nicht verfügbar.",
+  "app.geo.denied": "Standortzugriff verweigert. Suche stattdessen nach dem Namen der Stadt.",
+  "app.geo.failed": "Dein Standort konnte nicht bestimmt werden. Versuche es erneut oder suche nach dem Namen der Stadt.",
+  "location.current": "Aktueller Standort",
+
+  "tab.forecast": "Vorhersage",
+  "tab.history": "Verlauf",
+
+  "error.notFound": "Stadt nicht gefunden. Versuche einen anderen Namen.",
+  "error.offline": "Du bist offline und für diesen Ort ist noch kein Wetter gespeichert.",
+  "error.unknown": "Unbekannter Fehler",
+  "error.invalidKey": "Der Wetterdienst hat den API-Schlüssel abgelehnt.",
+  "error.rateLimited": "Zu viele Anfragen an den Wetterdienst.",
+  "error.badResponse": "Der Wetterdienst hat eine unlesbare Antwort gesendet.",
+  "error.server": "Der Wetterdienst hat gerade Probleme.",
+
+  "recovery.retryIn": "Automatischer neuer Versuch in {time}…",
+  "recovery.retryStopped": "Automatische Versuche wurden nach mehreren Fehlschlägen beendet.",
+  "recovery.retrying": "Neuer Versuch…",
+  "recovery.cooldown": "Du kannst es in {time} erneut versuchen.",
+  "recovery.offline": "Wir versuchen es erneut, sobald du wieder online bist.",
+  "recovery.notFound": "Prüfe die Schreibweise oder ergänze den Ländercode (z. B. \"Paris, FR\").",
+  "recovery.didYouMean": "Meintest du:",
+  "recovery.keyTitle": "OpenWeatherMap-API-Schlüssel einrichten",
+  "recovery.keyStep1": "Erstelle einen kostenlosen API-Schlüssel bei OpenWeatherMap.",
+  "recovery.keyStep2": "Trage WEATHER_API_KEY=dein_schlüssel in die .env im Projektordner ein (oder in die Umgebung des Proxys).",
+  "recovery.keyStep3": "Starte npm run dev oder npm run proxy neu und klicke auf Erneut versuchen.",
+  "recovery.keyAlternative": "Kein Schlüssel? Mit VITE_WEATHER_PROVIDER=open-meteo wird Open-Meteo verwendet.",
+  "recovery.keyLink": "Seite mit API-Schlüsseln öffnen",
+
+  "card.emptyRegion": "Leere Wetterkarte",
+  "card.emptyTitle": "Nach einer Stadt suchen",
+  "card.emptyBody": "Gib oben den Namen einer Stadt ein und drücke Suchen (oder Enter). Beispiel: Tokio, London, Mumbai.",
+  "card.emptySource": "Diese App verwendet aktuelle Wetterdaten von {provider}.",
+  "card.loading": "Wetter wird geladen…",
+  "card.loadingDetail": "Daten werden vom Wetterdienst abgerufen",
+  "card.error": "Fehler",
+  "card.retry": "Erneut versuchen",
+  "card.region": "Wetter für {name}",
+  "card.offline": "Offline – Daten vom {time}",
+  "card.earlierVisit": "einem früheren Besuch",
+  "card.feelsLike": "Gefühlt {value}",
+  "card.humidity": "Luftfeuchtigkeit: {value}",
+  "card.wind": "Wind: {value}",
+  "card.precipitation": "Niederschlag: {value} (1 Std.)",
+  "card.mood": "Stimmung",
+  "card.suggestions": "Vorschläge",
+  "card.updated": "Aktualisiert {time}",
+  "card.fetchedAt": "Abgerufen um {time}",
+  "card.fresh": "aktuell",
+  "card.stale": "veraltet",
+  "card.refreshing": "wird aktualisiert…",
+  "card.nextUpdate": "Nächste Aktualisierung in {time}",
+  "card.moreDetails": "Mehr Details ▼",
+  "card.hideDetails": "Details ausblenden ▲",
+  "card.source": "Quelle: {provider} – aktuelles Wetter. Temperaturen in {unit}.",
+  "card.summary": "{name}, {description}, {temp}, gefühlt {feelsLike}",
+  "card.degrees": "{value} Grad",
+  "card.kelvin": "{value} Kelvin",
+
+  "unitName.c": "Grad Celsius",
+  "unitName.f": "Grad Fahrenheit",
+  "unitName.k": "Kelvin",
+
+  "mood.crispClear": "Frisch & klar",
+  "mood.sunnyCheerful": "Sonnig & fröhlich",
+  "mood.greyCalm": "Grau & ruhig",
+  "mood.cloudyCalm": "Bewölkt & ruhig",
+  "mood.cozyRainy": "Gemütlich & regnerisch",
+  "mood.wetRefreshing": "Nass & erfrischend",
+  "mood.softCozy": "Sanft & gemütlich",
+  "mood.blusteryMoody": "Stürmisch & launisch",
+  "mood.bundledSnowy": "Eingemummelt & verschneit",
+  "mood.snowy": "Verschneit",
+  "mood.stormyIntense": "Gewittrig & heftig",
+  "mood.mistyQuiet": "Neblig & still",
+  "mood.pleasant": "Angenehm",
+
+  "suggestion.umbrella": "Regenschirm mitnehmen",
+  "suggestion.stayIndoors": "Ein guter Tag, um drinnen zu bleiben",
+  "suggestion.bundleUp": "Warm anziehen, es ist kalt",
+  "suggestion.layers": "Im Zwiebellook anziehen",
+  "suggestion.holdYourHat": "Hut festhalten, es ist windig",
+  "suggestion.drivingCare": "Vorsichtig fahren",
+  "suggestion.hydrate": "Genug trinken",
+  "suggestion.sunscreen": "Sonnencreme auftragen",
+  "suggestion.running": "Gutes Laufwetter",
+  "suggestion.stargazing": "Klarer Himmel zum Sterneschauen",
+
+  "conditions.thunder": "Gewitter",
+  "conditions.rain": "Regen",
+  "conditions.snow": "Schnee",
+  "conditions.fog": "Nebel",
+  "conditions.clear": "Klar",
+  "conditions.clouds": "Wolken",
+
+  "details.pressure": "Luftdruck",
+  "details.visibility": "Sichtweite",
+  "details.clouds": "Bewölkung",
+  "details.gusts": "Böen",
+  "details.uv": "UV-Index",
+  "details.wind": "Wind",
+  "details.windFrom": "aus {direction}",
+  "details.windFromLabel": "Wind aus {direction}",
+  "details.daylight": "Tageslicht",
+  "details.dayLength": "Tageslicht {hours} Std. {minutes} Min.",
+  "details.sunDown": "Sonne ist untergegangen",
+  "air.title": "Luftqualität",
+  "air.index": "LQI {aqi} · {level}",
+  "air.level.1": "Gut",
+  "air.level.2": "Mittel",
+  "air.level.3": "Mäßig",
+  "air.level.4": "Schlecht",
+  "air.level.5": "Sehr schlecht",
+  "air.loading": "Luftqualität wird geladen…",
+  "air.unavailable": "Luftqualität nicht verfügbar.",
+  "air.units": "Konzentrationen in μg/m³",
+
+  "forecast.title": "Vorhersage",
+  "forecast.loading": "Vorhersage wird geladen…",
+  "forecast.hourly": "Stündliche Vorhersage",
+  "forecast.daily": "Tägliche Vorhersage",
+  "forecast.pop": "Niederschlagswahrscheinlichkeit",
+  "forecast.total": "Niederschlagsmenge",
+
+  "history.title": "Verlauf",
+  "history.range": "Zeitraum",
+  "history.loadPast": "Frühere Daten laden",
+  "history.loading": "Wird geladen…",
+  "history.empty": "Noch kein Verlauf. Beobachtungen werden bei jedem Abruf des Wetters für diesen Ort gespeichert.",
+  "history.noAccess": "Der Verlauf ist mit diesem API-Schlüssel nicht verfügbar.",
+  "history.temperature": "Temperatur",
+  "history.humidity": "Luftfeuchtigkeit",
+  "history.wind": "Wind",
+  "chart.min": "min.",
+  "chart.avg": "Ø",
+  "chart.max": "max.",
+  "chart.noData": "Keine Daten in diesem Zeitraum",
+  "chart.label": "{title} von {min} bis {max}",
+
+  "saved.title": "Gespeicherte Orte",
+  "saved.refreshAll": "Alle aktualisieren",
+  "saved.refreshing": "Wird aktualisiert…",
+  "saved.remove": "Gespeicherten Ort entfernen",
+  "saved.removeShort": "Entfernen",
+  "saved.show": "Wetter für {name} anzeigen",
+  "saved.loading": "Wird geladen…",
+
+  "units.title": "Einheiten",
+  "units.metric": "Metrisch",
+  "units.imperial": "Imperial",
+  "units.temperature": "Temperatur",
+  "units.wind": "Wind",
+  "units.pressure": "Luftdruck",
+  "units.visibility": "Sichtweite",
+  "units.precipitation": "Niederschlag",
+
+  "moodSettings.title": "Stimmung & Vorschläge",
+  "moodSettings.hint": "Passe die Grenzwerte an, nach denen Stimmung und Aktivitätsvorschläge gewählt werden.",
+  "moodSettings.threshold.coldBelow": "Kalt unter",
+  "moodSettings.threshold.coolBelow": "Kühl unter",
+  "moodSettings.threshold.mildBelow": "Mild unter",
+  "moodSettings.threshold.warmBelow": "Heiß ab",
+  "moodSettings.threshold.windyFrom": "Windig ab",
+  "moodSettings.threshold.humidFrom": "Schwül ab",
+  "moodSettings.reset": "Auf Standard zurücksetzen",
+
+  "alerts.region": "Wetterwarnungen",
+  "alerts.official": "Amtliche Warnung",
+  "alerts.rule": "Deine Warnregel",
+  "alerts.dismiss": "Warnung schließen",
+  "rules.title": "Warnregeln",
+  "rules.enable": "Benachrichtigungen aktivieren",
+  "rules.blocked": "Benachrichtigungen sind in deinem Browser blockiert; Warnungen erscheinen nur in der App.",
+  "rules.location": "Ort",
+  "rules.none": "Keine Regeln für diesen Ort.",
+  "rules.type": "Regeltyp",
+  "rules.condition": "Wetterlage",
+  "rules.threshold": "Schwellenwert",
+  "rules.add": "Regel hinzufügen",
+  "rules.addForm": "Warnregel hinzufügen",
+  "rules.remove": "Regel {rule} entfernen",
+  "rules.type.tempBelow": "Temperatur unter",
+  "rules.type.tempAbove": "Temperatur über",
+  "rules.type.windAbove": "Wind über",
+  "rules.type.condition": "Wetterlage ist",
+  "rules.describe.tempBelow": "Temperatur unter {value} {unit}",
+  "rules.describe.tempAbove": "Temperatur über {value} {unit}",
+  "rules.describe.windAbove": "Wind über {value} {unit}",
+  "rules.describe.condition": "Wetterlage: {value}",
+
+  // CompareView
+  "compare.title": "Städte vergleichen",
+  "compare.add": "Vergleichen",
+  "compare.added": "Im Vergleich",
+  "compare.addLocation": "Ort hinzufügen…",
+  "compare.remove": "{name} aus dem Vergleich entfernen",
+  "compare.needMore": "Füge mindestens zwei Orte hinzu, um sie nebeneinander zu vergleichen.",
+  "compare.metric": "Wert",
+  "compare.row.condition": "Wetterlage",
+  "compare.row.temp": "Temperatur",
+  "compare.row.feelsLike": "Gefühlt",
+  "compare.row.humidity": "Luftfeuchtigkeit",
+  "compare.row.wind": "Wind",
+  "compare.row.mood": "Stimmung",
+  "compare.row.localTime": "Ortszeit",
+  "compare.row.timezone": "Zeitzone",
+  "compare.highest": "Höchster Wert",
+  "compare.lowest": "Niedrigster Wert",
+  "compare.differs": "Anders als {name}",
+  "compare.hours": "{hours} Std.",
+  "compare.hoursMinutes": "{hours} Std. {minutes} Min.",
+  "compare.ahead": "{value} voraus",
+  "compare.behind": "{value} zurück",
+  "compare.sameTime": "Gleiche Zeit",
+
+  // Search suggestions (App)
+  "search.source.history": "Zuletzt",
+  "search.source.saved": "Gespeichert",
+  "search.source.city": "Stadt",
+  "search.clearHistory": "Letzte Suchen löschen",
+
+  // Accessibility settings and keyboard shortcuts (AccessibilitySettings)
+  "a11y.title": "Barrierefreiheit",
+  "a11y.highContrast": "Hoher Kontrast",
+  "a11y.shortcuts": "Tastenkürzel",
+  "a11y.shortcut.focusSearch": "Stadt suchen",
+  "a11y.shortcut.toggleUnits": "Zwischen °C und °F wechseln",
+  "a11y.shortcut.nextSaved": "Nächster gespeicherter Ort",
+  "a11y.shortcut.previousSaved": "Vorheriger gespeicherter Ort",
+  "a11y.shortcut.toggleContrast": "Hohen Kontrast ein- oder ausschalten",
+  "a11y.shortcut.showHelp": "Diese Tastenkürzel anzeigen"
+};
@@ -0,0 +1,268 @@
+/**
+ * English catalog (the reference: every key used in the app must exist here).
+ * Placeholders use {name}; missing keys in other catalogs fall back to this one.
+ */
+export default {
+  // App
+  "app.searchForm": "Search city",
+  "app.cityLabel": "City name",
+  "app.city": "City",
+  "app.cityPlaceholder": "Enter city (e.g., London)",
+  "app.matchingPlaces": "Matching places",
+  "app.useLocation": "Use my location",
+  "app.search": "Search",
+  "app.toggleUnits": "Toggle Celsius / Fahrenheit",
+  "app.fahrenheit": "Show temperatures in Fahrenheit",
+  "app.language": "Language",
+  "app.autoRefresh": "Auto-refresh",
+  "app.refreshOff": "Off",
+  "app.refreshMinutes": "{minutes} min",
+  "app.saved": "★ Saved",
+  "app.save": "☆ Save location",
+  "app.tabs": "Details",
+  "app.geo.unavailable": "Location is not available in this browser.",
+  "app.geo.denied": "Location permission denied. Search by city name instead.",
+  "app.geo.failed": "Couldn't determine your location. Try again or search by city name.",
+  "location.current": "Current location",
+
+  "tab.forecast": "Forecast",
+  "tab.history": "History",
+
+  // Errors (by error code)
+  "error.notFound": "City not found. Try a different name.",
+  "error.offline": "You're offline and there is no saved weather for this location yet.",
+  "error.unknown": "Unknown error",
+  "error.invalidKey": "The weather service rejected the API key.",
+  "error.rateLimited": "Too many requests to the weather service.",
+  "error.badResponse": "The weather service sent an unreadable response.",
+  "error.server": "The weather service is having trouble right now.",
+
+  // ErrorRecovery
+  "recovery.retryIn": "Retrying automatically in {time}…",
+  "recovery.retryStopped": "Automatic retries stopped after several attempts.",
+  "recovery.retrying": "Retrying…",
+  "recovery.cooldown": "You can try again in {time}.",
+  "recovery.offline": "We'll try again as soon as you're back online.",
+  "recovery.notFound": "Check the spelling, or add the country code (e.g. \"Paris, FR\").",
+  "recovery.didYouMean": "Did you mean:",
+  "recovery.keyTitle": "Set up an OpenWeatherMap API key",
+  "recovery.keyStep1": "Create a free API key on OpenWeatherMap.",
+  "recovery.keyStep2": "Add WEATHER_API_KEY=your_key to the .env file in the project root (or to the proxy's environment).",
+  "recovery.keyStep3": "Restart npm run dev or npm run proxy, then press Retry.",
+  "recovery.keyAlternative": "No key? Set VITE_WEATHER_PROVIDER=open-meteo to use Open-Meteo instead.",
+  "recovery.keyLink": "Open the API keys page",
+
+  // WeatherCard
+  "card.emptyRegion": "Weather card empty",
+  "card.emptyTitle": "Search for a city",
+  "card.emptyBody": "Type a city name above and press Search (or Enter). Example: Tokyo, London, Mumbai.",
+  "card.emptySource": "This app uses {provider} current weather data.",
+  "card.loading": "Loading weather…",
+  "card.loadingDetail": "Fetching data from the weather service",
+  "card.error": "Error",
+  "card.retry": "Retry",
+  "card.region": "Weather for {name}",
+  "card.offline": "Offline — showing data from {time}",
+  "card.earlierVisit": "an earlier visit",
+  "card.feelsLike": "Feels like {value}",
+  "card.humidity": "Humidity: {value}",
+  "card.wind": "Wind: {value}",
+  "card.precipitation": "Precipitation: {value} (1h)",
+  "card.mood": "Mood",
+  "card.suggestions": "Suggestions",
+  "card.updated": "Updated {time}",
+  "card.fetchedAt": "Fetched at {time}",
+  "card.fresh": "fresh",
+  "card.stale": "stale",
+  "card.refreshing": "refreshing…",
+  "card.nextUpdate": "Next update in {time}",
+  "card.moreDetails": "More details ▼",
+  "card.hideDetails": "Hide details ▲",
+  "card.source": "Source: {provider} — Current Weather. Temperatures in {unit}.",
+  "card.summary": "{name}, {description}, {temp}, feels like {feelsLike}",
+  "card.degrees": "{value} degrees",
+  "card.kelvin": "{value} kelvin",
+
+  "unitName.c": "Celsius",
+  "unitName.f": "Fahrenheit",
+  "unitName.k": "Kelvin",
+
+  // Moods (see moodRules.json)
+  "mood.crispClear": "Crisp & Clear",
+  "mood.sunnyCheerful": "Sunny & Cheerful",
+  "mood.greyCalm": "Grey & Calm",
+  "mood.cloudyCalm": "Cloudy & Calm",
+  "mood.cozyRainy": "Cozy & Rainy",
+  "mood.wetRefreshing": "Wet & Refreshing",
+  "mood.softCozy": "Soft & Cozy",
+  "mood.blusteryMoody": "Blustery & Moody",
+  "mood.bundledSnowy": "Bundled & Snowy",
+  "mood.snowy": "Snowy",
+  "mood.stormyIntense": "Stormy & Intense",
+  "mood.mistyQuiet": "Misty & Quiet",
+  "mood.pleasant": "Pleasant",
+
+  // Activity suggestions (see moodRules.json)
+  "suggestion.umbrella": "Bring an umbrella",
+  "suggestion.stayIndoors": "Good day to stay indoors",
+  "suggestion.bundleUp": "Bundle up, it's cold out",
+  "suggestion.layers": "Wear layers",
+  "suggestion.holdYourHat": "Hold on to your hat, it's windy",
+  "suggestion.drivingCare": "Drive carefully",
+  "suggestion.hydrate": "Stay hydrated",
+  "suggestion.sunscreen": "Wear sunscreen",
+  "suggestion.running": "Good running weather",
+  "suggestion.stargazing": "Clear skies for stargazing",
+
+  // Condition groups (weatherIconForId types)
+  "conditions.thunder": "Thunderstorm",
+  "conditions.rain": "Rain",
+  "conditions.snow": "Snow",
+  "conditions.fog": "Fog",
+  "conditions.clear": "Clear",
+  "conditions.clouds": "Clouds",
+
+  // WeatherDetails / AirQualityPanel
+  "details.pressure": "Pressure",
+  "details.visibility": "Visibility",
+  "details.clouds": "Cloud cover",
+  "details.gusts": "Gusts",
+  "details.uv": "UV index",
+  "details.wind": "Wind",
+  "details.windFrom": "from {direction}",
+  "details.windFromLabel": "Wind from {direction}",
+  "details.daylight": "Daylight",
+  "details.dayLength": "Daylight {hours}h {minutes}m",
+  "details.sunDown": "sun is down",
+  "air.title": "Air quality",
+  "air.index": "AQI {aqi} · {level}",
+  "air.level.1": "Good",
+  "air.level.2": "Fair",
+  "air.level.3": "Moderate",
+  "air.level.4": "Poor",
+  "air.level.5": "Very poor",
+  "air.loading": "Loading air quality…",
+  "air.unavailable": "Air quality unavailable.",
+  "air.units": "Concentrations in μg/m³",
+
+  // ForecastPanel
+  "forecast.title": "Forecast",
+  "forecast.loading": "Loading forecast…",
+  "forecast.hourly": "Hourly forecast",
+  "forecast.daily": "Daily forecast",
+  "forecast.pop": "Chance of precipitation",
+  "forecast.total": "Total precipitation",
+
+  // HistoryPanel / TrendChart
+  "history.title": "History",
+  "history.range": "History range",
+  "history.loadPast": "Load past data",
+  "history.loading": "Loading…",
+  "history.empty": "No history yet. Observations are recorded every time the weather for this location is fetched.",
+  "history.noAccess": "History isn't available with this API key.",
+  "history.temperature": "Temperature",
+  "history.humidity": "Humidity",
+  "history.wind": "Wind",
+  "chart.min": "min",
+  "chart.avg": "avg",
+  "chart.max": "max",
+  "chart.noData": "No data in this range",
+  "chart.label": "{title} from {min} to {max}",
+
+  // SavedLocations / CompactWeatherCard
+  "saved.title": "Saved locations",
+  "saved.refreshAll": "Refresh all",
+  "saved.refreshing": "Refreshing…",
+  "saved.remove": "Remove saved location",
+  "saved.removeShort": "Remove",
+  "saved.show": "Show weather for {name}",
+  "saved.loading": "Loading…",
+
+  // UnitSettings
+  "units.title": "Units",
+  "units.metric": "Metric",
+  "units.imperial": "Imperial",
+  "units.temperature": "Temperature",
+  "units.wind": "Wind",
+  "units.pressure": "Pressure",
+  "units.visibility": "Visibility",
+  "units.precipitation": "Precipitation",
+
+  // MoodSettings
+  "moodSettings.title": "Mood & suggestions",
+  "moodSettings.hint": "Adjust the limits used to pick the mood and activity suggestions.",
+  "moodSettings.threshold.coldBelow": "Cold below",
+  "moodSettings.threshold.coolBelow": "Cool below",
+  "moodSettings.threshold.mildBelow": "Mild below",
+  "moodSettings.threshold.warmBelow": "Hot from",
+  "moodSettings.threshold.windyFrom": "Windy from",
+  "moodSettings.threshold.humidFrom": "Humid from",
+  "moodSettings.reset": "Reset to defaults",
+
+  // AlertBanners / AlertSettings
+  "alerts.region": "Weather alerts",
+  "alerts.official": "Official alert",
+  "alerts.rule": "Your alert rule",
+  "alerts.dismiss": "Dismiss alert",
+  "rules.title": "Alert rules",
+  "rules.enable": "Enable notifications",
+  "rules.blocked": "Notifications are blocked in your browser; alerts are shown in the app only.",
+  "rules.location": "Location",
+  "rules.none": "No rules for this location.",
+  "rules.type": "Rule type",
+  "rules.condition": "Condition",
+  "rules.threshold": "Threshold",
+  "rules.add": "Add rule",
+  "rules.addForm": "Add alert rule",
+  "rules.remove": "Remove rule {rule}",
+  "rules.type.tempBelow": "Temperature below",
+  "rules.type.tempAbove": "Temperature above",
+  "rules.type.windAbove": "Wind above",
+  "rules.type.condition": "Condition is",
+  "rules.describe.tempBelow": "Temperature below {value} {unit}",
+  "rules.describe.tempAbove": "Temperature above {value} {unit}",
+  "rules.describe.windAbove": "Wind above {value} {unit}",
+  "rules.describe.condition": "Condition: {value}",
+
+  // CompareView
+  "compare.title": "Compare cities",
+  "compare.add": "Compare",
+  "compare.added": "Comparing",
+  "compare.addLocation": "Add a location…",
+  "compare.remove": "Remove {name} from the comparison",
+  "compare.needMore": "Add at least two locations to compare them side by side.",
+  "compare.metric": "Metric",
+  "compare.row.condition": "Conditions",
+  "compare.row.temp": "Temperature",
+  "compare.row.feelsLike": "Feels like",
+  "compare.row.humidity": "Humidity",
+  "compare.row.wind": "Wind",
+  "compare.row.mood": "Mood",
+  "compare.row.localTime": "Local time",
+  "compare.row.timezone": "Time zone",
+  "compare.highest": "Highest",
+  "compare.lowest": "Lowest",
+  "compare.differs": "Different from {name}",
+  "compare.hours": "{hours} h",
+  "compare.hoursMinutes": "{hours} h {minutes} min",
+  "compare.ahead": "{value} ahead",
+  "compare.behind": "{value} behind",
+  "compare.sameTime": "Same time",
+
+  // Search suggestions (App)
+  "search.source.history": "Recent",
+  "search.source.saved": "Saved",
+  "search.source.city": "City",
+  "search.clearHistory": "Clear recent searches",
+
+  // Accessibility settings and keyboard shortcuts (AccessibilitySettings)
+  "a11y.title": "Accessibility",
+  "a11y.highContrast": "High contrast",
+  "a11y.shortcuts": "Keyboard shortcuts",
+  "a11y.shortcut.focusSearch": "Search for a city",
+  "a11y.shortcut.toggleUnits": "Switch between °C and °F",
+  "a11y.shortcut.nextSaved": "Next saved location",
+  "a11y.shortcut.previousSaved": "Previous saved location",
+  "a11y.shortcut.toggleContrast": "Turn high contrast on or off",
+  "a11y.shortcut.showHelp": "Show these shortcuts"
+};
@@ -0,0 +1,251 @@
+/** Spanish catalog (keys mirror messages/en.js) */
+export default {
+  "app.searchForm": "Buscar ciudad",
+  "app.cityLabel": "Nombre de la ciudad",
+  "app.city": "Ciudad",
+  "app.cityPlaceholder": "Escribe una ciudad (p. ej., Madrid)",
+  "app.matchingPlaces": "Lugares coincidentes",
+  "app.useLocation": "Usar mi ubicación",
+  "app.search": "Buscar",
+  "app.toggleUnits": "Cambiar Celsius / Fahrenheit",
+  "app.fahrenheit": "Mostrar temperaturas en Fahrenheit",
+  "app.language": "Idioma",
+  "app.autoRefresh": "Actualización automática",
+  "app.refreshOff": "Desactivada",
+  "app.refreshMinutes": "{minutes} min",
+  "app.saved": "★ Guardada",
+  "app.save": "☆ Guardar ubicación",
+  "app.tabs": "Detalles",
+  "app.geo.unavailable": "La ubicación no está disponible en este navegador.",
+  "app.geo.denied": "Permiso de ubicación denegado. Busca por nombre de ciudad.",
+  "app.geo.failed": "No se pudo determinar tu ubicación. Inténtalo de nuevo o busca por nombre de ciudad.",
+  "location.current": "Ubicación actual",
+
+  "tab.forecast": "Pronóstico",
+  "tab.history": "Historial",
+
+  "error.notFound": "Ciudad no encontrada. Prueba con otro nombre.",
+  "error.offline": "Estás sin conexión y todavía no hay datos guardados para esta ubicación.",
+  "error.unknown": "Error desconocido",
+  "error.invalidKey": "El servicio meteorológico rechazó la clave de API.",
+  "error.rateLimited": "Demasiadas solicitudes al servicio meteorológico.",
+  "error.badResponse": "El servicio meteorológico envió una respuesta ilegible.",
+  "error.server": "El servicio meteorológico tiene problemas en este momento.",
+
+  "recovery.retryIn": "Reintentando automáticamente en {time}…",
+  "recovery.retryStopped": "Los reintentos automáticos se detuvieron tras varios intentos.",
+  "recovery.retrying": "Reintentando…",
+  "recovery.cooldown": "Puedes volver a intentarlo en {time}.",
+  "recovery.offline": "Lo intentaremos de nuevo en cuanto vuelvas a estar en línea.",
+  "recovery.notFound": "Revisa la ortografía o añade el código del país (p. ej. \"Paris, FR\").",
+  "recovery.didYouMean": "¿Quisiste decir?",
+  "recovery.keyTitle": "Configura una clave de API de OpenWeatherMap",
+  "recovery.keyStep1": "Crea una clave de API gratuita en OpenWeatherMap.",
+  "recovery.keyStep2": "Añade WEATHER_API_KEY=tu_clave al archivo .env en la raíz del proyecto (o al entorno del proxy).",
+  "recovery.keyStep3": "Reinicia npm run dev o npm run proxy y pulsa Reintentar.",
+  "recovery.keyAlternative": "¿Sin clave? Define VITE_WEATHER_PROVIDER=open-meteo para usar Open-Meteo.",
+  "recovery.keyLink": "Abrir la página de claves de API",
+
+  "card.emptyRegion": "Tarjeta del tiempo vacía",
+  "card.emptyTitle": "Busca una ciudad",
+  "card.emptyBody": "Escribe el nombre de una ciudad arriba y pulsa Buscar (o Intro). Ejemplo: Tokio, Londres, Bombay.",
+  "card.emptySource": "Esta aplicación usa datos meteorológicos actuales de {provider}.",
+  "card.loading": "Cargando el tiempo…",
+  "card.loadingDetail": "Obteniendo datos del servicio meteorológico",
+  "card.error": "Error",
+  "card.retry": "Reintentar",
+  "card.region": "El tiempo en {name}",
+  "card.offline": "Sin conexión: mostrando datos de {time}",
+  "card.earlierVisit": "una visita anterior",
+  "card.feelsLike": "Sensación térmica {value}",
+  "card.humidity": "Humedad: {value}",
+  "card.wind": "Viento: {value}",
+  "card.precipitation": "Precipitación: {value} (1 h)",
+  "card.mood": "Ánimo",
+  "card.suggestions": "Sugerencias",
+  "card.updated": "Actualizado {time}",
+  "card.fetchedAt": "Obtenido a las {time}",
+  "card.fresh": "reciente",
+  "card.stale": "desactualizado",
+  "card.refreshing": "actualizando…",
+  "card.nextUpdate": "Próxima actualización en {time}",
+  "card.moreDetails": "Más detalles ▼",
+  "card.hideDetails": "Ocultar detalles ▲",
+  "card.source": "Fuente: {provider} — tiempo actual. Temperaturas en {unit}.",
+  "card.summary": "{name}, {description}, {temp}, sensación de {feelsLike}",
+  "card.degrees": "{value} grados",
+  "card.kelvin": "{value} kelvin",
+
+  "unitName.c": "grados Celsius",
+  "unitName.f": "grados Fahrenheit",
+  "unitName.k": "kelvin",
+
+  "mood.crispClear": "Fresco y despejado",
+  "mood.sunnyCheerful": "Soleado y alegre",
+  "mood.greyCalm": "Gris y tranquilo",
+  "mood.cloudyCalm": "Nublado y tranquilo",
+  "mood.cozyRainy": "Lluvioso y acogedor",
+  "mood.wetRefreshing": "Húmedo y refrescante",
+  "mood.softCozy": "Suave y acogedor",
+  "mood.blusteryMoody": "Borrascoso y melancólico",
+  "mood.bundledSnowy": "Abrigado y nevado",
+  "mood.snowy": "Nevado",
+  "mood.stormyIntense": "Tormentoso e intenso",
+  "mood.mistyQuiet": "Brumoso y sereno",
+  "mood.pleasant": "Agradable",
+
+  "suggestion.umbrella": "Lleva paraguas",
+  "suggestion.stayIndoors": "Buen día para quedarse en casa",
+  "suggestion.bundleUp": "Abrígate, hace frío",
+  "suggestion.layers": "Vístete por capas",
+  "suggestion.holdYourHat": "Sujeta el sombrero, hace viento",
+  "suggestion.drivingCare": "Conduce con precaución",
+  "suggestion.hydrate": "Mantente hidratado",
+  "suggestion.sunscreen": "Usa protector solar",
+  "suggestion.running": "Buen tiempo para correr",
+  "suggestion.stargazing": "Cielo despejado para ver estrellas",
+
+  "conditions.thunder": "Tormenta",
+  "conditions.rain": "Lluvia",
+  "conditions.snow": "Nieve",
+  "conditions.fog": "Niebla",
+  "conditions.clear": "Despejado",
+  "conditions.clouds": "Nubes",
+
+  "details.pressure": "Presión",
+  "details.visibility": "Visibilidad",
+  "details.clouds": "Nubosidad",
+  "details.gusts": "Ráfagas",
+  "details.uv": "Índice UV",
+  "details.wind": "Viento",
+  "details.windFrom": "del {direction}",
+  "details.windFromLabel": "Viento del {direction}",
+  "details.daylight": "Luz diurna",
+  "details.dayLength": "Luz diurna {hours} h {minutes} min",
+  "details.sunDown": "el sol se ha puesto",
+  "air.title": "Calidad del aire",
+  "air.index": "ICA {aqi} · {level}",
+  "air.level.1": "Buena",
+  "air.level.2": "Aceptable",
+  "air.level.3": "Moderada",
+  "air.level.4": "Mala",
+  "air.level.5": "Muy mala",
+  "air.loading": "Cargando la calidad del aire…",
+  "air.unavailable": "Calidad del aire no disponible.",
+  "air.units": "Concentraciones en μg/m³",
+
+  "forecast.title": "Pronóstico",
+  "forecast.loading": "Cargando el pronóstico…",
+  "forecast.hourly": "Pronóstico por horas",
+  "forecast.daily": "Pronóstico diario",
+  "forecast.pop": "Probabilidad de precipitación",
+  "forecast.total": "Precipitación total",
+
+  "history.title": "Historial",
+  "history.range": "Intervalo del historial",
+  "history.loadPast": "Cargar datos anteriores",
+  "history.loading": "Cargando…",
+  "history.empty": "Aún no hay historial. Las observaciones se guardan cada vez que se consulta el tiempo de esta ubicación.",
+  "history.noAccess": "El historial no está disponible con esta clave de API.",
+  "history.temperature": "Temperatura",
+  "history.humidity": "Humedad",
+  "history.wind": "Viento",
+  "chart.min": "mín.",
+  "chart.avg": "media",
+  "chart.max": "máx.",
+  "chart.noData": "Sin datos en este intervalo",
+  "chart.label": "{title} de {min} a {max}",
+
+  "saved.title": "Ubicaciones guardadas",
+  "saved.refreshAll": "Actualizar todo",
+  "saved.refreshing": "Actualizando…",
+  "saved.remove": "Quitar ubicación guardada",
+  "saved.removeShort": "Quitar",
+  "saved.show": "Ver el tiempo en {name}",
+  "saved.loading": "Cargando…",
+
+  "units.title": "Unidades",
+  "units.metric": "Métrico",
+  "units.imperial": "Imperial",
+  "units.temperature": "Temperatura",
+  "units.wind": "Viento",
+  "units.pressure": "Presión",
+  "units.visibility": "Visibilidad",
+  "units.precipitation": "Precipitación",
+
+  "moodSettings.title": "Ánimo y sugerencias",
+  "moodSettings.hint": "Ajusta los límites usados para elegir el ánimo y las sugerencias de actividades.",
+  "moodSettings.threshold.coldBelow": "Frío por debajo de",
+  "moodSettings.threshold.coolBelow": "Fresco por debajo de",
+  "moodSettings.threshold.mildBelow": "Templado por debajo de",
+  "moodSettings.threshold.warmBelow": "Caluroso desde",
+  "moodSettings.threshold.windyFrom": "Ventoso desde",
+  "moodSettings.threshold.humidFrom": "Húmedo desde",
+  "moodSettings.reset": "Restablecer valores",
+
+  "alerts.region": "Avisos meteorológicos",
+  "alerts.official": "Aviso oficial",
+  "alerts.rule": "Tu regla de aviso",
+  "alerts.dismiss": "Descartar aviso",
+  "rules.title": "Reglas de aviso",
+  "rules.enable": "Activar notificaciones",
+  "rules.blocked": "Las notificaciones están bloqueadas en tu navegador; los avisos solo se muestran en la aplicación.",
+  "rules.location": "Ubicación",
+  "rules.none": "No hay reglas para esta ubicación.",
+  "rules.type": "Tipo de regla",
+  "rules.condition": "Condición",
+  "rules.threshold": "Umbral",
+  "rules.add": "Añadir regla",
+  "rules.addForm": "Añadir regla de aviso",
+  "rules.remove": "Quitar la regla {rule}",
+  "rules.type.tempBelow": "Temperatura inferior a",
+  "rules.type.tempAbove": "Temperatura superior a",
+  "rules.type.windAbove": "Viento superior a",
+  "rules.type.condition": "La condición es",
+  "rules.describe.tempBelow": "Temperatura inferior a {value} {unit}",
+  "rules.describe.tempAbove": "Temperatura superior a {value} {unit}",
+  "rules.describe.windAbove": "Viento superior a {value} {unit}",
+  "rules.describe.condition": "Condición: {value}",
+
+  // CompareView
+  "compare.title": "Comparar ciudades",
+  "compare.add": "Comparar",
+  "compare.added": "Comparando",
+  "compare.addLocation": "Añadir una ubicación…",
+  "compare.remove": "Quitar {name} de la comparación",
+  "compare.needMore": "Añade al menos dos ubicaciones para compararlas una al lado de la otra.",
+  "compare.metric": "Dato",
+  "compare.row.condition": "Condiciones",
+  "compare.row.temp": "Temperatura",
+  "compare.row.feelsLike": "Sensación térmica",
+  "compare.row.humidity": "Humedad",
+  "compare.row.wind": "Viento",
+  "compare.row.mood": "Ánimo",
+  "compare.row.localTime": "Hora local",
+  "compare.row.timezone": "Zona horaria",
+  "compare.highest": "Más alto",
+  "compare.lowest": "Más bajo",
+  "compare.differs": "Distinto de {name}",
+  "compare.hours": "{hours} h",
+  "compare.hoursMinutes": "{hours} h {minutes} min",
+  "compare.ahead": "{value} por delante",
+  "compare.behind": "{value} por detrás",
+  "compare.sameTime": "Misma hora",
+
+  // Search suggestions (App)
+  "search.source.history": "Reciente",
+  "search.source.saved": "Guardada",
+  "search.source.city": "Ciudad",
+  "search.clearHistory": "Borrar búsquedas recientes",
+
+  // Accessibility settings and keyboard shortcuts (AccessibilitySettings)
+  "a11y.title": "Accesibilidad",
+  "a11y.highContrast": "Alto contraste",
+  "a11y.shortcuts": "Atajos de teclado",
+  "a11y.shortcut.focusSearch": "Buscar una ciudad",
+  "a11y.shortcut.toggleUnits": "Cambiar entre °C y °F",
+  "a11y.shortcut.nextSaved": "Siguiente ubicación guardada",
+  "a11y.shortcut.previousSaved": "Ubicación guardada anterior",
+  "a11y.shortcut.toggleContrast": "Activar o desactivar el alto contraste",
+  "a11y.shortcut.showHelp": "Mostrar estos atajos"
+};
@@ -1,7 +1,15 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App";
+import I18nProvider from "./i18n/I18nProvider";
+import registerServiceWorker from "./registerServiceWorker";
 import "./styles.css";
 
 const root = createRoot(document.getElementById("root"));
-root.render(<App />);
+root.render(
+  <I18nProvider>
+    <App />
+  </I18nProvider>
+);
+
+registerServiceWorker();
@@ -0,0 +1,33 @@
+/**
+ * dedupe.js
+ * Share one in-flight promise between identical provider calls.
+ * - Key by provider + kind + location (the weather cache key); the entry is dropped once the call settles.
+ * - Callers must not rely on an AbortSignal here (other callers may still be waiting).
+ */
+
+const inflight = new Map();
+
+export function dedupe(key, fn) {
+  if (inflight.has(key)) return inflight.get(key);
+  const promise = fn().finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
+
+/** Run async tasks with at most `concurrency` in flight; resolves with settled results in order */
+export async function runBatched(tasks, concurrency = 4) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const i = next++;
+      try {
+        results[i] = { status: "fulfilled", value: await tasks[i]() };
+      } catch (reason) {
+        results[i] = { status: "rejected", reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+  return results;
+}
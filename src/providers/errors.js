@@ -0,0 +1,110 @@
+/**
+ * errors.js
+ * Typed weather errors, so the UI can offer the right recovery instead of one generic message.
+ *
+ * WeatherError.code:
+ * - notFound     404 / no geocoding match             -> suggest another name (no retry)
+ * - invalidKey   401, or the proxy has no WEATHER_API_KEY -> setup guide
+ * - rateLimited  429; retryAfterMs from Retry-After    -> cooldown timer, then retry
+ * - offline      the network is unreachable           -> retry when the browser is back online
+ * - badResponse  the body is not valid JSON           -> retry with backoff
+ * - server       other 5xx (incl. proxy 502)          -> retry with backoff
+ * - unknown      anything else                        -> retry with backoff
+ *
+ * `status` keeps the HTTP status (null for network / parse failures). Messages are English for logs;
+ * the UI shows "error.<code>" from the message catalogs. AbortErrors are passed through untouched.
+ */
+
+export class WeatherError extends Error {
+  constructor(code, message, { status = null, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "WeatherError";
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** Cooldown used when a 429 has no (valid) Retry-After header */
+export const DEFAULT_RATE_LIMIT_MS = 60 * 1000;
+
+/** Retry-After header (delta seconds or an HTTP date) -> milliseconds, or null */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/** Any thrown value -> WeatherError (AbortErrors and existing WeatherErrors are returned as-is) */
+export function toWeatherError(err) {
+  if (err instanceof WeatherError || err?.name === "AbortError") return err;
+  // fetch() rejects with a TypeError when the network is unreachable
+  if (isOffline() || err instanceof TypeError) {
+    return new WeatherError("offline", "The network is unreachable.", { cause: err });
+  }
+  if (err instanceof SyntaxError) {
+    return new WeatherError("badResponse", "The weather service sent an unreadable response.", { cause: err });
+  }
+  return new WeatherError("unknown", err?.message || "Unknown error", { status: err?.status ?? null, cause: err });
+}
+
+/** Non-2xx fetch Response -> WeatherError */
+export async function errorFromResponse(resp) {
+  const { status } = resp;
+  // the proxy and OpenWeatherMap both answer with { cod, message }; other APIs may send anything
+  const body = await resp.json().catch(() => null);
+  const detail = body?.message || body?.reason || resp.statusText;
+
+  if (status === 401 || body?.code === "missingKey") {
+    return new WeatherError("invalidKey", `Weather API key rejected: ${detail} (${status})`, { status });
+  }
+  if (status === 404) return new WeatherError("notFound", "City not found. Try a different name.", { status });
+  if (status === 429) {
+    const retryAfterMs = parseRetryAfter(resp.headers?.get?.("Retry-After")) ?? DEFAULT_RATE_LIMIT_MS;
+    return new WeatherError("rateLimited", `Too many requests: ${detail} (${status})`, { status, retryAfterMs });
+  }
+  if (status >= 500) return new WeatherError("server", `Weather service error: ${detail} (${status})`, { status });
+  return new WeatherError("unknown", `Weather API error: ${detail} (${status})`, { status });
+}
+
+/** GET a URL and parse its JSON body; every failure becomes a WeatherError */
+export async function fetchJson(url, { signal } = {}) {
+  let resp;
+  try {
+    resp = await fetch(url, { signal });
+  } catch (err) {
+    throw toWeatherError(err);
+  }
+  if (!resp.ok) throw await errorFromResponse(resp);
+  try {
+    return await resp.json();
+  } catch (err) {
+    if (err?.name === "AbortError") throw err;
+    throw new WeatherError("badResponse", "The weather service sent an unreadable response.", { status: resp.status, cause: err });
+  }
+}
+
+/* ---------- Recovery ---------- */
+
+const RETRY_BASE_MS = 2 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+/** Automatic retries after this many consecutive failures stop; the Retry button still works */
+export const MAX_AUTO_RETRIES = 5;
+
+/**
+ * How long to wait before retrying automatically after `failures` consecutive failures, or null
+ * when the error should not be retried automatically (notFound, invalidKey, offline - which
+ * waits for the "online" event instead - or too many failures).
+ */
+export function retryDelayMs(code, failures, retryAfterMs = null) {
+  if (code === "rateLimited") return Math.max(retryAfterMs ?? DEFAULT_RATE_LIMIT_MS, RETRY_BASE_MS);
+  if (!["server", "badResponse", "unknown"].includes(code)) return null;
+  if (failures > MAX_AUTO_RETRIES) return null;
+  return Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_MS * 2 ** Math.max(0, failures - 1));
+}
@@ -0,0 +1,124 @@
+import { afterEach, describe, it, expect, vi } from "vitest";
+import {
+  DEFAULT_RATE_LIMIT_MS,
+  MAX_AUTO_RETRIES,
+  WeatherError,
+  fetchJson,
+  parseRetryAfter,
+  retryDelayMs,
+  toWeatherError
+} from "./errors";
+
+const jsonResponse = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+/** Stub fetch with one response (or a rejection) and return the error fetchJson throws */
+async function failure(response) {
+  vi.stubGlobal("fetch", vi.fn(async () => (response instanceof Error ? Promise.reject(response) : response)));
+  return fetchJson("https://example.test/weather").then(
+    () => expect.fail("fetchJson should have thrown"),
+    (err) => err
+  );
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("fetchJson", () => {
+  it("returns the parsed body", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => jsonResponse(200, { name: "London" })));
+    await expect(fetchJson("https://example.test/weather")).resolves.toEqual({ name: "London" });
+  });
+
+  it("maps 401 to invalidKey", async () => {
+    const err = await failure(jsonResponse(401, { cod: 401, message: "Invalid API key" }));
+    expect(err).toBeInstanceOf(WeatherError);
+    expect(err).toMatchObject({ code: "invalidKey", status: 401 });
+  });
+
+  it("maps the proxy's missing key answer to invalidKey", async () => {
+    const err = await failure(jsonResponse(500, { cod: 500, code: "missingKey", message: "Weather proxy is missing WEATHER_API_KEY." }));
+    expect(err.code).toBe("invalidKey");
+  });
+
+  it("maps 404 to notFound", async () => {
+    expect((await failure(jsonResponse(404, { cod: "404", message: "city not found" }))).code).toBe("notFound");
+  });
+
+  it("maps 429 to rateLimited with the Retry-After cooldown", async () => {
+    const err = await failure(jsonResponse(429, { cod: 429 }, { "Retry-After": "42" }));
+    expect(err).toMatchObject({ code: "rateLimited", status: 429, retryAfterMs: 42000 });
+  });
+
+  it("falls back to a default cooldown without Retry-After", async () => {
+    expect((await failure(jsonResponse(429, { cod: 429 }))).retryAfterMs).toBe(DEFAULT_RATE_LIMIT_MS);
+  });
+
+  it("maps 5xx to server, even with a non-JSON body", async () => {
+    const err = await failure(new Response("<html>Bad gateway</html>", { status: 502, statusText: "Bad Gateway" }));
+    expect(err).toMatchObject({ code: "server", status: 502 });
+    expect(err.message).toContain("Bad Gateway");
+  });
+
+  it("maps other statuses to unknown", async () => {
+    expect((await failure(jsonResponse(400, { message: "wrong latitude" }))).code).toBe("unknown");
+  });
+
+  it("maps network failures to offline", async () => {
+    expect((await failure(new TypeError("Failed to fetch"))).code).toBe("offline");
+  });
+
+  it("maps any failure to offline while the browser is offline", async () => {
+    vi.stubGlobal("navigator", { onLine: false });
+    expect((await failure(new Error("socket hang up"))).code).toBe("offline");
+  });
+
+  it("maps malformed JSON to badResponse", async () => {
+    const err = await failure(new Response("{not json", { status: 200 }));
+    expect(err).toMatchObject({ code: "badResponse", status: 200 });
+  });
+
+  it("passes aborts through untouched", async () => {
+    const abort = new DOMException("The operation was aborted.", "AbortError");
+    expect(await failure(abort)).toBe(abort);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("reads delta seconds and HTTP dates", () => {
+    expect(parseRetryAfter("5")).toBe(5000);
+    expect(parseRetryAfter("Wed, 21 Oct 2015 07:28:30 GMT", Date.parse("Wed, 21 Oct 2015 07:28:00 GMT"))).toBe(30000);
+    expect(parseRetryAfter("soon")).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
+
+describe("toWeatherError", () => {
+  it("keeps WeatherErrors and classifies everything else", () => {
+    const typed = new WeatherError("server", "boom");
+    expect(toWeatherError(typed)).toBe(typed);
+    expect(toWeatherError(new SyntaxError("Unexpected token")).code).toBe("badResponse");
+    expect(toWeatherError(new Error("weird")).code).toBe("unknown");
+  });
+});
+
+describe("retryDelayMs", () => {
+  it("backs off exponentially for transient errors and stops after MAX_AUTO_RETRIES", () => {
+    expect(retryDelayMs("server", 1)).toBe(2000);
+    expect(retryDelayMs("badResponse", 3)).toBe(8000);
+    expect(retryDelayMs("unknown", MAX_AUTO_RETRIES)).toBe(32000);
+    expect(retryDelayMs("server", MAX_AUTO_RETRIES + 1)).toBeNull();
+  });
+
+  it("waits out the rate-limit cooldown", () => {
+    expect(retryDelayMs("rateLimited", 1, 42000)).toBe(42000);
+    expect(retryDelayMs("rateLimited", 1)).toBe(DEFAULT_RATE_LIMIT_MS);
+  });
+
+  it("never retries errors that need the user (or the network)", () => {
+    expect(retryDelayMs("notFound", 1)).toBeNull();
+    expect(retryDelayMs("invalidKey", 1)).toBeNull();
+    expect(retryDelayMs("offline", 1)).toBeNull();
+  });
+});
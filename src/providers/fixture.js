@@ -0,0 +1,115 @@
+/**
+ * fixture.js
+ * Offline adapter backed by synthetic OpenWeatherMap-shaped responses in ./fixtures (see fixtures/README.md).
+ *
+ * - No network and no API key: handy for local development and tests.
+ * - Fixtures are written in metric; imperial is converted here the same way the API would
+ *   (°F for temperatures, mph for wind).
+ * - Fixture timestamps are rebased so the observation reads as "now".
+ * - Unknown cities behave like an API 404; coordinates resolve to the nearest fixture city.
+ * - Fixtures are English; `lang` is ignored.
+ * - History is synthesized around the fixture observation (daily cycle), so charts have data offline.
+ */
+import { normalizeCurrent, normalizeForecast } from "./openWeatherMap";
+import { isCoords } from "../utils/location";
+import { WeatherError } from "./errors";
+import { convertModel } from "../utils/units";
+import londonWeather from "./fixtures/london-weather.json";
+import londonForecast from "./fixtures/london-forecast.json";
+import tokyoWeather from "./fixtures/tokyo-weather.json";
+import tokyoForecast from "./fixtures/tokyo-forecast.json";
+
+/** Air quality sample shared by every fixture city */
+const AIR_QUALITY = {
+  aqi: 2,
+  components: { pm2_5: 8.4, pm10: 14.1, o3: 61.2, no2: 18.9, so2: 2.3, co: 230.3, nh3: 1.1 }
+};
+
+const FIXTURES = {
+  london: { weather: londonWeather, forecast: londonForecast },
+  tokyo: { weather: tokyoWeather, forecast: tokyoForecast }
+};
+
+/** Squared lat/lon distance is plenty for picking the closest of a handful of fixtures */
+function nearestFixture({ lat, lon }) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const fixture of Object.values(FIXTURES)) {
+    const d = (fixture.weather.coord.lat - lat) ** 2 + (fixture.weather.coord.lon - lon) ** 2;
+    if (d < bestDistance) {
+      best = fixture;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+function lookup(location) {
+  if (isCoords(location)) return nearestFixture(location);
+  const key = String(location).split(",")[0].trim().toLowerCase();
+  const fixture = FIXTURES[key];
+  if (!fixture) throw new WeatherError("notFound", "City not found. Try a different name.");
+  return fixture;
+}
+
+/** Shift every timestamp so the fixture observation lines up with the current hour */
+function rebaseOffset(fixture) {
+  const nowHour = Math.floor(Date.now() / 3600000) * 3600;
+  return nowHour - fixture.weather.dt;
+}
+
+/** Deterministic hourly series around the fixture temperature / humidity / wind */
+function syntheticHistory(location, { start, end }) {
+  const { weather } = nearestFixture(location);
+  const observations = [];
+  for (let dt = Math.ceil(start / 3600) * 3600; dt <= end; dt += 3600) {
+    const day = (2 * Math.PI * ((dt + weather.timezone) % 86400)) / 86400; // 0 at local midnight
+    const drift = Math.sin(dt / (5 * 86400)); // slow multi-day swing
+    observations.push({
+      dt,
+      temp: Math.round((weather.main.temp - 4 * Math.cos(day) + 3 * drift) * 10) / 10,
+      humidity: Math.round(Math.min(100, Math.max(10, weather.main.humidity + 15 * Math.cos(day) - 10 * drift))),
+      windSpeed: Math.round(Math.max(0, weather.wind.speed * (1 + 0.5 * Math.sin(day * 2 + drift))) * 10) / 10
+    });
+  }
+  return observations;
+}
+
+const fixture = {
+  id: "fixture",
+  label: "Offline fixtures",
+  isConfigured: () => true,
+  configHint: "",
+  getCurrent: async (location, { units }) => {
+    const data = lookup(location);
+    const current = normalizeCurrent(data.weather);
+    const offset = rebaseOffset(data);
+    // sunrise / sunset move by whole days so they stay at the fixture's time of day
+    const dayOffset = Math.round(offset / 86400) * 86400;
+    return convertModel(
+      { ...current, dt: current.dt + offset, sunrise: current.sunrise + dayOffset, sunset: current.sunset + dayOffset },
+      units
+    );
+  },
+  getForecast: async (location, { units }) => {
+    const data = lookup(location);
+    const offset = rebaseOffset(data);
+    const forecast = normalizeForecast(data.forecast);
+    return {
+      ...forecast,
+      entries: forecast.entries.map((entry) => ({ ...convertModel(entry, units), dt: entry.dt + offset }))
+    };
+  },
+  getAirQuality: async () => ({ ...AIR_QUALITY, dt: Math.floor(Date.now() / 3600000) * 3600 }),
+  getHistory: async (location, range) => syntheticHistory(location, range),
+  searchLocations: async (text, { limit = 5 } = {}) => {
+    const needle = text.trim().toLowerCase();
+    return Object.values(FIXTURES)
+      .map(({ weather }) => weather)
+      .filter((w) => w.name.toLowerCase().startsWith(needle))
+      .slice(0, limit)
+      .map((w) => ({ name: w.name, state: "", country: w.sys.country, lat: w.coord.lat, lon: w.coord.lon }));
+  }
+};
+
+export default fixture;
@@ -0,0 +1,59 @@
+/**
+ * providers/index.js
+ * Weather provider registry.
+ *
+ * Every provider exposes the same shape so components never touch a vendor response:
+ *   {
+ *     id, label,
+ *     isConfigured(): boolean,      // e.g. required settings present
+ *     configHint: string,           // shown when isConfigured() is false
+ *     localized?: boolean,          // condition descriptions / alerts honour `lang`
+ *     getCurrent(location, { units, lang, signal }) -> normalized current model
+ *     getForecast(location, { units, lang, signal }) -> normalized forecast model
+ *     searchLocations(text, { limit, signal }) -> [{ name, state, country, lat, lon }]
+ *     getAlerts?({ lat, lon }, { lang, signal }) -> [{ id, sender, event, start, end, description }]
+ *     getAirQuality?({ lat, lon }, { signal }) -> { dt, aqi (1..5), components: { pm2_5, pm10, o3, no2, so2, co, nh3 } }
+ *     getHistory?({ lat, lon }, { start, end, signal }) -> [{ dt, temp, humidity, windSpeed }] (metric)
+ *   }
+ * getAlerts / getAirQuality / getHistory are optional: only providers with that data implement them.
+ *
+ * `location` is a city string or a { lat, lon, ... } place (see utils/location.js).
+ *
+ * Normalized current model:
+ *   { location: { name, country, lat, lon, timezone }, dt, condition: { id, main, description },
+ *     temp, feelsLike, humidity, windSpeed, pressure (hPa), visibility (m), precipitation (mm/1h),
+ *     windDeg, windGust (m/s), clouds (%), uvIndex (null when unknown), sunrise, sunset (unix seconds) }
+ * Normalized forecast model:
+ *   { location, entries: [{ dt, temp, tempMin, tempMax, pop, precipitation (mm/3h), condition }] }
+ *
+ * Temperatures are in the requested units; wind is m/s (metric) or mph (imperial).
+ * The app always requests metric and formats with the user's unit preferences (utils/units.js).
+ * `condition.id` always uses OpenWeatherMap condition codes.
+ * Failures are WeatherErrors (errors.js) with a `code` (notFound, invalidKey, rateLimited, offline,
+ * badResponse, server, unknown) and the HTTP `status`, so the UI can show a translated message and
+ * the matching recovery (retry, cooldown, setup guide).
+ *
+ * Choose a provider with VITE_WEATHER_PROVIDER in .env:
+ *   VITE_WEATHER_PROVIDER=openweathermap | open-meteo | fixture
+ */
+import openWeatherMap from "./openWeatherMap";
+import openMeteo from "./openMeteo";
+import fixture from "./fixture";
+
+export const providers = {
+  [openWeatherMap.id]: openWeatherMap,
+  [openMeteo.id]: openMeteo,
+  [fixture.id]: fixture
+};
+
+export const DEFAULT_PROVIDER = openWeatherMap.id;
+
+/**
+ * Resolve a provider by id (falls back to the configured / default provider).
+ * A provider object is passed through, so embeds can hand components an adapter of their own
+ * (e.g. createOpenWeatherMap({ proxyUrl })).
+ */
+export function getProvider(id = import.meta.env.VITE_WEATHER_PROVIDER) {
+  if (id && typeof id === "object") return id;
+  return providers[id] ?? providers[DEFAULT_PROVIDER];
+}
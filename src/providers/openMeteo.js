@@ -0,0 +1,231 @@
+/**
+ * openMeteo.js
+ * Open-Meteo adapter (no API key required).
+ *
+ * - City names are resolved with the Open-Meteo geocoding API first (coordinates skip this step):
+ *   https://geocoding-api.open-meteo.com/v1/search?name=London&count=1
+ * - Weather comes from a single forecast call with current + hourly variables:
+ *   https://api.open-meteo.com/v1/forecast?latitude=51.5&longitude=-0.12&current=...&hourly=...
+ * - History backfill reuses the forecast endpoint with past_days (up to 92 days back).
+ * - WMO weather codes are mapped onto OpenWeatherMap-style condition ids so
+ *   weatherIconForId and the mood rules (moodEngine) keep working unchanged. Descriptions are English only (`lang` is ignored).
+ */
+import { isCoords } from "../utils/location";
+import { WeatherError, fetchJson } from "./errors";
+
+const GEOCODING_URL = "https://geocoding-api.open-meteo.com/v1/search";
+const FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const AIR_QUALITY_URL = "https://air-quality-api.open-meteo.com/v1/air-quality";
+
+/** Hourly slots are sampled every 3h to match the OpenWeatherMap forecast cadence */
+const FORECAST_STEP_HOURS = 3;
+
+/** WMO code -> [OpenWeatherMap-style id, main, description] */
+const WMO_CODES = {
+  0: [800, "Clear", "clear sky"],
+  1: [801, "Clouds", "mainly clear"],
+  2: [802, "Clouds", "partly cloudy"],
+  3: [804, "Clouds", "overcast"],
+  45: [741, "Fog", "fog"],
+  48: [741, "Fog", "depositing rime fog"],
+  51: [300, "Drizzle", "light drizzle"],
+  53: [301, "Drizzle", "drizzle"],
+  55: [302, "Drizzle", "dense drizzle"],
+  56: [311, "Drizzle", "light freezing drizzle"],
+  57: [312, "Drizzle", "dense freezing drizzle"],
+  61: [500, "Rain", "light rain"],
+  63: [501, "Rain", "moderate rain"],
+  65: [502, "Rain", "heavy rain"],
+  66: [511, "Rain", "light freezing rain"],
+  67: [511, "Rain", "heavy freezing rain"],
+  71: [600, "Snow", "light snow"],
+  73: [601, "Snow", "snow"],
+  75: [602, "Snow", "heavy snow"],
+  77: [600, "Snow", "snow grains"],
+  80: [520, "Rain", "light rain showers"],
+  81: [521, "Rain", "rain showers"],
+  82: [522, "Rain", "violent rain showers"],
+  85: [620, "Snow", "light snow showers"],
+  86: [621, "Snow", "heavy snow showers"],
+  95: [211, "Thunderstorm", "thunderstorm"],
+  96: [201, "Thunderstorm", "thunderstorm with hail"],
+  99: [202, "Thunderstorm", "thunderstorm with heavy hail"]
+};
+
+/** WMO code -> normalized { id, main, description } */
+export function conditionFromWmo(code) {
+  const [id, main, description] = WMO_CODES[code] ?? WMO_CODES[0];
+  return { id, main, description };
+}
+
+const getJson = (url, signal) => fetchJson(url.toString(), { signal });
+
+/** Geocoding search -> normalized candidates { name, state, country, lat, lon } */
+async function search(text, count, signal) {
+  const url = new URL(GEOCODING_URL);
+  url.searchParams.set("name", text);
+  url.searchParams.set("count", String(count));
+  const json = await getJson(url, signal);
+  return (json.results ?? []).map((p) => ({
+    name: p.name,
+    state: p.admin1 ?? "",
+    country: p.country_code ?? "",
+    lat: p.latitude,
+    lon: p.longitude
+  }));
+}
+
+/** Location (city string or coords) -> resolved place; bare coordinates keep a null name (see placeName) */
+async function resolve(location, signal) {
+  if (isCoords(location)) return { name: null, state: "", country: "", ...location };
+  const [place] = await search(location, 1, signal);
+  if (!place) throw new WeatherError("notFound", "City not found. Try a different name.");
+  return place;
+}
+
+async function fetchWeather(location, { units, signal }) {
+  const place = await resolve(location, signal);
+  const url = new URL(FORECAST_URL);
+  url.searchParams.set("latitude", place.lat);
+  url.searchParams.set("longitude", place.lon);
+  url.searchParams.set(
+    "current",
+    "temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,pressure_msl,visibility,precipitation," +
+      "wind_direction_10m,wind_gusts_10m,cloud_cover,uv_index"
+  );
+  url.searchParams.set("daily", "sunrise,sunset");
+  url.searchParams.set("hourly", "temperature_2m,precipitation_probability,precipitation,weather_code");
+  url.searchParams.set("forecast_days", "5");
+  url.searchParams.set("timezone", "auto");
+  url.searchParams.set("timeformat", "unixtime");
+  // keep the same unit semantics as OpenWeatherMap: m/s for metric, mph for imperial
+  url.searchParams.set("temperature_unit", units === "imperial" ? "fahrenheit" : "celsius");
+  url.searchParams.set("wind_speed_unit", units === "imperial" ? "mph" : "ms");
+
+  const json = await getJson(url, signal);
+  return {
+    json,
+    location: {
+      name: place.name,
+      country: place.country,
+      lat: place.lat,
+      lon: place.lon,
+      timezone: json.utc_offset_seconds ?? 0
+    }
+  };
+}
+
+export function normalizeCurrent({ json, location }) {
+  const c = json.current ?? {};
+  return {
+    location,
+    dt: c.time,
+    condition: conditionFromWmo(c.weather_code),
+    temp: c.temperature_2m ?? null,
+    feelsLike: c.apparent_temperature ?? null,
+    humidity: c.relative_humidity_2m ?? null,
+    windSpeed: c.wind_speed_10m ?? null,
+    pressure: c.pressure_msl ?? null,
+    visibility: c.visibility ?? null,
+    precipitation: c.precipitation ?? 0,
+    windDeg: c.wind_direction_10m ?? null,
+    windGust: c.wind_gusts_10m ?? null,
+    clouds: c.cloud_cover ?? null,
+    uvIndex: c.uv_index ?? null,
+    sunrise: json.daily?.sunrise?.[0] ?? null,
+    sunset: json.daily?.sunset?.[0] ?? null
+  };
+}
+
+export function normalizeForecast({ json, location }) {
+  const h = json.hourly ?? {};
+  const now = json.current?.time ?? 0;
+  const entries = [];
+  (h.time ?? []).forEach((dt, i) => {
+    if (dt < now || i % FORECAST_STEP_HOURS !== 0) return;
+    const temp = h.temperature_2m?.[i] ?? null;
+    entries.push({
+      dt,
+      temp,
+      tempMin: temp,
+      tempMax: temp,
+      pop: (h.precipitation_probability?.[i] ?? 0) / 100,
+      // hourly amounts -> total for the 3h slot, like OpenWeatherMap's rain["3h"]
+      precipitation: (h.precipitation ?? []).slice(i, i + FORECAST_STEP_HOURS).reduce((sum, mm) => sum + (mm ?? 0), 0),
+      condition: conditionFromWmo(h.weather_code?.[i])
+    });
+  });
+  return { location, entries };
+}
+
+/** European AQI (0..100+) -> OpenWeatherMap-style 1..5 index */
+function aqiFromEuropean(eaqi) {
+  if (eaqi == null) return null;
+  if (eaqi <= 20) return 1;
+  if (eaqi <= 40) return 2;
+  if (eaqi <= 60) return 3;
+  if (eaqi <= 80) return 4;
+  return 5;
+}
+
+async function fetchAirQuality(location, signal) {
+  const url = new URL(AIR_QUALITY_URL);
+  url.searchParams.set("latitude", location.lat);
+  url.searchParams.set("longitude", location.lon);
+  url.searchParams.set(
+    "current",
+    "european_aqi,pm2_5,pm10,ozone,nitrogen_dioxide,sulphur_dioxide,carbon_monoxide,ammonia"
+  );
+  url.searchParams.set("timeformat", "unixtime");
+  const c = (await getJson(url, signal)).current ?? {};
+  return {
+    dt: c.time ?? null,
+    aqi: aqiFromEuropean(c.european_aqi),
+    components: {
+      pm2_5: c.pm2_5,
+      pm10: c.pm10,
+      o3: c.ozone,
+      no2: c.nitrogen_dioxide,
+      so2: c.sulphur_dioxide,
+      co: c.carbon_monoxide,
+      nh3: c.ammonia
+    }
+  };
+}
+
+async function fetchHistory(location, { start, end, signal }) {
+  const url = new URL(FORECAST_URL);
+  url.searchParams.set("latitude", location.lat);
+  url.searchParams.set("longitude", location.lon);
+  url.searchParams.set("hourly", "temperature_2m,relative_humidity_2m,wind_speed_10m");
+  url.searchParams.set("past_days", String(Math.min(92, Math.ceil((Date.now() / 1000 - start) / 86400))));
+  url.searchParams.set("forecast_days", "1");
+  url.searchParams.set("timeformat", "unixtime");
+  url.searchParams.set("wind_speed_unit", "ms");
+  const h = (await getJson(url, signal)).hourly ?? {};
+  const observations = [];
+  (h.time ?? []).forEach((dt, i) => {
+    if (dt < start || dt > end) return;
+    observations.push({
+      dt,
+      temp: h.temperature_2m?.[i] ?? null,
+      humidity: h.relative_humidity_2m?.[i] ?? null,
+      windSpeed: h.wind_speed_10m?.[i] ?? null
+    });
+  });
+  return observations;
+}
+
+const openMeteo = {
+  id: "open-meteo",
+  label: "Open-Meteo",
+  isConfigured: () => true,
+  configHint: "",
+  getCurrent: async (location, opts) => normalizeCurrent(await fetchWeather(location, opts)),
+  getForecast: async (location, opts) => normalizeForecast(await fetchWeather(location, opts)),
+  getAirQuality: (location, { signal } = {}) => fetchAirQuality(location, signal),
+  getHistory: (location, opts) => fetchHistory(location, opts),
+  searchLocations: (text, { limit = 5, signal } = {}) => search(text, limit, signal)
+};
+
+export default openMeteo;
@@ -0,0 +1,33 @@
+import { afterEach, describe, it, expect, vi } from "vitest";
+import openMeteo from "./openMeteo";
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("openMeteo provider", () => {
+  it("reports an unknown city as notFound without calling the forecast API", async () => {
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify({ generationtime_ms: 0.2 }), { status: 200 }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    await expect(openMeteo.getCurrent("Atlantis", { units: "metric" })).rejects.toMatchObject({ code: "notFound" });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("types API errors", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response(JSON.stringify({ error: true, reason: "Invalid latitude" }), { status: 400 })));
+    const err = await openMeteo.getCurrent({ lat: 999, lon: 0 }, { units: "metric" }).catch((e) => e);
+    expect(err).toMatchObject({ code: "unknown", status: 400 });
+    expect(err.message).toContain("Invalid latitude");
+  });
+
+  it("leaves bare coordinates unnamed so the UI can translate them", async () => {
+    const current = { time: 1760860800, temperature_2m: 12.4, weather_code: 61 };
+    vi.stubGlobal("fetch", vi.fn(async () => new Response(JSON.stringify({ current, utc_offset_seconds: 3600 }), { status: 200 })));
+    const data = await openMeteo.getCurrent({ lat: 51.5, lon: -0.12 }, { units: "metric" });
+    expect(data.location).toMatchObject({ name: null, lat: 51.5, lon: -0.12, timezone: 3600 });
+
+    const named = await openMeteo.getCurrent({ lat: 51.5, lon: -0.12, name: "Home" }, { units: "metric" });
+    expect(named.location.name).toBe("Home");
+  });
+});
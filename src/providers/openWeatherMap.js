@@ -0,0 +1,185 @@
+/**
+ * openWeatherMap.js
+ * OpenWeatherMap adapter (current weather + 5-day / 3-hour forecast).
+ *
+ * - Talks only to our own proxy (server/weatherProxy.js), which injects the API key server-side.
+ * - Proxy base URL defaults to /api/weather; override with VITE_WEATHER_PROXY_URL
+ *   when the proxy is deployed on another origin. createOpenWeatherMap({ proxyUrl }) builds an
+ *   adapter for another endpoint at runtime (the embeddable widget's `endpoint` attribute).
+ * - Fetch URL examples:
+ *   /api/weather?q=London&units=metric&lang=de
+ *   /api/weather?lat=51.51&lon=-0.13&units=metric
+ *   /api/weather/forecast?q=London&units=metric
+ *   /api/weather/geo/direct?q=Springfield&limit=5
+ *   /api/weather/onecall?lat=51.51&lon=-0.13&exclude=current,minutely,hourly,daily (alerts)
+ *   /api/weather/air_pollution?lat=51.51&lon=-0.13
+ *   /api/weather/onecall/timemachine?lat=51.51&lon=-0.13&dt=1700000000&units=metric (history)
+ * - Temperatures come back in the requested units; wind is m/s (metric) or mph (imperial).
+ * - `lang` is passed through, so condition descriptions and alerts come back localized.
+ * - Failures are typed WeatherErrors (see errors.js): 401 / missing proxy key -> invalidKey,
+ *   404 -> notFound, 429 -> rateLimited, network -> offline, unreadable JSON -> badResponse.
+ */
+import { isCoords } from "../utils/location";
+import { runBatched } from "./dedupe";
+import { fetchJson } from "./errors";
+
+const PROXY_URL = import.meta.env.VITE_WEATHER_PROXY_URL || "/api/weather";
+
+/** GET a proxied OpenWeatherMap endpoint ("" = current weather) and return parsed JSON (errors: WeatherError) */
+function request(proxyUrl, path, params, signal) {
+  const url = new URL(`${proxyUrl}${path}`, window.location.origin);
+  for (const [name, value] of Object.entries(params)) url.searchParams.set(name, value);
+  return fetchJson(url.toString(), { signal });
+}
+
+/** Location (city string or coords) + units + language -> query params */
+function weatherParams(location, units, lang) {
+  const where = isCoords(location) ? { lat: location.lat, lon: location.lon } : { q: location };
+  return { ...where, units, ...(lang ? { lang } : {}) }; // metric or imperial; lang localizes descriptions
+}
+
+/** Pick the first weather condition in the normalized { id, main, description } shape */
+function condition(weather) {
+  const w = weather?.[0];
+  return { id: w?.id ?? 800, main: w?.main ?? "", description: w?.description ?? "" };
+}
+
+/** /weather response -> normalized current model */
+export function normalizeCurrent(json) {
+  return {
+    location: {
+      name: json.name,
+      country: json.sys?.country ?? "",
+      lat: json.coord?.lat ?? null,
+      lon: json.coord?.lon ?? null,
+      timezone: json.timezone ?? 0
+    },
+    dt: json.dt,
+    condition: condition(json.weather),
+    temp: json.main?.temp ?? null,
+    feelsLike: json.main?.feels_like ?? null,
+    humidity: json.main?.humidity ?? null,
+    windSpeed: json.wind?.speed ?? null,
+    pressure: json.main?.pressure ?? null,
+    visibility: json.visibility ?? null,
+    precipitation: (json.rain?.["1h"] ?? 0) + (json.snow?.["1h"] ?? 0), // mm over the last hour
+    windDeg: json.wind?.deg ?? null,
+    windGust: json.wind?.gust ?? null,
+    clouds: json.clouds?.all ?? null,
+    uvIndex: null, // not part of the free current-weather response
+    sunrise: json.sys?.sunrise ?? null,
+    sunset: json.sys?.sunset ?? null
+  };
+}
+
+/** /air_pollution response -> normalized air quality ({ aqi: 1..5, components in μg/m³ }) */
+export function normalizeAirQuality(json) {
+  const sample = json.list?.[0];
+  const c = sample?.components ?? {};
+  return {
+    dt: sample?.dt ?? null,
+    aqi: sample?.main?.aqi ?? null,
+    components: { pm2_5: c.pm2_5, pm10: c.pm10, o3: c.o3, no2: c.no2, so2: c.so2, co: c.co, nh3: c.nh3 }
+  };
+}
+
+/** One Call timemachine response -> history observations (metric) */
+export function normalizeTimemachine(json) {
+  return (json.data ?? []).map((d) => ({
+    dt: d.dt,
+    temp: d.temp ?? null,
+    humidity: d.humidity ?? null,
+    windSpeed: d.wind_speed ?? null
+  }));
+}
+
+/** Timemachine answers one timestamp per call, so long ranges are sampled with at most this many calls */
+const MAX_HISTORY_CALLS = 24;
+
+async function fetchHistory(get, location, { start, end, signal }) {
+  const step = Math.max(3 * 3600, Math.ceil((end - start) / MAX_HISTORY_CALLS));
+  const tasks = [];
+  for (let dt = start; dt < end; dt += step) {
+    const params = { lat: location.lat, lon: location.lon, dt, units: "metric" };
+    tasks.push(async () => normalizeTimemachine(await get("/onecall/timemachine", params, signal)));
+  }
+  const results = await runBatched(tasks, 4);
+  const ok = results.filter((r) => r.status === "fulfilled");
+  // a partial backfill is still useful; only fail when nothing came back
+  if (!ok.length && results.length) throw results[0].reason;
+  return ok.flatMap((r) => r.value);
+}
+
+/** One Call `alerts` -> normalized official alerts */
+export function normalizeAlerts(json) {
+  return (json.alerts ?? []).map((a) => ({
+    id: `${a.event}|${a.start}`,
+    sender: a.sender_name ?? "",
+    event: a.event ?? "Weather alert",
+    start: a.start,
+    end: a.end,
+    description: a.description ?? ""
+  }));
+}
+
+/** /forecast response -> normalized forecast model */
+export function normalizeForecast(json) {
+  return {
+    location: {
+      name: json.city?.name ?? "",
+      country: json.city?.country ?? "",
+      lat: json.city?.coord?.lat ?? null,
+      lon: json.city?.coord?.lon ?? null,
+      timezone: json.city?.timezone ?? 0
+    },
+    entries: (json.list ?? []).map((entry) => ({
+      dt: entry.dt,
+      temp: entry.main?.temp ?? null,
+      tempMin: entry.main?.temp_min ?? entry.main?.temp ?? null,
+      tempMax: entry.main?.temp_max ?? entry.main?.temp ?? null,
+      pop: entry.pop ?? 0,
+      precipitation: (entry.rain?.["3h"] ?? 0) + (entry.snow?.["3h"] ?? 0), // mm over the 3h slot
+      condition: condition(entry.weather)
+    }))
+  };
+}
+
+/**
+ * Adapter talking to the proxy at `proxyUrl` (absolute or relative to the page).
+ * Adapters for different endpoints share the provider id, and so the cache: they serve the same data.
+ */
+export function createOpenWeatherMap({ proxyUrl = PROXY_URL } = {}) {
+  const get = (path, params, signal) => request(proxyUrl, path, params, signal);
+  return {
+    id: "openweathermap",
+    label: "OpenWeatherMap",
+    // the key lives on the proxy; a missing key surfaces as a proxy error instead
+    isConfigured: () => true,
+    configHint: "",
+    localized: true,
+    getCurrent: async (location, { units, lang, signal }) =>
+      normalizeCurrent(await get("", weatherParams(location, units, lang), signal)),
+    getForecast: async (location, { units, lang, signal }) =>
+      normalizeForecast(await get("/forecast", weatherParams(location, units, lang), signal)),
+    // One Call is coordinate-only; callers pass the coords of an already-resolved location
+    getAlerts: async (location, { lang, signal } = {}) =>
+      normalizeAlerts(
+        await get(
+          "/onecall",
+          { lat: location.lat, lon: location.lon, exclude: "current,minutely,hourly,daily", ...(lang ? { lang } : {}) },
+          signal
+        )
+      ),
+    getAirQuality: async (location, { signal } = {}) =>
+      normalizeAirQuality(await get("/air_pollution", { lat: location.lat, lon: location.lon }, signal)),
+    getHistory: (location, opts) => fetchHistory(get, location, opts),
+    searchLocations: async (text, { limit = 5, signal } = {}) => {
+      const places = await get("/geo/direct", { q: text, limit }, signal);
+      return places.map((p) => ({ name: p.name, state: p.state ?? "", country: p.country ?? "", lat: p.lat, lon: p.lon }));
+    }
+  };
+}
+
+const openWeatherMap = createOpenWeatherMap();
+
+export default openWeatherMap;
@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import openWeatherMap, { createOpenWeatherMap } from "./openWeatherMap";
+import londonWeather from "./fixtures/london-weather.json";
+
+const jsonResponse = (status, body, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+
+beforeEach(() => {
+  vi.stubGlobal("window", { location: { origin: "http://localhost" } });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("openWeatherMap provider", () => {
+  it("calls the proxy and normalizes the current weather", async () => {
+    const fetchMock = vi.fn(async () => jsonResponse(200, londonWeather));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const data = await openWeatherMap.getCurrent("London", { units: "metric", lang: "de" });
+
+    const url = new URL(fetchMock.mock.calls[0][0]);
+    expect(url.pathname).toBe("/api/weather");
+    expect(Object.fromEntries(url.searchParams)).toEqual({ q: "London", units: "metric", lang: "de" });
+    expect(data.location.name).toBe(londonWeather.name);
+    expect(data.temp).toBe(londonWeather.main.temp);
+  });
+
+  it.each([
+    [401, {}, "invalidKey"],
+    [404, {}, "notFound"],
+    [429, { "Retry-After": "30" }, "rateLimited"],
+    [503, {}, "server"]
+  ])("turns HTTP %i into a %s error", async (status, headers, code) => {
+    vi.stubGlobal("fetch", vi.fn(async () => jsonResponse(status, { cod: status, message: "nope" }, headers)));
+    await expect(openWeatherMap.getCurrent("London", { units: "metric" })).rejects.toMatchObject({ code, status });
+  });
+
+  it("reports unreadable responses and network failures", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("<html>", { status: 200 })));
+    await expect(openWeatherMap.getForecast("London", { units: "metric" })).rejects.toMatchObject({ code: "badResponse" });
+
+    vi.stubGlobal("fetch", vi.fn(async () => Promise.reject(new TypeError("Failed to fetch"))));
+    await expect(openWeatherMap.getForecast("London", { units: "metric" })).rejects.toMatchObject({ code: "offline" });
+  });
+
+  it("talks to a custom proxy endpoint", async () => {
+    const fetchMock = vi.fn(async () => jsonResponse(200, londonWeather));
+    vi.stubGlobal("fetch", fetchMock);
+
+    await createOpenWeatherMap({ proxyUrl: "https://portal.example.com/weather" }).getCurrent("London", { units: "metric" });
+    await createOpenWeatherMap({ proxyUrl: "/status/weather" }).getForecast("London", { units: "metric" });
+
+    expect(fetchMock.mock.calls[0][0]).toBe("https://portal.example.com/weather?q=London&units=metric");
+    expect(new URL(fetchMock.mock.calls[1][0]).pathname).toBe("/status/weather/forecast");
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * weatherCache.js
+ * Stale-while-revalidate cache in front of the weather providers.
+ * - Keyed by provider + kind ("current" | "forecast" | "alerts" | "air") + location; units are not part of the key
+ *   because providers are always called in metric and the UI converts (utils/units.js).
+ * - The language is part of the key only for providers that localize (`provider.localized`) and only when it
+ *   isn't English, so other providers share one entry across languages.
+ * - Two tiers: an in-memory Map for instant hits and IndexedDB so data survives reloads.
+ * - Entries are { key, data, fetchedAt }; freshness is decided by the caller's TTL.
+ * - Every fetched current observation is also recorded in the location's history (weatherHistory.js).
+ *
+ * TTL defaults to VITE_WEATHER_CACHE_TTL seconds (600 when unset).
+ */
+import { dedupe } from "./dedupe";
+import { idbGet, idbPut } from "../utils/idb";
+import { locationKey } from "../utils/location";
+import { recordObservation } from "./weatherHistory";
+
+export const DEFAULT_TTL_MS = (Number(import.meta.env.VITE_WEATHER_CACHE_TTL) || 600) * 1000;
+
+const STORE = "responses";
+const memory = new Map();
+
+function cacheKey(provider, kind, location, lang) {
+  const key = `${provider.id}|${kind}|${locationKey(location)}`;
+  return provider.localized && lang && lang !== "en" ? `${key}|${lang}` : key;
+}
+
+export function isFresh(entry, ttlMs = DEFAULT_TTL_MS) {
+  return Boolean(entry) && Date.now() - entry.fetchedAt < ttlMs;
+}
+
+/** Cached entry (memory first, then IndexedDB) or null */
+export async function readCache(provider, kind, location, { lang } = {}) {
+  const key = cacheKey(provider, kind, location, lang);
+  if (memory.has(key)) return memory.get(key);
+  const entry = await idbGet(STORE, key);
+  if (entry) memory.set(key, entry);
+  return entry;
+}
+
+/** Fetch from the provider and store the result; concurrent calls share one request */
+export function revalidate(provider, kind, location, { lang } = {}) {
+  const key = cacheKey(provider, kind, location, lang);
+  return dedupe(key, async () => {
+    const fetcher = {
+      current: provider.getCurrent,
+      forecast: provider.getForecast,
+      alerts: provider.getAlerts,
+      air: provider.getAirQuality
+    }[kind];
+    const data = await fetcher(location, { units: "metric", lang });
+    const entry = { key, data, fetchedAt: Date.now() };
+    memory.set(key, entry);
+    idbPut(STORE, entry);
+    if (kind === "current") recordObservation(location, data);
+    return entry;
+  });
+}
+
+/** Fresh cached entry if there is one, otherwise a revalidated one */
+export async function getWeather(provider, kind, location, { ttlMs = DEFAULT_TTL_MS, force = false, lang } = {}) {
+  const cached = await readCache(provider, kind, location, { lang });
+  if (!force && isFresh(cached, ttlMs)) return cached;
+  return revalidate(provider, kind, location, { lang });
+}
@@ -0,0 +1,74 @@
+/**
+ * weatherHistory.js
+ * Locally recorded observation history per location (feeds the trend charts).
+ * - Every current-weather response fetched through weatherCache is recorded (recordObservation).
+ * - Providers may implement getHistory to backfill past observations (backfillHistory).
+ * - Stored in IndexedDB ("history" store) as { key, observations, backfilledFrom }, keyed by
+ *   locationKey and shared between providers; observations are metric (see utils/history.js).
+ * - Same two tiers as weatherCache: an in-memory Map in front of IndexedDB.
+ */
+import { dedupe } from "./dedupe";
+import { idbGet, idbPut } from "../utils/idb";
+import { locationKey } from "../utils/location";
+import { HISTORY_MAX_AGE, mergeObservations, toObservation } from "../utils/history";
+
+const STORE = "history";
+const memory = new Map();
+const listeners = new Set();
+
+function load(key) {
+  if (memory.has(key)) return Promise.resolve(memory.get(key));
+  return dedupe(`history|${key}`, async () => {
+    const entry = memory.get(key) ?? (await idbGet(STORE, key)) ?? { key, observations: [], backfilledFrom: null };
+    memory.set(key, entry);
+    return entry;
+  });
+}
+
+/** Merge observations into a location's history, persist it and notify subscribers */
+async function save(location, observations, patch = {}) {
+  const key = locationKey(location);
+  await load(key);
+  const entry = memory.get(key); // re-read after the await so concurrent saves don't drop each other
+  const minDt = Math.floor(Date.now() / 1000) - HISTORY_MAX_AGE;
+  const next = { ...entry, ...patch, observations: mergeObservations(entry.observations, observations, minDt) };
+  memory.set(key, next);
+  idbPut(STORE, next);
+  listeners.forEach((fn) => fn(key));
+  return next;
+}
+
+/** Recorded observations for a location, oldest first */
+export async function readHistory(location) {
+  if (!location) return [];
+  return (await load(locationKey(location))).observations;
+}
+
+/** Record a normalized (metric) current-weather model */
+export function recordObservation(location, current) {
+  const obs = toObservation(current);
+  if (!location || !obs) return Promise.resolve(null);
+  return save(location, [obs]);
+}
+
+/**
+ * Fetch past observations from `start` (unix seconds) until now with provider.getHistory.
+ * `coords` are the { lat, lon } of the resolved location. Ranges already backfilled are skipped.
+ */
+export async function backfillHistory(provider, location, coords, start) {
+  if (!provider.getHistory) return readHistory(location);
+  const key = locationKey(location);
+  const entry = await load(key);
+  if (entry.backfilledFrom != null && entry.backfilledFrom <= start) return entry.observations;
+  return dedupe(`history-backfill|${key}|${start}`, async () => {
+    const end = entry.backfilledFrom ?? Math.floor(Date.now() / 1000);
+    const observations = await provider.getHistory(coords, { start, end });
+    return (await save(location, observations, { backfilledFrom: start })).observations;
+  });
+}
+
+/** Call fn(locationKey) whenever a history changes; returns an unsubscribe function */
+export function subscribeHistory(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
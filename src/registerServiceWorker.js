@@ -0,0 +1,11 @@
+/**
+ * registerServiceWorker.js
+ * Registers /sw.js (emitted by the `service-worker` plugin in vite.config.js).
+ * Production builds only: in dev the SW would cache Vite's unbundled modules and fight HMR.
+ */
+export default function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((err) => console.error("Service worker registration failed", err));
+  });
+}
@@ -0,0 +1,18 @@
+import axe from "axe-core";
+
+/**
+ * axe.js
+ * Automated accessibility check for DOM tests: `expect(await axeViolations(container)).toEqual([])`.
+ * - Runs axe-core's WCAG A / AA rules and returns one readable line per violation.
+ * - Colour contrast is left out: jsdom does no layout or painting, so axe can't measure it.
+ */
+
+const OPTIONS = {
+  runOnly: { type: "tag", values: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "best-practice"] },
+  rules: { "color-contrast": { enabled: false } }
+};
+
+export async function axeViolations(context = document.body) {
+  const { violations } = await axe.run(context, OPTIONS);
+  return violations.map((violation) => `${violation.id}: ${violation.nodes.map((node) => node.target.join(" ")).join(", ")}`);
+}
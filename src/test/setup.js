@@ -0,0 +1,19 @@
+/**
+ * setup.js
+ * Vitest setup (vite.config.js `test.setupFiles`), shared by every test file.
+ * - jest-dom matchers (toBeInTheDocument, toHaveTextContent, …) for React Testing Library tests.
+ * - DOM tests (`// @vitest-environment jsdom`) start from a clean page, storage and URL (and no
+ *   high-contrast class left on <html>).
+ */
+import "@testing-library/jest-dom/vitest";
+import { afterEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  if (typeof document === "undefined") return;
+  cleanup();
+  document.documentElement.className = "";
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
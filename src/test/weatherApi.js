@@ -0,0 +1,69 @@
+import { vi } from "vitest";
+import londonWeather from "../providers/fixtures/london-weather.json";
+import londonForecast from "../providers/fixtures/london-forecast.json";
+import tokyoWeather from "../providers/fixtures/tokyo-weather.json";
+import tokyoForecast from "../providers/fixtures/tokyo-forecast.json";
+
+/**
+ * weatherApi.js
+ * fetch mock for the weather proxy (/api/weather, see providers/openWeatherMap.js), answering with the
+ * the synthetic OpenWeatherMap-shaped responses in providers/fixtures (see fixtures/README.md).
+ * - Tokyo gets Tokyo's fixture; any other city gets London's, renamed to the searched name. Tests
+ *   can use a name of their own and never share a weatherCache entry with another test.
+ * - Coordinates get London's fixture at those coordinates.
+ * - `cities` changes the answer for one city (case-insensitive):
+ *     404 / 401 / 429 / 503 …  HTTP error (429 comes with Retry-After: 30)
+ *     "offline"                 network failure
+ *     "pending"                 never answers (loading state)
+ *     { wind: undefined, … }    fields merged into the fixture current weather
+ * Returns the vi.fn, so tests can inspect the requested URLs.
+ */
+
+const json = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+/** Fixture current weather + forecast for a `q` (city name) or lat/lon request */
+function fixtureFor(params) {
+  const q = params.get("q");
+  const tokyo = q?.trim().toLowerCase() === "tokyo";
+  const weather = tokyo ? tokyoWeather : londonWeather;
+  const forecast = tokyo ? tokyoForecast : londonForecast;
+  if (!q) {
+    const coord = { lat: Number(params.get("lat")), lon: Number(params.get("lon")) };
+    return { weather: { ...weather, coord }, forecast: { ...forecast, city: { ...forecast.city, coord } } };
+  }
+  const name = tokyo ? weather.name : q.split(",")[0].trim();
+  return { weather: { ...weather, name }, forecast: { ...forecast, city: { ...forecast.city, name } } };
+}
+
+export function mockWeatherApi({ cities = {} } = {}) {
+  const overrides = Object.fromEntries(Object.entries(cities).map(([name, answer]) => [name.toLowerCase(), answer]));
+
+  const fetchMock = vi.fn(async (input) => {
+    const url = new URL(String(input), "http://localhost");
+    const path = url.pathname.replace(/^\/api\/weather/, "");
+    const params = url.searchParams;
+
+    if (path === "/geo/direct") return json(200, []);
+    if (path === "/onecall") return json(200, { alerts: [] });
+    if (path === "/air_pollution") {
+      return json(200, { list: [{ dt: londonWeather.dt, main: { aqi: 2 }, components: { pm2_5: 8.4, pm10: 14.1, o3: 61.2, no2: 18.9 } }] });
+    }
+
+    const answer = overrides[params.get("q")?.trim().toLowerCase()];
+    if (answer === "pending") return new Promise(() => {});
+    if (answer === "offline") throw new TypeError("Failed to fetch");
+    if (typeof answer === "number") {
+      const headers = answer === 429 ? { "Retry-After": "30" } : {};
+      return json(answer, { cod: answer, message: answer === 404 ? "city not found" : "error" }, headers);
+    }
+
+    const { weather, forecast } = fixtureFor(params);
+    if (path === "/forecast") return json(200, forecast);
+    if (path === "") return json(200, { ...weather, ...answer });
+    return json(404, { cod: 404, message: "unknown endpoint" });
+  });
+
+  vi.stubGlobal("fetch", fetchMock);
+  return fetchMock;
+}
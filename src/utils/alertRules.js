@@ -0,0 +1,98 @@
+/**
+ * alertRules.js
+ * User-defined threshold rules evaluated against the (metric) current weather model.
+ *
+ * A rule is { id, type, value }:
+ * - tempBelow / tempAbove   value in °C         e.g. { type: "tempBelow", value: 0 }
+ * - windAbove               value in km/h       e.g. { type: "windAbove", value: 50 }
+ * - condition               value is an icon type from weatherIconForId
+ *                           ("thunder" = codes 2xx, "rain", "snow", "fog", ...)
+ *
+ * Values are always stored in those metric units; thresholdToDisplay / thresholdFromInput convert them
+ * to and from the user's unit preferences (utils/units.js) for the editor and descriptions.
+ *
+ * Labels and descriptions come from the message catalogs ("rules.type.<type>", "rules.describe.<type>").
+ */
+import { weatherIconForId } from "./weather";
+import {
+  METRIC_PREFS,
+  convertTemperature,
+  convertWind,
+  msToKmh,
+  temperatureLabel,
+  temperatureToCelsius,
+  windLabel,
+  windToMs
+} from "./units";
+
+export const RULE_TYPES = {
+  tempBelow: {
+    quantity: "temperature",
+    test: (data, value) => data.temp != null && data.temp < value
+  },
+  tempAbove: {
+    quantity: "temperature",
+    test: (data, value) => data.temp != null && data.temp > value
+  },
+  windAbove: {
+    quantity: "wind",
+    test: (data, value) => data.windSpeed != null && msToKmh(data.windSpeed) > value
+  },
+  condition: {
+    quantity: null,
+    test: (data, value) => weatherIconForId(data.condition?.id, data.condition?.main) === value
+  }
+};
+
+/** Unit label for a rule type's threshold in the user's units ("°F", "mph"; "" for conditions) */
+export function thresholdUnit(type, prefs = METRIC_PREFS) {
+  const quantity = RULE_TYPES[type]?.quantity;
+  if (quantity === "temperature") return temperatureLabel(prefs.temperature).trim();
+  if (quantity === "wind") return windLabel(prefs.wind);
+  return "";
+}
+
+/** Stored (metric) threshold -> number in the user's units, to one decimal */
+export function thresholdToDisplay(type, value, prefs = METRIC_PREFS) {
+  const quantity = RULE_TYPES[type]?.quantity;
+  if (quantity === "temperature") return Math.round(convertTemperature(value, prefs.temperature) * 10) / 10;
+  if (quantity === "wind") return Math.round(convertWind(value / 3.6, prefs.wind) * 10) / 10;
+  return value;
+}
+
+/** Number entered in the user's units -> stored (metric) threshold */
+export function thresholdFromInput(type, value, prefs = METRIC_PREFS) {
+  const quantity = RULE_TYPES[type]?.quantity;
+  if (quantity === "temperature") return temperatureToCelsius(value, prefs.temperature);
+  if (quantity === "wind") return msToKmh(windToMs(value, prefs.wind));
+  return value;
+}
+
+/** Icon types selectable for the "condition" rule */
+export const CONDITION_CHOICES = ["thunder", "rain", "snow", "fog", "clear", "clouds"];
+
+/** Rules a new saved location starts with */
+export const DEFAULT_RULES = [
+  { id: "freezing", type: "tempBelow", value: 0 },
+  { id: "wind", type: "windAbove", value: 50 },
+  { id: "thunder", type: "condition", value: "thunder" }
+];
+
+/** Human readable rule in the user's units, e.g. "Temperature below 32 °F"; `t` is the translator from useI18n */
+export function describeRule(rule, t, prefs = METRIC_PREFS) {
+  if (!RULE_TYPES[rule.type]) return rule.type;
+  if (rule.type === "condition") {
+    const condition = t(`conditions.${rule.value}`);
+    return rule.value === "thunder" ? condition : t("rules.describe.condition", { value: condition });
+  }
+  return t(`rules.describe.${rule.type}`, {
+    value: thresholdToDisplay(rule.type, rule.value, prefs),
+    unit: thresholdUnit(rule.type, prefs)
+  });
+}
+
+/** Rules that currently match `data` (metric current model) */
+export function evaluateRules(rules, data) {
+  if (!data) return [];
+  return (rules ?? []).filter((rule) => RULE_TYPES[rule.type]?.test(data, rule.value));
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { describeRule, evaluateRules, thresholdFromInput, thresholdToDisplay, thresholdUnit } from "./alertRules";
+import { IMPERIAL_PREFS, METRIC_PREFS } from "./units";
+
+const t = (key, vars = {}) => `${key} ${Object.values(vars).join(" ")}`.trim();
+
+describe("alert rule thresholds", () => {
+  it("describes stored metric thresholds in the user's units", () => {
+    expect(describeRule({ type: "tempBelow", value: 0 }, t)).toBe("rules.describe.tempBelow 0 °C");
+    expect(describeRule({ type: "tempBelow", value: 0 }, t, IMPERIAL_PREFS)).toBe("rules.describe.tempBelow 32 °F");
+    expect(describeRule({ type: "windAbove", value: 50 }, t, IMPERIAL_PREFS)).toBe("rules.describe.windAbove 31.1 mph");
+    expect(describeRule({ type: "windAbove", value: 50 }, t, { ...METRIC_PREFS, wind: "bft" })).toBe(
+      "rules.describe.windAbove 6 Bft"
+    );
+  });
+
+  it("stores thresholds entered in imperial units as metric", () => {
+    expect(thresholdFromInput("tempAbove", 86, IMPERIAL_PREFS)).toBeCloseTo(30);
+    expect(thresholdFromInput("windAbove", 31, IMPERIAL_PREFS)).toBeCloseTo(49.89, 1);
+    expect(thresholdUnit("tempAbove", IMPERIAL_PREFS)).toBe("°F");
+    expect(thresholdUnit("windAbove", IMPERIAL_PREFS)).toBe("mph");
+    expect(thresholdUnit("condition", IMPERIAL_PREFS)).toBe("");
+  });
+
+  it("round-trips what the user typed", () => {
+    for (const [type, typed] of [
+      ["tempBelow", 28],
+      ["tempAbove", 95.5],
+      ["windAbove", 40]
+    ]) {
+      expect(thresholdToDisplay(type, thresholdFromInput(type, typed, IMPERIAL_PREFS), IMPERIAL_PREFS)).toBe(typed);
+    }
+  });
+
+  it("evaluates rules entered in °F against metric data", () => {
+    const rule = { id: "frost", type: "tempBelow", value: thresholdFromInput("tempBelow", 28, IMPERIAL_PREFS) };
+    expect(evaluateRules([rule], { temp: -3 })).toEqual([rule]); // 26.6 °F
+    expect(evaluateRules([rule], { temp: -1 })).toEqual([]); // 30.2 °F
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * compare.js
+ * Helpers for the side-by-side city comparison (CompareView).
+ * - 2..4 locations; the first column is the reference the others are compared against.
+ * - Time-zone offsets come from each response's `timezone` (seconds east of UTC).
+ */
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+/**
+ * Indices of the highest and lowest values (nulls ignored), or null when there is nothing to
+ * highlight (fewer than two values, or all equal).
+ */
+export function extremes(values) {
+  const present = values.map((value, index) => ({ value, index })).filter(({ value }) => value != null && Number.isFinite(value));
+  if (present.length < 2) return null;
+  let max = present[0];
+  let min = present[0];
+  for (const entry of present) {
+    if (entry.value > max.value) max = entry;
+    if (entry.value < min.value) min = entry;
+  }
+  return max.value === min.value ? null : { max: max.index, min: min.index };
+}
+
+/** "+5:30" / "-3" / "+0" style hours:minutes for an offset in seconds */
+function hoursMinutes(seconds) {
+  const sign = seconds < 0 ? "-" : "+";
+  const minutes = Math.round(Math.abs(seconds) / 60);
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${sign}${h}${m ? `:${String(m).padStart(2, "0")}` : ""}`;
+}
+
+/** 19800 -> "UTC+5:30", -10800 -> "UTC-3", 0 -> "UTC" */
+export function utcOffsetLabel(tzSeconds) {
+  return tzSeconds ? `UTC${hoursMinutes(tzSeconds)}` : "UTC";
+}
+
+/**
+ * How far `tzSeconds` is ahead of / behind `baseSeconds`:
+ * { direction: "ahead" | "behind" | "same", hours, minutes }.
+ */
+export function offsetDifference(tzSeconds, baseSeconds) {
+  const diff = (tzSeconds ?? 0) - (baseSeconds ?? 0);
+  const minutes = Math.round(Math.abs(diff) / 60);
+  return {
+    direction: diff > 0 ? "ahead" : diff < 0 ? "behind" : "same",
+    hours: Math.floor(minutes / 60),
+    minutes: minutes % 60
+  };
+}
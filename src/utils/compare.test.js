@@ -0,0 +1,29 @@
+import { describe, it, expect } from "vitest";
+import { extremes, offsetDifference, utcOffsetLabel } from "./compare";
+
+describe("extremes", () => {
+  it("finds the highest and lowest values, ignoring gaps", () => {
+    expect(extremes([12, null, 30, 4])).toEqual({ max: 2, min: 3 });
+  });
+
+  it("has nothing to highlight when values agree or are missing", () => {
+    expect(extremes([10, 10, 10])).toBeNull();
+    expect(extremes([10, null])).toBeNull();
+  });
+});
+
+describe("time zones", () => {
+  it("labels UTC offsets", () => {
+    expect(utcOffsetLabel(19800)).toBe("UTC+5:30");
+    expect(utcOffsetLabel(-10800)).toBe("UTC-3");
+    expect(utcOffsetLabel(0)).toBe("UTC");
+  });
+
+  it("computes the offset between two cities", () => {
+    // Tokyo (UTC+9) vs London in summer (UTC+1)
+    expect(offsetDifference(32400, 3600)).toEqual({ direction: "ahead", hours: 8, minutes: 0 });
+    // Mumbai (UTC+5:30) vs Tokyo
+    expect(offsetDifference(19800, 32400)).toEqual({ direction: "behind", hours: 3, minutes: 30 });
+    expect(offsetDifference(3600, 3600)).toEqual({ direction: "same", hours: 0, minutes: 0 });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * currentView.js
+ * Display values derived from a (metric) current weather model, shared by WeatherCard and CompareView
+ * so both show the same temperature, wind, mood, etc. for a city.
+ * - Numbers are formatted with the user's unit preferences; `temp` stays numeric for the big readout.
+ * - The mood and suggestions come from the mood ruleset (moodEngine) with the user's thresholds.
+ * - The condition description and mood are translated with `t` / `lang` (describeCondition).
+ * - `summary` is the sentence screen readers announce: "London, light rain, 12 degrees, feels like 10".
+ */
+import { weatherIconForId } from "./weather";
+import { evaluateMood } from "./moodEngine";
+import { weatherTheme } from "./theme";
+import { convertTemperature, formatTemperature, formatWind, formatPrecipitation } from "./units";
+import { describeCondition } from "../i18n";
+import { placeName } from "./location";
+
+/** 12.4 -> "12 degrees" ("285 kelvin"), as read aloud */
+function spokenTemperature(c, unit, t) {
+  const value = convertTemperature(c, unit);
+  return value == null ? "-" : t(unit === "k" ? "card.kelvin" : "card.degrees", { value: Math.round(value) });
+}
+
+export function deriveCurrent(data, { prefs, t, lang, provider, moodThresholds }) {
+  const { main, id } = data.condition;
+  // cached data is metric, which is what the mood rules are written against
+  const moodResult = evaluateMood(data, { thresholds: moodThresholds });
+  const description = describeCondition(data.condition, { t, lang, provider });
+  const feelsLike = convertTemperature(data.feelsLike, prefs.temperature);
+  return {
+    main,
+    id,
+    description,
+    temp: convertTemperature(data.temp, prefs.temperature), // in the preferred unit
+    tempDisplay: formatTemperature(data.temp, prefs.temperature),
+    feelsLikeDisplay: formatTemperature(data.feelsLike, prefs.temperature),
+    humidity: data.humidity,
+    windMs: data.windSpeed, // canonical m/s
+    windDisplay: formatWind(data.windSpeed, prefs.wind),
+    precipitationDisplay: data.precipitation ? formatPrecipitation(data.precipitation, prefs.precipitation) : null,
+    moodKey: moodResult.mood,
+    mood: t(`mood.${moodResult.mood}`),
+    suggestions: moodResult.suggestions.map((key) => ({ key, text: t(`suggestion.${key}`) })),
+    iconType: weatherIconForId(id, main),
+    theme: weatherTheme(data),
+    summary: t("card.summary", {
+      name: placeName(data.location, t),
+      description,
+      temp: spokenTemperature(data.temp, prefs.temperature, t),
+      feelsLike: feelsLike == null ? "-" : Math.round(feelsLike)
+    })
+  };
+}
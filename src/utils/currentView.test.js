@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { deriveCurrent } from "./currentView";
+import openWeatherMap, { normalizeCurrent } from "../providers/openWeatherMap";
+import { createTranslator } from "../i18n";
+import { IMPERIAL_PREFS, METRIC_PREFS } from "./units";
+import londonWeather from "../providers/fixtures/london-weather.json";
+
+const london = normalizeCurrent(londonWeather);
+const derive = (data, prefs = METRIC_PREFS, lang = "en") =>
+  deriveCurrent(data, { prefs, t: createTranslator(lang), lang, provider: openWeatherMap });
+
+describe("deriveCurrent", () => {
+  it("formats the synthetic London fixture in metric", () => {
+    const view = derive(london);
+    expect(view.tempDisplay).toBe("12°C");
+    expect(view.feelsLikeDisplay).toBe("12°C");
+    expect(view.windDisplay).toBe("16.6 km/h");
+    expect(view.precipitationDisplay).toBe("0.4 mm");
+    expect(view.humidity).toBe(81);
+    expect(view.iconType).toBe("rain");
+    expect(view.mood).toBeTruthy();
+  });
+
+  it("follows the unit preferences", () => {
+    const view = derive(london, IMPERIAL_PREFS);
+    expect(view.temp).toBeCloseTo(54.32);
+    expect(view.tempDisplay).toBe("54°F");
+    expect(view.windDisplay).toBe("10.3 mph");
+    expect(view.precipitationDisplay).toBe("0.02 in");
+  });
+
+  it("shows a dash for missing values instead of crashing", () => {
+    const sparse = normalizeCurrent({ ...londonWeather, wind: undefined, main: { temp: 12.4 }, rain: undefined });
+    for (const prefs of [METRIC_PREFS, IMPERIAL_PREFS, { ...METRIC_PREFS, wind: "bft" }]) {
+      const view = derive(sparse, prefs);
+      expect(view.windDisplay).toBe("-");
+      expect(view.feelsLikeDisplay).toBe("-");
+      expect(view.precipitationDisplay).toBeNull();
+    }
+  });
+
+  it("composes the spoken summary in the preferred unit", () => {
+    expect(derive(london).summary).toBe("London, light rain, 12 degrees, feels like 12");
+    expect(derive(london, IMPERIAL_PREFS).summary).toBe("London, light rain, 54 degrees, feels like 53");
+    expect(derive(london, { ...METRIC_PREFS, temperature: "k" }).summary).toBe("London, light rain, 286 kelvin, feels like 285");
+  });
+
+  it("names unnamed coordinates as the current location in the selected language", () => {
+    const here = { ...london, location: { ...london.location, name: null } };
+    expect(derive(here).summary).toMatch(/^Current location, light rain/);
+    expect(derive(here, METRIC_PREFS, "de").summary).toMatch(/^Aktueller Standort, /);
+  });
+
+  it("translates the description and mood", () => {
+    const view = derive(london, METRIC_PREFS, "de");
+    expect(view.mood).toBe(createTranslator("de")(`mood.${view.moodKey}`));
+    expect(view.suggestions.every((suggestion) => suggestion.text && !suggestion.text.startsWith("suggestion."))).toBe(true);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * history.js
+ * Pure helpers for the locally recorded observation history (see providers/weatherHistory.js).
+ * - An observation is { dt (unix seconds), temp (°C), humidity (%), windSpeed (m/s) }, always metric.
+ * - HISTORY_RANGES lists the selectable chart ranges and how many buckets each is drawn with.
+ */
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+export const HISTORY_RANGES = [
+  { id: "24h", label: "24h", seconds: DAY, buckets: 24 },
+  { id: "7d", label: "7d", seconds: 7 * DAY, buckets: 84 },
+  { id: "30d", label: "30d", seconds: 30 * DAY, buckets: 120 }
+];
+
+/** Observations older than this are pruned when the history is written */
+export const HISTORY_MAX_AGE = 35 * DAY;
+
+export function historyRange(id) {
+  return HISTORY_RANGES.find((range) => range.id === id) ?? HISTORY_RANGES[0];
+}
+
+/** Current weather model -> observation (null when it has no timestamp or temperature) */
+export function toObservation(current) {
+  if (!current?.dt || current.temp == null) return null;
+  return { dt: current.dt, temp: current.temp, humidity: current.humidity ?? null, windSpeed: current.windSpeed ?? null };
+}
+
+/**
+ * Merge observation lists, sorted by dt; on equal dt the later list wins.
+ * Anything older than `minDt` is dropped.
+ */
+export function mergeObservations(existing, incoming, minDt = -Infinity) {
+  const byDt = new Map();
+  for (const obs of [...existing, ...incoming]) {
+    if (obs?.dt != null && obs.dt >= minDt) byDt.set(obs.dt, obs);
+  }
+  return [...byDt.values()].sort((a, b) => a.dt - b.dt);
+}
+
+/**
+ * Average `field` into `count` equal buckets between start and end (unix seconds).
+ * Returns [{ dt (bucket middle), value }] with value null for empty buckets, so charts show gaps.
+ */
+export function bucketSeries(observations, field, start, end, count) {
+  const size = (end - start) / count;
+  const sums = new Array(count).fill(0);
+  const counts = new Array(count).fill(0);
+  for (const obs of observations) {
+    const value = obs[field];
+    if (value == null || obs.dt < start || obs.dt > end) continue;
+    const i = Math.min(count - 1, Math.floor((obs.dt - start) / size));
+    sums[i] += value;
+    counts[i] += 1;
+  }
+  return sums.map((sum, i) => ({ dt: start + size * (i + 0.5), value: counts[i] ? sum / counts[i] : null }));
+}
+
+/** { min, max, avg, count } of `field` over observations in [start, end]; null when there is none */
+export function summarize(observations, field, start = -Infinity, end = Infinity) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+  for (const obs of observations) {
+    const value = obs[field];
+    if (value == null || obs.dt < start || obs.dt > end) continue;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    sum += value;
+    count += 1;
+  }
+  return count ? { min, max, avg: sum / count, count } : null;
+}
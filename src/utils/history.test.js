@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { bucketSeries, historyRange, mergeObservations, summarize, toObservation } from "./history";
+
+const obs = (dt, temp, humidity = 50, windSpeed = 2) => ({ dt, temp, humidity, windSpeed });
+
+describe("toObservation", () => {
+  it("keeps only the charted fields", () => {
+    expect(toObservation({ dt: 100, temp: 12, humidity: 70, windSpeed: 3, pressure: 1010 })).toEqual(obs(100, 12, 70, 3));
+  });
+
+  it("skips models without a timestamp or temperature", () => {
+    expect(toObservation(null)).toBeNull();
+    expect(toObservation({ dt: 100, temp: null })).toBeNull();
+  });
+});
+
+describe("mergeObservations", () => {
+  it("sorts, de-duplicates by dt (newest wins) and prunes old entries", () => {
+    const merged = mergeObservations([obs(300, 1), obs(100, 2)], [obs(200, 3), obs(300, 4), obs(50, 5)], 100);
+    expect(merged.map((o) => [o.dt, o.temp])).toEqual([
+      [100, 2],
+      [200, 3],
+      [300, 4]
+    ]);
+  });
+});
+
+describe("bucketSeries", () => {
+  it("averages per bucket and leaves gaps as null", () => {
+    const series = bucketSeries([obs(0, 10), obs(9, 20), obs(35, 5)], "temp", 0, 40, 4);
+    expect(series.map((b) => b.value)).toEqual([15, null, null, 5]);
+    expect(series[0].dt).toBe(5);
+  });
+});
+
+describe("summarize", () => {
+  it("returns min / max / avg inside the range", () => {
+    expect(summarize([obs(0, 10), obs(10, 20), obs(20, 0), obs(99, 100)], "temp", 0, 50)).toEqual({
+      min: 0,
+      max: 20,
+      avg: 10,
+      count: 3
+    });
+  });
+
+  it("ignores missing values and returns null when empty", () => {
+    expect(summarize([{ dt: 0, temp: 1, windSpeed: null }], "windSpeed")).toBeNull();
+  });
+});
+
+describe("historyRange", () => {
+  it("falls back to the first range", () => {
+    expect(historyRange("7d").seconds).toBe(7 * 86400);
+    expect(historyRange("nope").id).toBe("24h");
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * idb.js
+ * Minimal promise wrapper around IndexedDB for the app's persistent caches.
+ * - One database ("weather") with the object stores listed in STORES (keyPath "key").
+ * - Every helper resolves to null / undefined instead of throwing when IndexedDB is
+ *   unavailable (private mode, old browsers, tests): persistence is best-effort.
+ */
+
+const DB_NAME = "weather";
+const DB_VERSION = 2;
+const STORES = ["responses", "history"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  dbPromise ??= new Promise((resolve) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const name of STORES) {
+        if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, { keyPath: "key" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+/** Run one request against a store and resolve with its result (null on any failure) */
+async function run(storeName, mode, makeRequest) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    try {
+      const req = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+      req.onsuccess = () => resolve(req.result ?? null);
+      req.onerror = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+export function idbGet(storeName, key) {
+  return run(storeName, "readonly", (store) => store.get(key));
+}
+
+export function idbPut(storeName, value) {
+  return run(storeName, "readwrite", (store) => store.put(value));
+}
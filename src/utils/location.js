@@ -0,0 +1,35 @@
+/**
+ * location.js
+ * Helpers for the "location" value passed from App to WeatherCard / ForecastPanel and providers.
+ *
+ * A location is either:
+ * - a free-text city string ("London", "Paris, FR"), or
+ * - a resolved place: { lat, lon, name?, state?, country? } (geocoding candidate or browser geolocation).
+ */
+
+/** true when the location carries coordinates */
+export function isCoords(location) {
+  return location != null && typeof location === "object" && Number.isFinite(location.lat) && Number.isFinite(location.lon);
+}
+
+/** Human readable label, e.g. "Springfield, Illinois, US" */
+export function locationLabel(location) {
+  if (!location) return "";
+  if (typeof location === "string") return location;
+  const parts = [location.name, location.state, location.country].filter(Boolean);
+  if (parts.length) return parts.join(", ");
+  if (isCoords(location)) return `${location.lat.toFixed(2)}, ${location.lon.toFixed(2)}`;
+  return "";
+}
+
+/** Display name of a resolved weather location; `name` is null for bare coordinates the provider can't name */
+export function placeName(location, t) {
+  return location?.name || t("location.current");
+}
+
+/** Stable key for a location (coords rounded to ~1 km so tiny GPS jitter maps to the same place) */
+export function locationKey(location) {
+  if (!location) return "";
+  if (isCoords(location)) return `${location.lat.toFixed(2)},${location.lon.toFixed(2)}`;
+  return String(location).trim().toLowerCase();
+}
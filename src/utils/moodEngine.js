@@ -0,0 +1,88 @@
+/**
+ * moodEngine.js
+ * Data-driven mood and activity suggestions, evaluated against the (metric) current weather model.
+ *
+ * A ruleset (moodRules.json is the shipped default) has:
+ * - thresholds   named limits { value, unit } the user can tweak in MoodSettings (°C, km/h, %)
+ * - dayParts     name -> [from, to) local hour ranges, read in the city's timezone
+ * - conditions   name -> condition codes (single ids or inclusive [from, to] ranges)
+ * - moods        ordered rules { mood, when }; the first match wins, otherwise fallbackMood
+ * - suggestions  rules { suggestion, when }; every match adds its suggestion
+ *
+ * A rule's `when` holds when all of its clauses hold:
+ * - condition: ["rain", ...]                 the code is in any of the named groups
+ * - temp / wind / humidity: { atLeast, below } bounds are threshold names or plain numbers
+ * - timeOfDay: ["morning", ...]              the local hour is in any of the named day parts
+ * Missing values (e.g. no humidity) never match a numeric clause.
+ *
+ * Moods and suggestions are keys into the message catalogs ("mood.<key>", "suggestion.<key>").
+ */
+import DEFAULT_MOOD_RULES from "./moodRules.json";
+import { dateFromTimezone } from "./weather";
+import { msToKmh } from "./units";
+
+export { DEFAULT_MOOD_RULES };
+
+/** Ruleset threshold values with the user's overrides ({ name: number }) applied */
+export function resolveThresholds(rules = DEFAULT_MOOD_RULES, overrides = {}) {
+  const out = {};
+  for (const [name, threshold] of Object.entries(rules.thresholds ?? {})) {
+    const override = overrides?.[name];
+    out[name] = Number.isFinite(override) ? override : threshold.value;
+  }
+  return out;
+}
+
+/** Current weather model -> the values rules are matched against */
+export function moodFacts(data) {
+  const tz = data?.location?.timezone ?? 0;
+  return {
+    code: data?.condition?.id ?? null,
+    temp: data?.temp ?? null,
+    wind: data?.windSpeed == null ? null : msToKmh(data.windSpeed),
+    humidity: data?.humidity ?? null,
+    hour: data?.dt == null ? null : dateFromTimezone(data.dt, tz).getUTCHours()
+  };
+}
+
+const inRanges = (value, ranges) =>
+  (ranges ?? []).some((range) => (Array.isArray(range) ? value >= range[0] && value <= range[1] : value === range));
+
+const inDayPart = (hour, parts) => (parts ?? []).some(([from, to]) => hour >= from && hour < to);
+
+function withinBounds(value, bounds, thresholds) {
+  if (value == null) return false;
+  // unknown threshold names resolve to NaN, which fails every comparison
+  const bound = (ref) => (typeof ref === "number" ? ref : thresholds[ref] ?? NaN);
+  if (bounds.atLeast != null && !(value >= bound(bounds.atLeast))) return false;
+  if (bounds.below != null && !(value < bound(bounds.below))) return false;
+  return true;
+}
+
+/** Does a rule's `when` hold for these facts? */
+export function ruleMatches(when, facts, rules, thresholds) {
+  if (when.condition && (facts.code == null || !when.condition.some((name) => inRanges(facts.code, rules.conditions?.[name])))) {
+    return false;
+  }
+  for (const metric of ["temp", "wind", "humidity"]) {
+    if (when[metric] && !withinBounds(facts[metric], when[metric], thresholds)) return false;
+  }
+  if (when.timeOfDay && (facts.hour == null || !when.timeOfDay.some((name) => inDayPart(facts.hour, rules.dayParts?.[name])))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Evaluate a ruleset against a current weather model.
+ * Returns { mood, suggestions } as catalog keys.
+ */
+export function evaluateMood(data, { rules = DEFAULT_MOOD_RULES, thresholds } = {}) {
+  const limits = resolveThresholds(rules, thresholds);
+  const facts = moodFacts(data);
+  const matches = (rule) => ruleMatches(rule.when ?? {}, facts, rules, limits);
+  return {
+    mood: rules.moods?.find(matches)?.mood ?? rules.fallbackMood,
+    suggestions: (rules.suggestions ?? []).filter(matches).map((rule) => rule.suggestion)
+  };
+}
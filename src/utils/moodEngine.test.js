@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_MOOD_RULES, evaluateMood, moodFacts, resolveThresholds } from "./moodEngine";
+
+// 2024-06-01 12:00 UTC
+const NOON_UTC = 1717243200;
+
+const model = ({ id = 800, temp = 20, windSpeed = 2, humidity = 50, dt = NOON_UTC, timezone = 0 } = {}) => ({
+  location: { name: "Test", timezone },
+  dt,
+  condition: { id },
+  temp,
+  windSpeed,
+  humidity
+});
+
+describe("default ruleset", () => {
+  // the mappings getMood() used to hard-code
+  it.each([
+    [800, 2, "crispClear"],
+    [800, 20, "sunnyCheerful"],
+    [803, 0, "greyCalm"],
+    [801, 12, "cloudyCalm"],
+    [500, 3, "softCozy"],
+    [502, 3, "blusteryMoody"],
+    // "light intensity shower rain": getMood's /heavy|shower/ check overrode /light/
+    [520, 3, "blusteryMoody"],
+    [520, 10, "wetRefreshing"],
+    [501, 3, "cozyRainy"],
+    [301, 5.9, "cozyRainy"],
+    [501, 6, "wetRefreshing"],
+    [302, 25, "wetRefreshing"],
+    [601, -4, "bundledSnowy"],
+    [600, 8, "snowy"],
+    [211, 30, "stormyIntense"],
+    [741, 10, "mistyQuiet"],
+    [701, 10, "mistyQuiet"],
+    [721, 10, "pleasant"]
+  ])("condition %i at %s°C -> %s", (id, temp, mood) => {
+    expect(evaluateMood(model({ id, temp })).mood).toBe(mood);
+  });
+
+  it("suggests an umbrella for rain and thunder", () => {
+    expect(evaluateMood(model({ id: 500 })).suggestions).toContain("umbrella");
+    expect(evaluateMood(model({ id: 211 })).suggestions).toEqual(expect.arrayContaining(["umbrella", "stayIndoors"]));
+    expect(evaluateMood(model({ id: 800 })).suggestions).not.toContain("umbrella");
+  });
+
+  it("suggests running on calm, mild mornings in the city's local time", () => {
+    // 12:00 UTC is 08:00 in UTC-4 (morning) but 12:00 in UTC (afternoon)
+    expect(evaluateMood(model({ temp: 14, timezone: -4 * 3600 })).suggestions).toContain("running");
+    expect(evaluateMood(model({ temp: 14 })).suggestions).not.toContain("running");
+    const windy = evaluateMood(model({ temp: 14, timezone: -4 * 3600, windSpeed: 12 })).suggestions;
+    expect(windy).toContain("holdYourHat");
+    expect(windy).not.toContain("running");
+  });
+
+  it("suggests stargazing only on clear nights", () => {
+    expect(evaluateMood(model({ timezone: 11 * 3600 })).suggestions).toContain("stargazing");
+    expect(evaluateMood(model({ id: 804, timezone: 11 * 3600 })).suggestions).not.toContain("stargazing");
+  });
+});
+
+describe("thresholds", () => {
+  it("applies finite overrides and ignores the rest", () => {
+    const limits = resolveThresholds(DEFAULT_MOOD_RULES, { coldBelow: 10, windyFrom: "fast" });
+    expect(limits.coldBelow).toBe(10);
+    expect(limits.windyFrom).toBe(DEFAULT_MOOD_RULES.thresholds.windyFrom.value);
+  });
+
+  it("changes the mood when the user moves a limit", () => {
+    expect(evaluateMood(model({ id: 800, temp: 8 })).mood).toBe("sunnyCheerful");
+    expect(evaluateMood(model({ id: 800, temp: 8 }), { thresholds: { coldBelow: 10 } }).mood).toBe("crispClear");
+  });
+});
+
+describe("custom rulesets", () => {
+  const rules = {
+    thresholds: { muggy: { value: 70, unit: "%" } },
+    conditions: { any: [[200, 899]] },
+    moods: [{ mood: "sticky", when: { humidity: { atLeast: "muggy" }, temp: { atLeast: 25 } } }],
+    fallbackMood: "pleasant",
+    suggestions: [{ suggestion: "mystery", when: { temp: { below: "unknownLimit" } } }]
+  };
+
+  it("matches plain numbers and named thresholds, and never matches unknown names", () => {
+    expect(evaluateMood(model({ temp: 28, humidity: 80 }), { rules })).toEqual({ mood: "sticky", suggestions: [] });
+    expect(evaluateMood(model({ temp: 28, humidity: 60 }), { rules }).mood).toBe("pleasant");
+  });
+
+  it("does not match numeric clauses when the value is missing", () => {
+    expect(evaluateMood(model({ temp: 28, humidity: null }), { rules }).mood).toBe("pleasant");
+    expect(moodFacts({ condition: { id: 800 } })).toEqual({ code: 800, temp: null, wind: null, humidity: null, hour: null });
+  });
+});
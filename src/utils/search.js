@@ -0,0 +1,137 @@
+/**
+ * search.js
+ * Fuzzy matching behind the city search box (App) and "did you mean…" after a not-found search.
+ * - Suggestions merge, in this order of preference: recent searches (useSearchHistory), saved
+ *   locations, the bundled offline city list (cities.json) and the provider's geocoding results.
+ * - Matching ignores case and accents and only looks at the name ("Paris, FR" matches as "paris").
+ * - Small typos are tolerated: the typed text may be a couple of edits away from the start of a name.
+ */
+import CITIES from "./cities.json";
+import { isCoords, locationKey, locationLabel } from "./location";
+
+export { CITIES };
+
+/** Suggestion sources, best first (also the tie-break order) */
+export const SOURCES = ["history", "saved", "city", "remote"];
+
+/** "São Paulo, BR" -> "sao paulo" */
+export function normalizeName(text) {
+  return String(text ?? "")
+    .split(",")[0]
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Edit distance with adjacent transpositions ("pairs" -> "paris" is 1) */
+export function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/** Typos allowed for a query of this length (none for very short input) */
+function allowedEdits(length) {
+  return length <= 3 ? 0 : length <= 6 ? 1 : 2;
+}
+
+/**
+ * How well `text` matches `name` (lower is better), or null for no match:
+ * 0 exact, 1 prefix, 2 word prefix ("york" -> "New York"), 3 substring, 4+ prefix with typos.
+ */
+export function matchScore(text, name) {
+  const q = normalizeName(text);
+  const n = normalizeName(name);
+  if (!q || !n) return null;
+  if (n === q) return 0;
+  if (n.startsWith(q)) return 1;
+  if (n.split(" ").some((word) => word.startsWith(q))) return 2;
+  if (n.includes(q)) return 3;
+  const edits = editDistance(q, n.slice(0, q.length));
+  return edits <= allowedEdits(q.length) ? 4 + edits : null;
+}
+
+/** Name used for matching: the place name, or the text itself for free-text searches */
+const nameOf = (location) => (typeof location === "string" ? location : location?.name ?? locationLabel(location));
+
+/** Same place from two sources: same key, or same name + country */
+const sameLabel = (a, b) =>
+  normalizeName(nameOf(a)) === normalizeName(nameOf(b)) &&
+  (typeof a === "string" || typeof b === "string" || !a.country || !b.country || a.country === b.country);
+
+/**
+ * Ranked, de-duplicated suggestions for the search box: [{ id, source, location }].
+ * Empty text lists the recent searches. `history` / `saved` / `remote` are location lists
+ * (history most recent first).
+ */
+export function buildSuggestions(text, { history = [], saved = [], cities = CITIES, remote = [], limit = 8 } = {}) {
+  const trimmed = String(text ?? "").trim();
+  const lists = { history, saved, city: trimmed ? cities : [], remote };
+
+  const ranked = [];
+  SOURCES.forEach((source, sourceRank) => {
+    lists[source].forEach((location, index) => {
+      // geocoding results already matched the text on the server (and may use other spellings)
+      const score = !trimmed ? 0 : source === "remote" ? 1 : matchScore(trimmed, nameOf(location));
+      if (score != null && (trimmed || source === "history")) ranked.push({ source, location, score, sourceRank, index });
+    });
+  });
+  ranked.sort((a, b) => a.score - b.score || a.sourceRank - b.sourceRank || a.index - b.index);
+
+  const out = [];
+  for (const entry of ranked) {
+    if (out.some((other) => locationKey(other.location) === locationKey(entry.location) || sameLabel(other.location, entry.location))) {
+      continue;
+    }
+    out.push({ id: `${entry.source}:${locationKey(entry.location)}`, source: entry.source, location: entry.location });
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * Close matches for a search that found nothing ("Pariss" -> Paris, FR), best first.
+ * Compares whole names, so unlike the autocomplete a longer typo still finds the city.
+ */
+export function didYouMean(text, { history = [], saved = [], cities = CITIES, limit = 3 } = {}) {
+  const q = normalizeName(text);
+  if (q.length < 3) return [];
+  const maxEdits = Math.max(1, Math.floor(q.length / 3));
+
+  const scored = [];
+  for (const location of [...history, ...saved, ...cities]) {
+    const n = normalizeName(nameOf(location));
+    if (!n || n === q) continue;
+    const edits = Math.min(editDistance(q, n), q.length >= 4 && n.startsWith(q) ? 1 : Infinity);
+    if (edits <= maxEdits) scored.push({ location, edits, order: scored.length });
+  }
+  scored.sort((a, b) => a.edits - b.edits || a.order - b.order);
+
+  const out = [];
+  for (const { location } of scored) {
+    if (!out.some((other) => locationKey(other) === locationKey(location) || sameLabel(other, location))) out.push(location);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * What a successful search is remembered as: a picked place stays as it is (it may carry a state);
+ * typed text and bare coordinates become the place the provider resolved them to.
+ */
+export function resolvedPlace(query, resolved) {
+  if (isCoords(query) && query.name) return query;
+  if (!resolved?.name || resolved.lat == null || resolved.lon == null) return query;
+  return { name: resolved.name, country: resolved.country ?? "", lat: resolved.lat, lon: resolved.lon };
+}
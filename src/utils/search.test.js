@@ -0,0 +1,103 @@
+import { describe, it, expect } from "vitest";
+import { CITIES, buildSuggestions, didYouMean, editDistance, matchScore, normalizeName, resolvedPlace } from "./search";
+
+const paris = { name: "Paris", country: "FR", lat: 48.86, lon: 2.35 };
+const parma = { name: "Parma", country: "IT", lat: 44.8, lon: 10.33 };
+
+describe("normalizeName / editDistance", () => {
+  it("ignores case, accents, spacing and the part after a comma", () => {
+    expect(normalizeName("  São   Paulo, BR")).toBe("sao paulo");
+  });
+
+  it("counts adjacent transpositions as one edit", () => {
+    expect(editDistance("pairs", "paris")).toBe(1);
+    expect(editDistance("londn", "london")).toBe(1);
+    expect(editDistance("berlin", "berlin")).toBe(0);
+  });
+});
+
+describe("matchScore", () => {
+  it("ranks exact, prefix, word prefix and substring matches", () => {
+    expect(matchScore("paris", "Paris")).toBe(0);
+    expect(matchScore("lon", "London")).toBe(1);
+    expect(matchScore("york", "New York")).toBe(2);
+    expect(matchScore("ork", "New York")).toBe(3);
+  });
+
+  it("tolerates typos once enough has been typed", () => {
+    expect(matchScore("lodnon", "London")).toBe(5);
+    expect(matchScore("tokio", "Tokyo")).toBe(5);
+    expect(matchScore("tko", "Tokyo")).toBeNull();
+    expect(matchScore("madrid", "Munich")).toBeNull();
+  });
+});
+
+describe("buildSuggestions", () => {
+  it("lists recent searches for empty input", () => {
+    const items = buildSuggestions("", { history: [paris, "Tokyo"], saved: [parma] });
+    expect(items.map((item) => [item.source, item.location])).toEqual([
+      ["history", paris],
+      ["history", "Tokyo"]
+    ]);
+  });
+
+  it("merges history, saved, offline cities and geocoding, best match first", () => {
+    const remote = [{ name: "Parramatta", state: "New South Wales", country: "AU", lat: -33.82, lon: 151.0 }];
+    const items = buildSuggestions("par", { history: [parma], saved: [paris], remote });
+    expect(items.map((item) => item.source)).toEqual(["history", "saved", "remote"]);
+    expect(items[1].location).toBe(paris);
+  });
+
+  it("drops the same place coming from several sources", () => {
+    const items = buildSuggestions("paris", { history: ["Paris"], saved: [paris] });
+    expect(items).toHaveLength(1);
+    expect(items[0].source).toBe("history");
+  });
+
+  it("finds offline cities despite typos", () => {
+    const [first] = buildSuggestions("Barcelnoa");
+    expect(first).toMatchObject({ source: "city", location: { name: "Barcelona", country: "ES" } });
+  });
+
+  it("caps the list", () => {
+    expect(buildSuggestions("a", { limit: 3 })).toHaveLength(3);
+  });
+});
+
+describe("didYouMean", () => {
+  it("suggests close matches for a city that wasn't found", () => {
+    expect(didYouMean("Pariss").map((location) => location.name)).toEqual(["Paris"]);
+    expect(didYouMean("Amsterdm")[0]).toMatchObject({ name: "Amsterdam" });
+  });
+
+  it("prefers the user's own places", () => {
+    const springfield = { name: "Springfield", state: "Illinois", country: "US", lat: 39.8, lon: -89.64 };
+    expect(didYouMean("Springfeld", { history: [springfield] })).toEqual([springfield]);
+  });
+
+  it("stays quiet for short or unrelated text", () => {
+    expect(didYouMean("xy")).toEqual([]);
+    expect(didYouMean("Qwertyuiop")).toEqual([]);
+  });
+});
+
+describe("resolvedPlace", () => {
+  const resolved = { name: "Paris", country: "FR", lat: 48.85, lon: 2.35, timezone: 3600 };
+
+  it("remembers typed text as the resolved place", () => {
+    expect(resolvedPlace("paris ", resolved)).toEqual({ name: "Paris", country: "FR", lat: 48.85, lon: 2.35 });
+    expect(resolvedPlace({ lat: 48.85, lon: 2.35 }, resolved)).toEqual({ name: "Paris", country: "FR", lat: 48.85, lon: 2.35 });
+  });
+
+  it("keeps picked places and unresolvable results as they are", () => {
+    const picked = { name: "Paris", state: "Texas", country: "US", lat: 33.66, lon: -95.56 };
+    expect(resolvedPlace(picked, resolved)).toBe(picked);
+    expect(resolvedPlace("Paris", { name: "Paris", lat: null, lon: null })).toBe("Paris");
+  });
+});
+
+it("ships a sorted offline city list with coordinates", () => {
+  const names = CITIES.map((city) => normalizeName(city.name));
+  expect(names).toEqual([...names].sort());
+  expect(CITIES.every((city) => city.country && Number.isFinite(city.lat) && Number.isFinite(city.lon))).toBe(true);
+});
@@ -0,0 +1,44 @@
+/**
+ * shortcuts.js
+ * Global keyboard shortcuts (useKeyboardShortcuts in App, listed in AccessibilitySettings).
+ * - Single keys without Ctrl / Alt / Meta, so they never shadow browser or screen-reader commands.
+ * - Ignored while typing in a field, so "/" or "u" still reach the search box.
+ */
+
+/** key -> action, in the order they are listed */
+export const SHORTCUTS = [
+  { key: "/", action: "focusSearch" },
+  { key: "u", action: "toggleUnits" },
+  { key: "]", action: "nextSaved" },
+  { key: "[", action: "previousSaved" },
+  { key: "c", action: "toggleContrast" },
+  { key: "?", action: "showHelp" }
+];
+
+/** aria-keyshortcuts value for an action ("/" for focusSearch) */
+export function shortcutKey(action) {
+  return SHORTCUTS.find((shortcut) => shortcut.action === action)?.key;
+}
+
+/** True for targets that take text or their own keys (inputs, selects, editable content) */
+function isEditable(target) {
+  if (!target || typeof target.closest !== "function") return false;
+  return target.isContentEditable || target.closest("input, textarea, select, [contenteditable='true']") != null;
+}
+
+/** The action for a keydown event, or null */
+export function shortcutAction(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey || isEditable(event.target)) return null;
+  const key = event.key?.length === 1 ? event.key.toLowerCase() : event.key;
+  return SHORTCUTS.find((shortcut) => shortcut.key === key)?.action ?? null;
+}
+
+/**
+ * Index after stepping `step` (1 / -1) through a list of `length`, wrapping around.
+ * From nothing (-1) the first step lands on the first / last entry.
+ */
+export function cycleIndex(current, length, step) {
+  if (length <= 0) return -1;
+  if (current < 0) return step > 0 ? 0 : length - 1;
+  return (((current + step) % length) + length) % length;
+}
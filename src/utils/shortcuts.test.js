@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { cycleIndex, shortcutAction, shortcutKey } from "./shortcuts";
+
+const press = (key, extra = {}) => ({ key, target: null, ...extra });
+
+describe("shortcutAction", () => {
+  it("maps single keys to actions", () => {
+    expect(shortcutAction(press("/"))).toBe("focusSearch");
+    expect(shortcutAction(press("u"))).toBe("toggleUnits");
+    expect(shortcutAction(press("U", { shiftKey: true }))).toBe("toggleUnits");
+    expect(shortcutAction(press("]"))).toBe("nextSaved");
+    expect(shortcutAction(press("?", { shiftKey: true }))).toBe("showHelp");
+    expect(shortcutAction(press("x"))).toBeNull();
+    expect(shortcutAction(press("Enter"))).toBeNull();
+  });
+
+  it("leaves modified keys and handled events alone", () => {
+    expect(shortcutAction(press("u", { ctrlKey: true }))).toBeNull();
+    expect(shortcutAction(press("/", { metaKey: true }))).toBeNull();
+    expect(shortcutAction(press("c", { altKey: true }))).toBeNull();
+    expect(shortcutAction(press("u", { defaultPrevented: true }))).toBeNull();
+  });
+
+  it("ignores keys typed into fields", () => {
+    const field = { closest: (selector) => (selector.includes("input") ? {} : null) };
+    const button = { closest: () => null };
+    expect(shortcutAction(press("u", { target: field }))).toBeNull();
+    expect(shortcutAction(press("u", { target: { ...button, isContentEditable: true } }))).toBeNull();
+    expect(shortcutAction(press("u", { target: button }))).toBe("toggleUnits");
+  });
+});
+
+describe("shortcutKey", () => {
+  it("looks up the key of an action", () => {
+    expect(shortcutKey("toggleContrast")).toBe("c");
+    expect(shortcutKey("nope")).toBeUndefined();
+  });
+});
+
+describe("cycleIndex", () => {
+  it("wraps around in both directions", () => {
+    expect(cycleIndex(0, 3, 1)).toBe(1);
+    expect(cycleIndex(2, 3, 1)).toBe(0);
+    expect(cycleIndex(0, 3, -1)).toBe(2);
+  });
+
+  it("starts at either end when nothing is selected", () => {
+    expect(cycleIndex(-1, 3, 1)).toBe(0);
+    expect(cycleIndex(-1, 3, -1)).toBe(2);
+    expect(cycleIndex(-1, 0, 1)).toBe(-1);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * storage.js
+ * Tiny localStorage JSON helpers.
+ * - Never throw: private mode, quota errors and corrupt JSON fall back to the default value.
+ * - All keys are namespaced with "weather." to avoid clashing with other apps on the same origin.
+ */
+
+const PREFIX = "weather.";
+
+export function readJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJson(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error(err);
+  }
+}
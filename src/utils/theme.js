@@ -0,0 +1,76 @@
+/**
+ * theme.js
+ * Condition + day/night theming shared by the backdrop and the weather icons.
+ * - The condition group is the icon type from weatherIconForId (clear, clouds, rain, snow, fog, thunder).
+ * - "Night" means the city's local time of day is outside sunrise..sunset; without sun times
+ *   (forecast entries, polar day / night) it falls back to 18:00-06:00 local time.
+ * - Gradients, particle animations and their dark-mode / reduced-motion variants live in styles.css
+ *   (`.backdrop-<condition>-<day|night>`, `.particles-<kind>`); this module only picks the names.
+ */
+import { weatherIconForId } from "./weather";
+
+const DAY_SECONDS = 86400;
+const FALLBACK_SUNRISE = 6 * 3600;
+const FALLBACK_SUNSET = 18 * 3600;
+
+/** Seconds since local midnight for a unix timestamp in a city with the given UTC offset */
+const secondsOfDay = (utcSeconds, tzOffsetSeconds) => (((utcSeconds + tzOffsetSeconds) % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS;
+
+/**
+ * Is it night at `utcSeconds` in the city? Only the local time of day is compared, so today's
+ * sunrise / sunset also work for forecast slots on the next few days.
+ */
+export function isNight(utcSeconds, { sunrise, sunset, timezone = 0 } = {}) {
+  const now = secondsOfDay(utcSeconds, timezone);
+  const rise = sunrise == null ? FALLBACK_SUNRISE : secondsOfDay(sunrise, timezone);
+  const set = sunset == null ? FALLBACK_SUNSET : secondsOfDay(sunset, timezone);
+  // sunset can wrap past local midnight (e.g. far north in summer)
+  return rise < set ? now < rise || now >= set : now >= set && now < rise;
+}
+
+/** Animated layers drawn over each condition's gradient */
+export const PARTICLES = {
+  rain: ["rain"],
+  thunder: ["rain", "lightning"],
+  snow: ["snow"],
+  fog: ["fog"]
+};
+
+/** Icon colour per condition, light and dark scheme */
+const ACCENTS = {
+  clear: { day: "text-amber-500 dark:text-amber-300", night: "text-indigo-400 dark:text-indigo-200" },
+  clouds: { day: "text-slate-500 dark:text-slate-300", night: "text-slate-500 dark:text-slate-300" },
+  rain: { day: "text-sky-600 dark:text-sky-300", night: "text-sky-700 dark:text-sky-300" },
+  snow: { day: "text-cyan-500 dark:text-cyan-200", night: "text-cyan-600 dark:text-cyan-200" },
+  fog: { day: "text-slate-400 dark:text-slate-300", night: "text-slate-500 dark:text-slate-300" },
+  thunder: { day: "text-violet-600 dark:text-violet-300", night: "text-violet-700 dark:text-violet-300" }
+};
+
+/** Icon types that have a night variant in Icons ("<type>Night") */
+const NIGHT_ICONS = new Set(["clear", "clouds", "rain"]);
+
+/** Icons key for a condition group, using the night variant when there is one */
+export function iconName(condition, night) {
+  return night && NIGHT_ICONS.has(condition) ? `${condition}Night` : condition;
+}
+
+/** Theme for a condition group at day or night */
+export function conditionTheme(condition, night) {
+  const group = ACCENTS[condition] ? condition : "clear";
+  const time = night ? "night" : "day";
+  return {
+    condition: group,
+    night,
+    backdrop: `backdrop-${group}-${time}`,
+    particles: PARTICLES[group] ?? [],
+    icon: iconName(group, night),
+    accent: ACCENTS[group][time]
+  };
+}
+
+/** Theme for a normalized current model (or forecast entry plus sun times), at nowSeconds */
+export function weatherTheme(data, { nowSeconds = data?.dt, sunrise = data?.sunrise, sunset = data?.sunset, timezone } = {}) {
+  const condition = weatherIconForId(data?.condition?.id, data?.condition?.main);
+  const night = nowSeconds == null ? false : isNight(nowSeconds, { sunrise, sunset, timezone: timezone ?? data?.location?.timezone ?? 0 });
+  return conditionTheme(condition, night);
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { conditionTheme, iconName, isNight, weatherTheme } from "./theme";
+
+// sun times for a city at UTC+2: sunrise 06:00, sunset 20:00 local (2024-06-01)
+const TZ = 2 * 3600;
+const MIDNIGHT_LOCAL = 1717192800; // 2024-06-01 00:00 at UTC+2
+const sun = { sunrise: MIDNIGHT_LOCAL + 6 * 3600, sunset: MIDNIGHT_LOCAL + 20 * 3600, timezone: TZ };
+
+describe("isNight", () => {
+  it("compares the city's local time of day with sunrise and sunset", () => {
+    expect(isNight(MIDNIGHT_LOCAL + 5 * 3600, sun)).toBe(true);
+    expect(isNight(MIDNIGHT_LOCAL + 12 * 3600, sun)).toBe(false);
+    expect(isNight(MIDNIGHT_LOCAL + 21 * 3600, sun)).toBe(true);
+  });
+
+  it("reuses today's sun times for later days", () => {
+    expect(isNight(MIDNIGHT_LOCAL + 86400 + 12 * 3600, sun)).toBe(false);
+    expect(isNight(MIDNIGHT_LOCAL + 86400 + 23 * 3600, sun)).toBe(true);
+  });
+
+  it("handles sunsets after local midnight", () => {
+    const late = { sunrise: MIDNIGHT_LOCAL + 3 * 3600, sunset: MIDNIGHT_LOCAL + 86400 + 1800, timezone: TZ };
+    expect(isNight(MIDNIGHT_LOCAL + 23 * 3600, late)).toBe(false);
+    expect(isNight(MIDNIGHT_LOCAL + 2 * 3600, late)).toBe(true);
+  });
+
+  it("falls back to 18:00-06:00 without sun times", () => {
+    expect(isNight(MIDNIGHT_LOCAL + 19 * 3600, { timezone: TZ })).toBe(true);
+    expect(isNight(MIDNIGHT_LOCAL + 7 * 3600, { timezone: TZ })).toBe(false);
+  });
+});
+
+describe("themes", () => {
+  it("uses night icons only where a variant exists", () => {
+    expect(iconName("clear", true)).toBe("clearNight");
+    expect(iconName("snow", true)).toBe("snow");
+    expect(iconName("clear", false)).toBe("clear");
+  });
+
+  it("picks the backdrop and particle layers for a condition", () => {
+    expect(conditionTheme("thunder", true)).toMatchObject({
+      backdrop: "backdrop-thunder-night",
+      particles: ["rain", "lightning"],
+      icon: "thunder"
+    });
+    expect(conditionTheme("clear", false).particles).toEqual([]);
+  });
+
+  it("themes a current weather model at its observation time", () => {
+    const data = { location: { timezone: TZ }, condition: { id: 500, main: "Rain" }, dt: MIDNIGHT_LOCAL + 22 * 3600, ...sun };
+    expect(weatherTheme(data)).toMatchObject({ condition: "rain", night: true, icon: "rainNight", backdrop: "backdrop-rain-night" });
+    expect(weatherTheme(data, { nowSeconds: MIDNIGHT_LOCAL + 10 * 3600 }).night).toBe(false);
+  });
+});
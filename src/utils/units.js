@@ -0,0 +1,192 @@
+/**
+ * units.js
+ * Client-side unit conversion and formatting.
+ * - Providers are always called with metric units; the cache stores that canonical form
+ *   (°C, m/s, hPa, metres of visibility, mm of precipitation).
+ * - The UI formats canonical values with the user's unit preferences (useUnitPrefs):
+ *   { temperature, wind, pressure, visibility, precipitation }.
+ * - convertModel keeps the OpenWeatherMap "imperial" contract (°F, mph) for providers that need it.
+ */
+
+/* ---------- Preferences ---------- */
+
+/** Selectable units per quantity (id -> label) */
+export const UNIT_OPTIONS = {
+  temperature: [
+    { id: "c", label: "°C" },
+    { id: "f", label: "°F" },
+    { id: "k", label: "K" }
+  ],
+  wind: [
+    { id: "kmh", label: "km/h" },
+    { id: "ms", label: "m/s" },
+    { id: "mph", label: "mph" },
+    { id: "kn", label: "knots" },
+    { id: "bft", label: "Beaufort" }
+  ],
+  pressure: [
+    { id: "hpa", label: "hPa" },
+    { id: "inhg", label: "inHg" },
+    { id: "mmhg", label: "mmHg" }
+  ],
+  visibility: [
+    { id: "km", label: "km" },
+    { id: "mi", label: "mi" }
+  ],
+  precipitation: [
+    { id: "mm", label: "mm" },
+    { id: "in", label: "in" }
+  ]
+};
+
+export const METRIC_PREFS = { temperature: "c", wind: "kmh", pressure: "hpa", visibility: "km", precipitation: "mm" };
+export const IMPERIAL_PREFS = { temperature: "f", wind: "mph", pressure: "inhg", visibility: "mi", precipitation: "in" };
+
+/** Fill in missing / unknown preference values with the metric defaults */
+export function normalizePrefs(prefs) {
+  const out = { ...METRIC_PREFS };
+  for (const [quantity, options] of Object.entries(UNIT_OPTIONS)) {
+    if (options.some((option) => option.id === prefs?.[quantity])) out[quantity] = prefs[quantity];
+  }
+  return out;
+}
+
+/* ---------- Temperature (canonical °C) ---------- */
+
+export const cToF = (c) => (c == null ? c : c * (9 / 5) + 32);
+export const cToK = (c) => (c == null ? c : c + 273.15);
+export const fToC = (f) => (f == null ? f : (f - 32) * (5 / 9));
+
+export function convertTemperature(c, unit) {
+  if (c == null) return null;
+  if (unit === "f") return cToF(c);
+  if (unit === "k") return cToK(c);
+  return c;
+}
+
+/** Inverse of convertTemperature: a value in `unit` -> °C */
+export function temperatureToCelsius(value, unit) {
+  if (value == null) return null;
+  if (unit === "f") return fToC(value);
+  if (unit === "k") return value - 273.15;
+  return value;
+}
+
+export function temperatureLabel(unit) {
+  return unit === "f" ? "°F" : unit === "k" ? " K" : "°C";
+}
+
+/** 12.4 -> "12°C" */
+export function formatTemperature(c, unit) {
+  const value = convertTemperature(c, unit);
+  return value == null ? "-" : `${Math.round(value)}${temperatureLabel(unit)}`;
+}
+
+/* ---------- Wind (canonical m/s) ---------- */
+
+export const msToKmh = (ms) => (ms == null ? ms : ms * 3.6);
+export const msToMph = (ms) => (ms == null ? ms : ms * 2.236936);
+export const msToKnots = (ms) => (ms == null ? ms : ms * 1.943844);
+
+/** Upper bounds (m/s) of Beaufort forces 0..11; anything above is force 12 */
+const BEAUFORT_LIMITS = [0.5, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+
+export function toBeaufort(ms) {
+  if (ms == null) return null;
+  const force = BEAUFORT_LIMITS.findIndex((limit) => ms < limit);
+  return force === -1 ? 12 : force;
+}
+
+export function convertWind(ms, unit) {
+  if (ms == null) return null;
+  if (unit === "kmh") return msToKmh(ms);
+  if (unit === "mph") return msToMph(ms);
+  if (unit === "kn") return msToKnots(ms);
+  if (unit === "bft") return toBeaufort(ms);
+  return ms;
+}
+
+/** Inverse of convertWind: a value in `unit` -> m/s; a Beaufort force maps to the lowest speed of that force */
+export function windToMs(value, unit) {
+  if (value == null) return null;
+  if (unit === "kmh") return value / 3.6;
+  if (unit === "mph") return value / 2.236936;
+  if (unit === "kn") return value / 1.943844;
+  if (unit === "bft") {
+    const force = Math.min(12, Math.round(value));
+    return force <= 0 ? 0 : BEAUFORT_LIMITS[force - 1];
+  }
+  return value;
+}
+
+/** Short label for a wind unit: "km/h", "kn", "Bft" */
+export function windLabel(unit) {
+  if (unit === "bft") return "Bft";
+  if (unit === "kn") return "kn";
+  return UNIT_OPTIONS.wind.find((option) => option.id === unit)?.label ?? "m/s";
+}
+
+/** 4.6 -> "16.6 km/h" / "3 Bft" */
+export function formatWind(ms, unit) {
+  const value = convertWind(ms, unit);
+  if (value == null) return "-";
+  if (unit === "bft") return `${value} Bft`;
+  return `${value.toFixed(1)} ${windLabel(unit)}`;
+}
+
+/* ---------- Pressure (canonical hPa) ---------- */
+
+export function convertPressure(hpa, unit) {
+  if (hpa == null) return null;
+  if (unit === "inhg") return hpa * 0.02953;
+  if (unit === "mmhg") return hpa * 0.750062;
+  return hpa;
+}
+
+/** 1012 -> "1012 hPa" / "29.88 inHg" */
+export function formatPressure(hpa, unit) {
+  const value = convertPressure(hpa, unit);
+  if (value == null) return "-";
+  if (unit === "inhg") return `${value.toFixed(2)} inHg`;
+  return `${Math.round(value)} ${unit === "mmhg" ? "mmHg" : "hPa"}`;
+}
+
+/* ---------- Visibility (canonical metres) ---------- */
+
+export function convertVisibility(m, unit) {
+  if (m == null) return null;
+  return unit === "mi" ? m / 1609.344 : m / 1000;
+}
+
+/** 10000 -> "10.0 km" / "6.2 mi" */
+export function formatVisibility(m, unit) {
+  const value = convertVisibility(m, unit);
+  return value == null ? "-" : `${value.toFixed(1)} ${unit === "mi" ? "mi" : "km"}`;
+}
+
+/* ---------- Precipitation (canonical mm) ---------- */
+
+export function convertPrecipitation(mm, unit) {
+  if (mm == null) return null;
+  return unit === "in" ? mm / 25.4 : mm;
+}
+
+/** 2.5 -> "2.5 mm" / "0.10 in" */
+export function formatPrecipitation(mm, unit) {
+  const value = convertPrecipitation(mm, unit);
+  if (value == null) return "-";
+  return unit === "in" ? `${value.toFixed(2)} in` : `${value.toFixed(1)} mm`;
+}
+
+/* ---------- Provider contract ---------- */
+
+const TEMP_KEYS = ["temp", "feelsLike", "tempMin", "tempMax"];
+
+/** Metric model (current or forecast entry) -> OpenWeatherMap "imperial" units (°F, mph) */
+export function convertModel(model, units) {
+  if (!model || units !== "imperial") return model;
+  const out = { ...model };
+  for (const key of TEMP_KEYS) if (key in out) out[key] = cToF(out[key]);
+  if ("windSpeed" in out) out.windSpeed = msToMph(out.windSpeed);
+  return out;
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect } from "vitest";
+import {
+  IMPERIAL_PREFS,
+  METRIC_PREFS,
+  convertModel,
+  convertPrecipitation,
+  convertPressure,
+  convertTemperature,
+  convertVisibility,
+  convertWind,
+  formatPrecipitation,
+  formatPressure,
+  formatTemperature,
+  formatVisibility,
+  formatWind,
+  normalizePrefs,
+  temperatureToCelsius,
+  toBeaufort,
+  windToMs
+} from "./units";
+
+describe("temperature", () => {
+  it("converts Celsius to Fahrenheit and Kelvin", () => {
+    expect(convertTemperature(0, "c")).toBe(0);
+    expect(convertTemperature(0, "f")).toBe(32);
+    expect(convertTemperature(100, "f")).toBeCloseTo(212);
+    expect(convertTemperature(-40, "f")).toBeCloseTo(-40);
+    expect(convertTemperature(0, "k")).toBeCloseTo(273.15);
+  });
+
+  it("formats rounded values with the unit label", () => {
+    expect(formatTemperature(12.4, "c")).toBe("12°C");
+    expect(formatTemperature(12.4, "f")).toBe("54°F");
+    expect(formatTemperature(12.4, "k")).toBe("286 K");
+    expect(formatTemperature(null, "c")).toBe("-");
+  });
+
+  it("converts back to Celsius", () => {
+    expect(temperatureToCelsius(32, "f")).toBe(0);
+    expect(temperatureToCelsius(273.15, "k")).toBeCloseTo(0);
+    expect(temperatureToCelsius(12, "c")).toBe(12);
+    expect(temperatureToCelsius(null, "f")).toBeNull();
+  });
+});
+
+describe("wind", () => {
+  it("converts m/s to km/h, mph and knots", () => {
+    expect(convertWind(10, "ms")).toBe(10);
+    expect(convertWind(10, "kmh")).toBeCloseTo(36);
+    expect(convertWind(10, "mph")).toBeCloseTo(22.369, 2);
+    expect(convertWind(10, "kn")).toBeCloseTo(19.438, 2);
+  });
+
+  it("maps m/s onto Beaufort forces at the scale boundaries", () => {
+    expect(toBeaufort(0)).toBe(0);
+    expect(toBeaufort(0.5)).toBe(1);
+    expect(toBeaufort(3.3)).toBe(2);
+    expect(toBeaufort(13.9)).toBe(7);
+    expect(toBeaufort(32.6)).toBe(11);
+    expect(toBeaufort(32.7)).toBe(12);
+    expect(toBeaufort(60)).toBe(12);
+  });
+
+  it("converts back to m/s, Beaufort forces to their lowest speed", () => {
+    expect(windToMs(36, "kmh")).toBeCloseTo(10);
+    expect(windToMs(22.369, "mph")).toBeCloseTo(10, 2);
+    expect(windToMs(7, "bft")).toBe(13.9);
+    expect(toBeaufort(windToMs(7, "bft"))).toBe(7);
+    expect(windToMs(0, "bft")).toBe(0);
+  });
+
+  it("formats wind and tolerates missing values", () => {
+    expect(formatWind(4.6, "kmh")).toBe("16.6 km/h");
+    expect(formatWind(4.6, "ms")).toBe("4.6 m/s");
+    expect(formatWind(4.6, "mph")).toBe("10.3 mph");
+    expect(formatWind(4.6, "kn")).toBe("8.9 kn");
+    expect(formatWind(4.6, "bft")).toBe("3 Bft");
+    expect(formatWind(null, "kmh")).toBe("-");
+    expect(formatWind(undefined, "bft")).toBe("-");
+  });
+});
+
+describe("pressure", () => {
+  it("converts hPa to inHg and mmHg", () => {
+    expect(convertPressure(1013.25, "hpa")).toBe(1013.25);
+    expect(convertPressure(1013.25, "inhg")).toBeCloseTo(29.92, 2);
+    expect(convertPressure(1013.25, "mmhg")).toBeCloseTo(760, 0);
+  });
+
+  it("formats with unit-appropriate precision", () => {
+    expect(formatPressure(1012, "hpa")).toBe("1012 hPa");
+    expect(formatPressure(1012, "inhg")).toBe("29.88 inHg");
+    expect(formatPressure(1012, "mmhg")).toBe("759 mmHg");
+    expect(formatPressure(null, "hpa")).toBe("-");
+  });
+});
+
+describe("visibility", () => {
+  it("converts metres to km and miles", () => {
+    expect(convertVisibility(10000, "km")).toBe(10);
+    expect(convertVisibility(1609.344, "mi")).toBeCloseTo(1);
+    expect(formatVisibility(10000, "km")).toBe("10.0 km");
+    expect(formatVisibility(10000, "mi")).toBe("6.2 mi");
+    expect(formatVisibility(null, "km")).toBe("-");
+  });
+});
+
+describe("precipitation", () => {
+  it("converts millimetres to inches", () => {
+    expect(convertPrecipitation(25.4, "in")).toBeCloseTo(1);
+    expect(convertPrecipitation(3, "mm")).toBe(3);
+    expect(formatPrecipitation(2.5, "mm")).toBe("2.5 mm");
+    expect(formatPrecipitation(2.5, "in")).toBe("0.10 in");
+  });
+});
+
+describe("preferences", () => {
+  it("fills unknown or missing quantities with metric defaults", () => {
+    expect(normalizePrefs(undefined)).toEqual(METRIC_PREFS);
+    expect(normalizePrefs({ temperature: "k", wind: "warp" })).toEqual({ ...METRIC_PREFS, temperature: "k" });
+    expect(normalizePrefs(IMPERIAL_PREFS)).toEqual(IMPERIAL_PREFS);
+  });
+});
+
+describe("convertModel", () => {
+  it("applies the provider imperial contract (°F, mph) and leaves metric untouched", () => {
+    const model = { temp: 10, feelsLike: 8, windSpeed: 5, humidity: 70 };
+    expect(convertModel(model, "metric")).toBe(model);
+    const imperial = convertModel(model, "imperial");
+    expect(imperial.temp).toBeCloseTo(50);
+    expect(imperial.feelsLike).toBeCloseTo(46.4);
+    expect(imperial.windSpeed).toBeCloseTo(11.18, 2);
+    expect(imperial.humidity).toBe(70);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * urlState.js
+ * App state <-> URL query string, so searches can be shared, reloaded and navigated with back / forward.
+ *
+ *   ?city=Tokyo&units=imperial
+ *   ?lat=35.68&lon=139.69&name=Tokyo&country=JP&units=metric&tab=history
+ *   ?city=Paris&units=custom&temperature=k&wind=kn&saved=London&saved=35.68,139.69|Tokyo||JP
+ *   ?compare=London&compare=Tokyo&compare=New%20York
+ *
+ * - `city` is a free-text query; `lat` + `lon` (with optional name / state / country) a resolved place.
+ * - `units` is a preset (metric | imperial) or "custom" followed by one param per quantity (see UNIT_OPTIONS).
+ * - `tab` selects the lower panel (forecast is the default and is left out).
+ * - `saved` repeats once per saved location: a city string, or "lat,lon|name|state|country" for a place.
+ * - `compare` repeats once per location in the comparison view, encoded like `saved`.
+ */
+import { IMPERIAL_PREFS, METRIC_PREFS, UNIT_OPTIONS, normalizePrefs } from "./units";
+import { isCoords } from "./location";
+
+export const TABS = ["forecast", "history"];
+
+const PRESETS = { metric: METRIC_PREFS, imperial: IMPERIAL_PREFS };
+const QUANTITIES = Object.keys(UNIT_OPTIONS);
+const COORDS_RE = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:\|(.*))?$/;
+
+/** Shortest stable text for a coordinate (5 decimals ≈ 1 m) */
+const coord = (n) => String(Math.round(n * 1e5) / 1e5);
+
+function presetName(prefs) {
+  return Object.keys(PRESETS).find((name) => QUANTITIES.every((q) => PRESETS[name][q] === prefs[q]));
+}
+
+/** Drop empty place fields so equal places serialize identically */
+function place(lat, lon, { name, state, country } = {}) {
+  const out = { lat, lon };
+  if (name) out.name = name;
+  if (state) out.state = state;
+  if (country) out.country = country;
+  return out;
+}
+
+function encodeSaved(location) {
+  if (!isCoords(location)) return String(location);
+  const extra = [location.name, location.state, location.country].map((part) => part ?? "");
+  while (extra.length && !extra[extra.length - 1]) extra.pop();
+  return [`${coord(location.lat)},${coord(location.lon)}`, ...extra].join("|");
+}
+
+function decodeSaved(text) {
+  const match = COORDS_RE.exec(text);
+  if (!match) return text.trim();
+  const [name, state, country] = (match[3] ?? "").split("|");
+  return place(Number(match[1]), Number(match[2]), { name, state, country });
+}
+
+/**
+ * Query string -> { query, unitPrefs, tab, saved, compare }.
+ * Missing parts are null so callers keep their own defaults (e.g. stored unit preferences).
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+
+  let query = "";
+  const lat = Number(params.get("lat"));
+  const lon = Number(params.get("lon"));
+  if (params.get("lat") && params.get("lon") && Number.isFinite(lat) && Number.isFinite(lon)) {
+    query = place(lat, lon, {
+      name: params.get("name"),
+      state: params.get("state"),
+      country: params.get("country")
+    });
+  } else if (params.get("city")?.trim()) {
+    query = params.get("city").trim();
+  }
+
+  let unitPrefs = null;
+  const units = params.get("units");
+  if (PRESETS[units]) unitPrefs = PRESETS[units];
+  else if (units === "custom") unitPrefs = normalizePrefs(Object.fromEntries(QUANTITIES.map((q) => [q, params.get(q)])));
+
+  const tab = TABS.includes(params.get("tab")) ? params.get("tab") : null;
+  const saved = params.has("saved") ? params.getAll("saved").filter(Boolean).map(decodeSaved) : null;
+  const compare = params.has("compare") ? params.getAll("compare").filter(Boolean).map(decodeSaved) : null;
+
+  return { query, unitPrefs, tab, saved, compare };
+}
+
+/** { query, unitPrefs, tab, saved, compare } -> "?..." (empty string when there is nothing to encode) */
+export function buildUrlState({ query, unitPrefs, tab, saved, compare }) {
+  const params = new URLSearchParams();
+
+  if (isCoords(query)) {
+    params.set("lat", coord(query.lat));
+    params.set("lon", coord(query.lon));
+    for (const field of ["name", "state", "country"]) if (query[field]) params.set(field, query[field]);
+  } else if (query) {
+    params.set("city", String(query));
+  }
+
+  if (unitPrefs) {
+    const preset = presetName(unitPrefs);
+    params.set("units", preset ?? "custom");
+    if (!preset) for (const q of QUANTITIES) params.set(q, unitPrefs[q]);
+  }
+
+  if (tab && tab !== TABS[0]) params.set("tab", tab);
+  for (const entry of saved ?? []) params.append("saved", encodeSaved(entry.location ?? entry));
+  for (const entry of compare ?? []) params.append("compare", encodeSaved(entry.location ?? entry));
+
+  const text = params.toString();
+  return text ? `?${text}` : "";
+}
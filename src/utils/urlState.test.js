@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { buildUrlState, parseUrlState } from "./urlState";
+import { IMPERIAL_PREFS, METRIC_PREFS } from "./units";
+
+describe("parseUrlState", () => {
+  it("reads a city and a units preset", () => {
+    expect(parseUrlState("?city=Tokyo&units=imperial")).toEqual({
+      query: "Tokyo",
+      unitPrefs: IMPERIAL_PREFS,
+      tab: null,
+      saved: null,
+      compare: null
+    });
+  });
+
+  it("prefers coordinates over a city name", () => {
+    const { query } = parseUrlState("?city=x&lat=35.68&lon=139.69&name=Tokyo&country=JP");
+    expect(query).toEqual({ lat: 35.68, lon: 139.69, name: "Tokyo", country: "JP" });
+  });
+
+  it("reads custom units, falling back to metric for unknown values", () => {
+    const { unitPrefs } = parseUrlState("?units=custom&temperature=k&wind=bogus");
+    expect(unitPrefs).toEqual({ ...METRIC_PREFS, temperature: "k" });
+  });
+
+  it("ignores unknown tabs and empty input", () => {
+    expect(parseUrlState("?tab=nope")).toEqual({ query: "", unitPrefs: null, tab: null, saved: null, compare: null });
+  });
+});
+
+describe("buildUrlState", () => {
+  it("round-trips query, units, tab, saved and compared locations", () => {
+    const state = {
+      query: { lat: 51.50735, lon: -0.12776, name: "London", country: "GB" },
+      unitPrefs: { ...IMPERIAL_PREFS, wind: "kn" },
+      tab: "history",
+      saved: [
+        { id: "paris, fr", location: "Paris, FR" },
+        { id: "35.68,139.69", location: { lat: 35.68, lon: 139.69, name: "Tokyo", country: "JP" } },
+        { id: "1.00,2.00", location: { lat: 1, lon: 2 } }
+      ],
+      compare: [
+        { id: "london", location: "London" },
+        { id: "40.71,-74.01", location: { lat: 40.71, lon: -74.01, name: "New York", state: "New York", country: "US" } }
+      ]
+    };
+    const search = buildUrlState(state);
+    expect(parseUrlState(search)).toEqual({
+      query: state.query,
+      unitPrefs: state.unitPrefs,
+      tab: "history",
+      saved: state.saved.map((entry) => entry.location),
+      compare: state.compare.map((entry) => entry.location)
+    });
+  });
+
+  it("leaves out the default tab and empty state", () => {
+    expect(buildUrlState({ query: "Tokyo", unitPrefs: IMPERIAL_PREFS, tab: "forecast" })).toBe("?city=Tokyo&units=imperial");
+    expect(buildUrlState({ query: "" })).toBe("");
+  });
+});
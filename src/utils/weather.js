@@ -0,0 +1,94 @@
+/**
+ * weather.js
+ * Shared weather helpers used by WeatherCard and ForecastPanel.
+ * - Time zone shifting for OpenWeatherMap timestamps.
+ * - Wind direction and daylight helpers.
+ * - Condition code -> icon type mapping.
+ * - Forecast grouping by local day.
+ * - Countdown formatting for refresh / retry timers.
+ * (Moods and suggestions live in moodEngine.js.)
+ */
+
+/** Convert UTC timestamp + timezone offset (seconds) -> local Date object */
+export function dateFromTimezone(utcSeconds, tzOffsetSeconds) {
+  // Date expects milliseconds
+  return new Date((utcSeconds + tzOffsetSeconds) * 1000);
+}
+
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+/** Meteorological wind direction (degrees the wind blows FROM) -> 16-point compass label */
+export function compassPoint(deg) {
+  if (deg == null) return "-";
+  return COMPASS_POINTS[Math.round((((deg % 360) + 360) % 360) / 22.5) % 16];
+}
+
+/**
+ * Position of the sun between sunrise and sunset as 0..1 (all unix seconds).
+ * Returns null before sunrise / after sunset (or when times are missing).
+ */
+export function daylightProgress(nowSeconds, sunrise, sunset) {
+  if (sunrise == null || sunset == null || sunset <= sunrise) return null;
+  if (nowSeconds < sunrise || nowSeconds > sunset) return null;
+  return (nowSeconds - sunrise) / (sunset - sunrise);
+}
+
+/** Small mapping of weather code to icon type */
+export function weatherIconForId(id, main) {
+  // Based on OpenWeatherMap weather condition codes
+  if (id >= 200 && id < 300) return "thunder";
+  if (id >= 300 && id < 600) return "rain";
+  if (id >= 600 && id < 700) return "snow";
+  if (id >= 700 && id < 800) return "fog";
+  if (id === 800) return "clear";
+  if (id > 800) return "clouds";
+  // fallback to main
+  if (/rain/i.test(main)) return "rain";
+  if (/cloud/i.test(main)) return "clouds";
+  return "clear";
+}
+
+/** Milliseconds -> "m:ss" (clamped at 0) */
+export function formatCountdown(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+/* ---------- Forecast helpers ---------- */
+
+/**
+ * Group 3-hourly normalized forecast entries into local calendar days.
+ * Entries are bucketed by the city's local date (dt shifted by tzOffsetSeconds),
+ * and each day reports its low/high, the highest precipitation probability, total precipitation,
+ * and the condition closest to local midday as the representative icon.
+ */
+export function groupForecastByDay(list, tzOffsetSeconds) {
+  const days = new Map();
+  const middayDistance = new Map(); // key -> |hour - 12| of the chosen representative entry
+  for (const entry of list ?? []) {
+    const local = dateFromTimezone(entry.dt, tzOffsetSeconds);
+    // shifted Date -> read UTC fields to get the city's wall clock
+    const key = local.toISOString().slice(0, 10);
+    const hour = local.getUTCHours();
+    const day = days.get(key) ?? {
+      key,
+      date: local,
+      min: Infinity,
+      max: -Infinity,
+      pop: 0,
+      precipitation: 0,
+      condition: null
+    };
+    day.min = Math.min(day.min, entry.tempMin ?? entry.temp);
+    day.max = Math.max(day.max, entry.tempMax ?? entry.temp);
+    day.pop = Math.max(day.pop, entry.pop ?? 0);
+    day.precipitation += entry.precipitation ?? 0;
+    const distance = Math.abs(hour - 12);
+    if (distance < (middayDistance.get(key) ?? Infinity)) {
+      middayDistance.set(key, distance);
+      day.condition = entry.condition ?? null;
+    }
+    days.set(key, day);
+  }
+  return [...days.values()];
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import { compassPoint, dateFromTimezone, daylightProgress, formatCountdown, groupForecastByDay, weatherIconForId } from "./weather";
+import { normalizeForecast } from "../providers/openWeatherMap";
+import londonForecast from "../providers/fixtures/london-forecast.json";
+
+describe("weatherIconForId", () => {
+  it.each([
+    [211, "thunder"],
+    [301, "rain"],
+    [502, "rain"],
+    [601, "snow"],
+    [741, "fog"],
+    [800, "clear"],
+    [804, "clouds"]
+  ])("maps condition %i to %s", (id, icon) => {
+    expect(weatherIconForId(id, "")).toBe(icon);
+  });
+
+  it("falls back to the `main` text without a usable id", () => {
+    expect(weatherIconForId(undefined, "Light Rain")).toBe("rain");
+    expect(weatherIconForId(null, "Clouds")).toBe("clouds");
+    expect(weatherIconForId(undefined, "")).toBe("clear");
+  });
+});
+
+describe("dateFromTimezone", () => {
+  it("shifts UTC seconds so the UTC fields read as the city's wall clock", () => {
+    // 2024-01-01T23:30:00Z is 08:30 on Jan 2 in Tokyo (UTC+9) and 18:30 on Jan 1 in New York (UTC-5)
+    const ts = Date.UTC(2024, 0, 1, 23, 30) / 1000;
+    const tokyo = dateFromTimezone(ts, 9 * 3600);
+    expect([tokyo.getUTCDate(), tokyo.getUTCHours(), tokyo.getUTCMinutes()]).toEqual([2, 8, 30]);
+    const newYork = dateFromTimezone(ts, -5 * 3600);
+    expect([newYork.getUTCDate(), newYork.getUTCHours()]).toEqual([1, 18]);
+  });
+});
+
+describe("small helpers", () => {
+  it("names compass points", () => {
+    expect(compassPoint(0)).toBe("N");
+    expect(compassPoint(230)).toBe("SW");
+    expect(compassPoint(-90)).toBe("W");
+    expect(compassPoint(null)).toBe("-");
+  });
+
+  it("places the sun between sunrise and sunset", () => {
+    expect(daylightProgress(150, 100, 200)).toBe(0.5);
+    expect(daylightProgress(50, 100, 200)).toBeNull();
+    expect(daylightProgress(150, null, 200)).toBeNull();
+  });
+
+  it("formats countdowns", () => {
+    expect(formatCountdown(65 * 1000)).toBe("1:05");
+    expect(formatCountdown(-5)).toBe("0:00");
+  });
+});
+
+describe("groupForecastByDay", () => {
+  it("groups the synthetic fixture forecast into local days", () => {
+    const forecast = normalizeForecast(londonForecast);
+    const days = groupForecastByDay(forecast.entries, forecast.location.timezone);
+
+    expect(days.length).toBeGreaterThanOrEqual(5);
+    for (const day of days) {
+      expect(day.key).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(day.min).toBeLessThanOrEqual(day.max);
+      expect(day.pop).toBeGreaterThanOrEqual(0);
+      expect(day.condition).not.toBeNull();
+    }
+    // every entry lands in exactly one day
+    expect(new Set(days.map((day) => day.key)).size).toBe(days.length);
+  });
+
+  it("uses the city's date, not UTC", () => {
+    // 23:30 UTC is already the next day at UTC+2
+    const entries = [{ dt: Date.UTC(2024, 5, 1, 23, 30) / 1000, temp: 10, pop: 0.2, condition: { id: 800 } }];
+    expect(groupForecastByDay(entries, 2 * 3600)[0].key).toBe("2024-06-02");
+    expect(groupForecastByDay(entries, 0)[0].key).toBe("2024-06-01");
+  });
+});
@@ -0,0 +1,65 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import WidgetCard from "./WidgetCard";
+import { OBSERVED_ATTRIBUTES, widgetConfig } from "./config";
+import css from "./widget.css?inline";
+
+/**
+ * WeatherCardElement.jsx
+ * - <weather-card> custom element: WeatherCard without App, configured from attributes (see config.js).
+ * - Renders into an open shadow root with its own copy of the styles, so the host page's CSS
+ *   (or lack of Tailwind) neither styles nor is styled by the card.
+ * - Attribute changes re-render in place; removing the element unmounts React and stops refreshing.
+ * - The language is per element (no <html lang dir> changes); see WidgetCard.
+ */
+
+/**
+ * Browsers ignore @property rules inside shadow roots, and Tailwind registers its shadow / ring /
+ * transform variables with them; register those once on the document instead.
+ */
+function registerCssProperties() {
+  if (document.getElementById("weather-card-properties")) return;
+  const rules = css.match(/@property[^{]+\{[^}]*\}/g);
+  if (!rules) return;
+  const style = document.createElement("style");
+  style.id = "weather-card-properties";
+  style.textContent = rules.join("\n");
+  document.head.append(style);
+}
+
+export class WeatherCardElement extends HTMLElement {
+  static observedAttributes = OBSERVED_ATTRIBUTES;
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      const shadow = this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = css;
+      this.container = document.createElement("div");
+      shadow.append(style, this.container);
+    }
+    registerCssProperties();
+    this.root ??= createRoot(this.container);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.root) this.render();
+  }
+
+  render() {
+    const { query, lang, options } = widgetConfig((name) => this.getAttribute(name));
+    this.root.render(<WidgetCard query={query} lang={lang} options={options} />);
+  }
+}
+
+/** Register the element (no-op when the tag is already taken, e.g. the script is included twice) */
+export function defineWeatherCard(tagName = "weather-card") {
+  if (!customElements.get(tagName)) customElements.define(tagName, WeatherCardElement);
+  return customElements.get(tagName);
+}
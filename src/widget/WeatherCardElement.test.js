@@ -0,0 +1,76 @@
+// @vitest-environment jsdom
+import { afterEach, beforeAll, describe, it, expect, vi } from "vitest";
+import { defineWeatherCard } from "./WeatherCardElement";
+import londonWeather from "../providers/fixtures/london-weather.json";
+
+/** Add a <weather-card> with the given attributes to the page */
+function mount(attributes) {
+  const card = document.createElement("weather-card");
+  for (const [name, value] of Object.entries(attributes)) card.setAttribute(name, value);
+  document.body.append(card);
+  return card;
+}
+
+const shadowText = (card) => card.shadowRoot.textContent;
+
+beforeAll(() => {
+  defineWeatherCard();
+});
+
+afterEach(() => {
+  document.body.innerHTML = "";
+  vi.unstubAllGlobals();
+});
+
+describe("<weather-card>", () => {
+  it("renders the weather inside its own shadow root with scoped styles", async () => {
+    const card = mount({ city: "London", provider: "fixture" });
+
+    await vi.waitFor(() => expect(shadowText(card)).toContain("London"));
+    expect(shadowText(card)).toMatch(/°C/);
+    expect(card.shadowRoot.querySelector("style")).not.toBeNull();
+    // nothing leaks into the light DOM
+    expect(card.children).toHaveLength(0);
+  });
+
+  it("re-renders when attributes change", async () => {
+    const card = mount({ city: "London", provider: "fixture" });
+    await vi.waitFor(() => expect(shadowText(card)).toMatch(/°C/));
+
+    card.setAttribute("units", "imperial");
+    await vi.waitFor(() => expect(shadowText(card)).toMatch(/°F/));
+
+    card.setAttribute("city", "Tokyo");
+    await vi.waitFor(() => expect(shadowText(card)).toContain("Tokyo"));
+  });
+
+  it("uses its own language without touching the host page", async () => {
+    document.documentElement.lang = "en";
+    const card = mount({ city: "London", provider: "fixture", lang: "ar" });
+
+    await vi.waitFor(() => expect(card.shadowRoot.querySelector("[dir='rtl']")).not.toBeNull());
+    expect(card.shadowRoot.querySelector("[lang='ar']")).not.toBeNull();
+    expect(document.documentElement.lang).toBe("en");
+    expect(document.documentElement.dir).toBe("");
+  });
+
+  it("fetches through the configured proxy endpoint", async () => {
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify(londonWeather), { status: 200 }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const card = mount({ city: "Springfield", endpoint: "https://portal.example.com/weather" });
+
+    await vi.waitFor(() => expect(shadowText(card)).toContain(londonWeather.name));
+    const url = new URL(fetchMock.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe("https://portal.example.com/weather");
+    expect(url.searchParams.get("q")).toBe("Springfield");
+  });
+
+  it("unmounts when removed from the page", async () => {
+    const card = mount({ city: "London", provider: "fixture" });
+    await vi.waitFor(() => expect(shadowText(card)).toContain("London"));
+
+    card.remove();
+    await vi.waitFor(() => expect(card.shadowRoot.querySelector("section")).toBeNull());
+  });
+});
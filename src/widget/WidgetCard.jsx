@@ -0,0 +1,22 @@
+import React, { useMemo, useState } from "react";
+import WeatherCard from "../Components/WeatherCard";
+import { I18nContext, i18nValue } from "../i18n/context";
+
+/**
+ * WidgetCard.jsx
+ * - What <weather-card> renders: WeatherCard in a frame tinted with the condition backdrop
+ *   (the embed has no page backdrop of its own).
+ * - Provides the element's language directly instead of I18nProvider, which would persist it and
+ *   rewrite the host page's <html lang dir>.
+ */
+export default function WidgetCard({ query, lang, options }) {
+  const [theme, setTheme] = useState(null);
+  const i18n = useMemo(() => i18nValue(lang), [lang]); // stable `t`, so WeatherCard memos hold
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div lang={lang} dir={i18n.dir} className={`rounded-3xl p-2 ${theme?.backdrop ?? "backdrop-default"}`}>
+        <WeatherCard cityQuery={query} options={options} onThemeChange={setTheme} />
+      </div>
+    </I18nContext.Provider>
+  );
+}
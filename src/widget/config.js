@@ -0,0 +1,64 @@
+/**
+ * config.js
+ * Attribute-driven configuration for the <weather-card> web component (WeatherCardElement.jsx).
+ *
+ *   <weather-card city="London" units="imperial" lang="de" refresh="300"></weather-card>
+ *   <weather-card lat="35.68" lon="139.69" city="Tokyo" endpoint="https://portal.example.com/api/weather"></weather-card>
+ *
+ * - city: city name; with lat + lon it is only the display name of that place.
+ * - units: metric (default) | imperial.
+ * - lang: UI + description language (defaults to the browser language, then English).
+ * - provider: openweathermap (default) | open-meteo | fixture.
+ * - endpoint: OpenWeatherMap proxy URL (server/weatherProxy.js) instead of VITE_WEATHER_PROXY_URL / /api/weather.
+ * - refresh: auto-refresh period in seconds (0 turns it off; default 600).
+ */
+import { createOpenWeatherMap } from "../providers/openWeatherMap";
+import { getProvider } from "../providers";
+import { resolveLanguage } from "../i18n";
+import { IMPERIAL_PREFS, METRIC_PREFS } from "../utils/units";
+
+export const OBSERVED_ATTRIBUTES = ["city", "lat", "lon", "units", "lang", "provider", "endpoint", "refresh"];
+
+const DEFAULT_REFRESH_SECONDS = 600;
+
+/** One adapter per endpoint, so every card on the page shares it (and the cache sees a stable provider) */
+const adapters = new Map();
+
+function providerFor(id, endpoint) {
+  const provider = getProvider(id || undefined);
+  if (!endpoint || provider.id !== "openweathermap") return provider;
+  if (!adapters.has(endpoint)) adapters.set(endpoint, createOpenWeatherMap({ proxyUrl: endpoint }));
+  return adapters.get(endpoint);
+}
+
+/** Attribute value -> finite number, or null */
+function numberAttr(value) {
+  if (value == null || value.trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Attributes (`get(name)` -> string | null) -> { query, lang, options } for WeatherCard.
+ * query is a city string, a { lat, lon, name } place, or null when nothing usable is set.
+ */
+export function widgetConfig(get) {
+  const city = get("city")?.trim() || null;
+  const lat = numberAttr(get("lat"));
+  const lon = numberAttr(get("lon"));
+  const query = lat != null && lon != null ? { lat, lon, ...(city ? { name: city } : {}) } : city;
+
+  const lang = resolveLanguage(get("lang") || (typeof navigator !== "undefined" ? navigator.language : null));
+  const refreshSeconds = numberAttr(get("refresh")) ?? DEFAULT_REFRESH_SECONDS;
+
+  return {
+    query,
+    lang,
+    options: {
+      unitPrefs: get("units")?.toLowerCase() === "imperial" ? IMPERIAL_PREFS : METRIC_PREFS,
+      provider: providerFor(get("provider"), get("endpoint")?.trim()),
+      refreshIntervalMs: Math.max(0, refreshSeconds) * 1000,
+      lang
+    }
+  };
+}
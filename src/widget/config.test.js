@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { widgetConfig } from "./config";
+import { IMPERIAL_PREFS, METRIC_PREFS } from "../utils/units";
+
+const attrs = (values) => (name) => values[name] ?? null;
+
+describe("widgetConfig", () => {
+  it("defaults to a metric OpenWeatherMap card in the browser language", () => {
+    const { query, options } = widgetConfig(attrs({ city: " London " }));
+    expect(query).toBe("London");
+    expect(options.unitPrefs).toBe(METRIC_PREFS);
+    expect(options.provider.id).toBe("openweathermap");
+    expect(options.refreshIntervalMs).toBe(600 * 1000);
+  });
+
+  it("prefers coordinates and keeps the city as the place name", () => {
+    expect(widgetConfig(attrs({ city: "Tokyo", lat: "35.68", lon: "139.69" })).query).toEqual({ lat: 35.68, lon: 139.69, name: "Tokyo" });
+    expect(widgetConfig(attrs({ lat: "35.68", lon: "east" })).query).toBeNull();
+  });
+
+  it("reads units, language, provider and refresh", () => {
+    const { lang, options } = widgetConfig(attrs({ city: "Tokyo", units: "Imperial", lang: "de-AT", provider: "open-meteo", refresh: "0" }));
+    expect(lang).toBe("de");
+    expect(options.lang).toBe("de");
+    expect(options.unitPrefs).toBe(IMPERIAL_PREFS);
+    expect(options.provider.id).toBe("open-meteo");
+    expect(options.refreshIntervalMs).toBe(0);
+  });
+
+  it("shares one adapter per proxy endpoint", () => {
+    const a = widgetConfig(attrs({ city: "London", endpoint: "https://portal.example.com/weather" })).options.provider;
+    const b = widgetConfig(attrs({ city: "Paris", endpoint: "https://portal.example.com/weather" })).options.provider;
+    const plain = widgetConfig(attrs({ city: "London" })).options.provider;
+    expect(a).toBe(b);
+    expect(a).not.toBe(plain);
+    expect(a.id).toBe("openweathermap");
+    // the endpoint only applies to the proxied provider
+    expect(widgetConfig(attrs({ provider: "fixture", endpoint: "/x" })).options.provider.id).toBe("fixture");
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * widget/index.js
+ * Entry of the embeddable build (`npm run build:widget`, vite.widget.config.js): registers <weather-card>.
+ *
+ *   <script type="module" src="https://cdn.example.com/weather-card.js"></script>
+ *   <weather-card city="London" endpoint="https://portal.example.com/api/weather"></weather-card>
+ */
+import { defineWeatherCard } from "./WeatherCardElement";
+
+export { WeatherCardElement, defineWeatherCard } from "./WeatherCardElement";
+export { widgetConfig } from "./config";
+
+defineWeatherCard();
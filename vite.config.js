@@ -1,7 +1,50 @@
-import { defineConfig } from 'vite'
+import { readFileSync } from 'node:fs'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+import { createWeatherProxy, proxyConfigFromEnv } from './server/weatherProxy.js'
+
+// Serves /api/weather from the dev + preview servers so the API key stays server-side.
+// WEATHER_API_KEY (no VITE_ prefix) is read from .env but never exposed to client code.
+function weatherProxy(env) {
+  return {
+    name: 'weather-proxy',
+    configureServer(server) {
+      server.middlewares.use(createWeatherProxy(proxyConfigFromEnv(env)))
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(createWeatherProxy(proxyConfigFromEnv(env)))
+    },
+  }
+}
+
+// Emits /sw.js at build time with the final (hashed) shell files injected as the precache list.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle).map((file) => `/${file}`)
+      const precache = ['/', '/index.html', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png', ...files]
+      const buildId = Date.now().toString(36)
+      const source = readFileSync(new URL('./pwa/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE__ = ${JSON.stringify([...new Set(precache)])};\nself.__BUILD_ID__ = ${JSON.stringify(buildId)};\n${source}`,
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = { ...loadEnv(mode, process.cwd(), ''), ...process.env }
+  return {
+    plugins: [react(), tailwindcss(), weatherProxy(env), serviceWorker()],
+    // Vitest: node by default; component tests opt into jsdom with `// @vitest-environment jsdom`
+    test: {
+      setupFiles: ['src/test/setup.js'],
+    },
+  }
 })
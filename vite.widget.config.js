@@ -0,0 +1,22 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+
+// Embeddable <weather-card> build (src/widget): one self-contained script with React and the
+// styles inlined, as an ES module and a classic <script> (IIFE). Output: dist/widget.
+// https://vite.dev/guide/build.html#library-mode
+export default defineConfig({
+  plugins: [react(), tailwindcss()],
+  // library mode leaves process.env alone; React needs it resolved to drop its dev build
+  define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+  build: {
+    outDir: 'dist/widget',
+    copyPublicDir: false,
+    lib: {
+      entry: 'src/widget/index.js',
+      name: 'WeatherCardWidget',
+      formats: ['es', 'iife'],
+      fileName: (format) => (format === 'es' ? 'weather-card.js' : 'weather-card.iife.js'),
+    },
+  },
+})